@@ -20,14 +20,24 @@
  * @author Balint Morvai <balint@morvai.de>
  * @license http://en.wikipedia.org/wiki/MIT_License MIT License
  */
-// global object
-COMIC = { version: 0.96 };
-
-(function() {
+(function(root, factory) {
+    // CommonJS, e.g. Node.js - no globals
+    if(typeof module == "object" && module.exports) {
+        module.exports = factory();
+    }
+    // AMD
+    else if(typeof define == "function" && define.amd) {
+        define([], factory);
+    }
+    // global object
+    else {
+        root.COMIC = factory();
+    }
+})(this, function() {
 /**
- * @var object global "C" object
+ * @var object "C" object, exported as COMIC
  */
-var C = COMIC;
+var C = { version: 0.96 };
 /**
  * @var int length of one step - each step means new "hand jitter"
  */
@@ -49,25 +59,120 @@ var ffc = 5.0;
  */
 var drunk = false;
 /**
- * @var object 2d canvas context (if any)
+ * @var int number of strokes drawn over each other for every line
  */
-var context = undefined;
+var passes = 1;
+/**
+ * @var float max deviation of the strokes of several passes
+ */
+var passDeviation = 1.5;
+/**
+ * @var float max length by which strokes overshoot line ends
+ */
+var overshoot = 0;
+/**
+ * @var bool brush style - strokes become filled outlines of varying width
+ */
+var brush = false;
+/**
+ * @var float max width of brush strokes
+ */
+var brushWidth = 4;
+/**
+ * @var float part of a brush stroke at each end that tapers to a point
+ */
+var brushTaper = 0.25;
+/**
+ * @var float variation of brush stroke width from 0 (none) to 1 (full)
+ */
+var brushNoise = 0.3;
+/**
+ * @var string fill style: "hachure", "cross-hatch", "zigzag", "solid-scribble" or none
+ */
+var fill = undefined;
+/**
+ * @var float angle of fill lines in degree
+ */
+var fillAngle = -41;
+/**
+ * @var float distance between fill lines
+ */
+var fillGap = 8;
+/**
+ * @var string canvas only: color filling closed shapes, or their fill lines
+ * if "fill" is set - none means no fill
+ */
+var fillStyle = undefined;
+/**
+ * @var string canvas only: color of strokes - none means the one of the context
+ */
+var strokeStyle = undefined;
+/**
+ * @var float font size of hand drawn text in pixels
+ */
+var fontSize = 16;
+/**
+ * @var bool hand lettering - text drawn as strokes in place of font glyphs
+ */
+var lettering = false;
+/**
+ * @var float max rotation of single glyphs in degree
+ */
+var textRotate = 5;
+/**
+ * @var float max baseline offset of single glyphs relative to font size
+ */
+var textShift = 0.06;
+/**
+ * @var float max size variation of single glyphs relative to font size
+ */
+var textScale = 0.08;
+/**
+ * @var float space between the text box and the border of bubbles
+ */
+var bubblePadding = 8;
+/**
+ * @var float width of bubble tails where they leave the bubble
+ */
+var tailWidth = 16;
+/**
+ * @var int number of brightness levels images are reduced to before tracing edges
+ */
+var imageLevels = 4;
+/**
+ * @var int max width & height in pixels images are traced at
+ */
+var imageSize = 200;
+/**
+ * @var bool animate shapes as being drawn by a pen
+ */
+var reveal = false;
+/**
+ * @var float duration of drawing one shape in milliseconds
+ */
+var revealDuration = 1000;
+/**
+ * @var float delay between the starts of drawing subsequent shapes in milliseconds
+ */
+var revealStagger = 100;
 /**
- * @var function code to execute when starting drawing a shape
+ * @var mixed easing of drawing: "linear", "ease-in", "ease-out", "ease-in-out"
+ * or a function mapping progress from 0 to 1 to drawn part from 0 to 1
  */
-var begin = function() {};
+var revealEasing = "linear";
 /**
- * @var function code to execute when finished drawing a shape
+ * @var bool keep shapes cartoonized by "magic" as invisible targets of
+ * events below their hand drawn paths instead of replacing them
  */
-var finish = function() {};
+var overlay = false;
 /**
- * @var function code to draw comic path using specific user lib
+ * @var mixed seed for the random number generator - none means Math.random
  */
-var path = function() {};
+var seed = undefined;
 /**
- * @var string path string built upon subsequent calls of "path" function
+ * @var object 2d canvas context (if any)
  */
-var pathStr = "";
+var context = undefined;
 /**
  * @var int decimal precision to which all drawing coordinates will be rounded
  */
@@ -77,762 +182,3684 @@ var precision = 10;
  */
 var roundFactor = Math.pow(10, precision);
 /**
- * @var point current drawing point of path - needed for continuous paths
+ * @var int hard coded fudge factor for the "fsteps" option
  */
-C.pathPos = { x:0, y:0 };
+var fstepsFactor = 10;
 
 /**
- * Public function to allow user defined options, also
- * setting a 2d canvas context for drawing.
+ * Public function to create an independent instance of comic.js, with
+ * its own options, drawing position & random numbers, to be bound to
+ * its own canvas context ("ctx") or library ("bindTo"). The "COMIC"
+ * object itself is the default instance.
  *
- * @param options object with options
- * @return C object
+ * @param options object with options (optional), see "init"
+ * @return instance object
  */
-C.init = function(options) {
-    // no need to deep copy & no need to drop unknown options
-    for(var prop in options) {
-        if(options.hasOwnProperty(prop)) {
-            C[prop] = options[prop];
-            // hard coded fudge factor
-            if(prop == 'fsteps')
-                C.fsteps *= 10;
-        }
+var create = function(options) {
+    var inst = setup({ version: C.version });
+    if(typeof options == "object" && options !== null) {
+        inst.init(options);
     }
 
-    // if new canvas context call bind to
-    if(typeof options["context"] == "object") {
-        bindTo("canvas", C.context);
-    }
-
-    return C;
-}
-
-/**
- * Public function to init drawing functions on the given
- * 2d canvas context.
- *
- * @param context 2d canvas context
- * @return C object
- */
-C.ctx = function(context) {
-    C.init({ "context": context });
-
-    return C;
+    return inst;
 }
 
 /**
- * Binds comic drawing functions to the given library using the
- * given method to draw svg paths. If no method is given (2nd param),
- * it tries to call "path" directly on lib.
+ * Set up the given instance with the public functions, the default
+ * options & drawing functions for itself & plain path strings.
  *
- * @param libName root object to hook in to
- * @param lib root object to hook in to
- * @return void
+ * @param inst instance object
+ * @return instance object
  */
-var bindTo = function(libName, lib) {
+var setup = function(inst) {
     /**
-     * WRAPPER for real, private "cBezier3"
-     * hand draw a cubic Bezier curve
-     *
-     * @param x0 x starting point
-     * @param y0 y starting point
-     * @param cx0 x 1st control point
-     * @param cy0 y 1st control point
-     * @param cx1 x 2nd control point
-     * @param cy1 y 2nd control point
-     * @param x1 x end point
-     * @param y1 y end point
-     * @return native library object
+     * @var point current drawing point of path - needed for continuous paths
      */
-    lib.cBezier3 = function(x0, y0, cx0, cy0, cx1, cy1, x1, y1) {
-        begin.call(this);
-        cBezier3.call(this, x0, y0, cx0, cy0, cx1, cy1, x1, y1);
-        return finish.call(this);
-    }
+    inst.pathPos = { x:0, y:0 };
+    /**
+     * @var int time at which the next shape may start being drawn, see "reveal"
+     */
+    inst.revealAt = 0;
 
     /**
-     * Private version that does not call "begin" or "finish".
-     * Wrapped by "cBezier3" public.
-     * hand draw a cubic Bezier curve
+     * Public function to allow user defined options, also
+     * setting a 2d canvas context for drawing.
      *
-     * @param x0 x starting point
-     * @param y0 y starting point
-     * @param cx0 x 1st control point
-     * @param cy0 y 1st control point
-     * @param cx1 x 2nd control point
-     * @param cy1 y 2nd control point
-     * @param x1 x end point
-     * @param y1 y end point
-     * @return native library object
+     * @param options object with options
+     * @return instance object
      */
-    var cBezier3 = function(x0, y0, cx0, cy0, cx1, cy1, x1, y1) {
-        // number of steps - this is a very primitive approach to
-        // estimate the Bezier arc length
-        var d = dist2(x0, y0, x1, y1) * 3;
-        var steps = Math.ceil(Math.pow(d / C.fsteps, 0.9));
-        // fuzzyness
-        var f = C.ff * 0.8;
-
-        var p0 = [x0, y0];
-        var pc0 = [cx0, cy0];
-        var pc1 = [cx1, cy1];
-        var p1 = [x1, y1];
-        var curve2 = [p0, pc0, pc1, p1];
-        for(var i = steps; i > 0; i--) {
-            // split curve2
-            var points = bsplit(curve2, 1/i);
-            var curve1 = points[0];
-            var curve2 = points[1];
-            // set points for drawing from curve1
-            p0 = curve1[0]; pc0 = curve1[1];  pc1 = curve1[2]; p1 = curve1[3];
+    inst.init = function(options) {
+        // no need to deep copy & no need to drop unknown options
+        for(var prop in options) {
+            if(options.hasOwnProperty(prop)) {
+                setOption(inst, prop, options[prop]);
+            }
+        }
+        // new seed or generator means new random sequence
+        if(options.hasOwnProperty("seed") || options.hasOwnProperty("prng")) {
+            inst.random = makeRandom(inst);
+        }
 
-            path.call(this, p0[0], p0[1],
-                fuzz((pc0[0]+pc1[0])/2, f), // just make one control point
-                fuzz((pc0[1]+pc1[1])/2, f),
-                p1[0], p1[1]);
+        // if new canvas context call bind to
+        if(typeof options["context"] == "object") {
+            bindTo("canvas", inst.context, inst);
         }
 
-        return this;
+        return inst;
     }
 
     /**
-     * WRAPPER for real, private "cBezier2"
-     * hand draw a quadratic Bezier curve
+     * Public function to init drawing functions on the given
+     * 2d canvas context.
      *
-     * @param x0 x starting point
-     * @param y0 y starting point
-     * @param cx x control point
-     * @param cy y control point
-     * @param x1 x end point
-     * @param y1 y end point
-     * @return native library object
+     * @param context 2d canvas context
+     * @return instance object
      */
-    lib.cBezier2 = function(x0, y0, cx, cy, x1, y1) {
-        begin.call(this);
-        cBezier2.call(this, x0, y0, cx, cy, x1, y1);
-        return finish.call(this);
+    inst.ctx = function(context) {
+        inst.init({ "context": context });
+
+        return inst;
     }
 
     /**
-     * Private version that does not call "begin" or "finish".
-     * Wrapped by "cBezier2" public.
-     * hand draw a quadratic Bezier curve
+     * Public function to bind drawing functions of this instance
+     * to the given library, see "bindTo".
      *
-     * @param x0 x starting point
-     * @param y0 y starting point
-     * @param cx x control point
-     * @param cy y control point
-     * @param x1 x end point
-     * @param y1 y end point
-     * @return native library object
+     * @param libName name of the library
+     * @param lib root object to hook in to
+     * @return void
      */
-    var cBezier2 = function(x0, y0, cx, cy, x1, y1) {
-        // number of steps - this is a very primitive approach to
-        // estimate the Bezier arc length
-        var d = dist2(x0, y0, x1, y1) * 3;
-        var steps = Math.ceil(Math.pow(d / C.fsteps, 0.9));
-        // fuzzyness
-        var f = C.ff * 0.8;
+    inst.bindTo = function(libName, lib) {
+        bindTo(libName, lib, inst);
+    }
 
-        var p0 = [x0, y0];
-        var pc = [cx, cy];
-        var p1 = [x1, y1];
-        var curve2 = [p0, pc, p1];
-        for(var i = steps; i > 0; i--) {
-            // split curve2
-            var points = bsplit(curve2, 1/i);
-            var curve1 = points[0];
-            var curve2 = points[1];
-            // set points for drawing from curve1
-            p0 = curve1[0]; pc = curve1[1]; p1 = curve1[2];
+    inst.create = create;
+    inst.panels = panels;
+    inst.scene = scene;
+    inst.init(defaults);
 
-            path.call(this, p0[0], p0[1], fuzz(pc[0], f), fuzz(pc[1], f), p1[0], p1[1]);
-        }
+    // comic.js - bind to self
+    bindTo("self", inst, inst);
+    // comic.js - plain path strings, independent of any DOM or drawing lib
+    inst.path = {};
+    bindTo("string", inst.path, inst);
 
-        return this;
-    }
+    return inst;
+}
 
-    /**
-     * WRAPPER for real, private "cEllipse"
-     * Draw a comic style / hand drawn cEllipse
-     *
-     * @param x x center
-     * @param y y center
-     * @param rh horizontal radius
-     * @param rv vertical radius
-     * @param rot rotation in radians
-     * @param start start in radians for drawing an arc only (optional)
-     * @param end end in radians for drawing an arc only (optional)
-     * @return native library object
-     */
-    lib.cEllipse = function(x, y, rh, rv, rot, start, end) {
-        begin.call(this);
-        cEllipse.call(this, x, y, rh, rv, rot, start, end);
-        return finish.call(this);
+/**
+ * Default pseudo random number generator factory (mulberry32).
+ * Can be replaced via the "prng" option by any function that takes
+ * a seed and returns a function generating numbers in [0, 1).
+ *
+ * @param seed number or string to seed the generator with
+ * @return function
+ */
+var prng = function(seed) {
+    var state = 0;
+    // hash strings & fractions into a 32 bit integer
+    seed = String(seed);
+    for(var i = 0; i < seed.length; i++) {
+        state = Math.imul(state ^ seed.charCodeAt(i), 2654435761);
     }
 
-    /**
-     * Private version that does not call "begin" or "finish".
-     * Wrapped by "cEllipse" public.
-     * hand draw an ellipse
-     *
-     * @param x x center
-     * @param y y center
-     * @param rh horizontal radius
-     * @param rv vertical radius
-     * @param rot rotation in radians
-     * @param start start in radians for drawing an arc only (optional)
-     * @param end end in radians for drawing an arc only (optional)
-     * @return native library object
-     */
-    var cEllipse = function(x, y, rh, rv, rot, start, end) {
-        var PI2 = Math.PI * 2;
-        // sanitize input
-        start = (typeof start == "undefined") ? 0 : start;
-        end = (typeof end == "undefined") ? PI2 : end;
-        rot = (typeof rot == "undefined") ? 0 : rot;
-        // rotation
-        var cosRot = Math.cos(rot);
-        var sinRot = Math.sin(rot);
-        // number of steps
-        var steps = C.msteps + ((rh + rv) / 2) * C.fsteps / 200;
-        // fuzzyness dependent on on radius
-        var fh = C.ffc * Math.pow(rh, 0.5) * 0.3 / Math.pow(steps, 0.25);
-        var fv = C.ffc * Math.pow(rv, 0.5) * 0.3 / Math.pow(steps, 0.25);
-        // distortion of the ellipse
-        var xs = 0.95 + Math.random() * 0.1;
-        var ys = 0.95 + Math.random() * 0.1;
-        var rxs = rh * xs;
-        var rys = rv * ys;
-        // lenght of one segment
-        var arcLength = end - start;
-        var segLength = arcLength / steps;
-
-        // initial values for i = 0
-        var t1 = start; var t0, x0, y0;
-        var cosT1rxs = rxs * Math.cos(t1);
-        var sinT1rys = rys * Math.sin(t1);
-        var x1 = x + cosT1rxs * cosRot - sinT1rys * sinRot;
-        var y1 = y + cosT1rxs * sinRot + sinT1rys * cosRot;
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        var t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
-        // correct startpoint deviation (through fuzzed radius) by drawing a line
-        cLine.call(this,
-                   x + rh * Math.cos(t1) * cosRot - rv * Math.sin(t1) * sinRot, // would be start x
-                   y + rh * Math.cos(t1) * sinRot + rv * Math.sin(t1) * cosRot, // would be start y
-                   x1,  // actual start x
-                   y1); // actual start y
+/**
+ * Set a single option on the given instance.
+ *
+ * @param inst instance object
+ * @param prop option name
+ * @param value option value
+ * @return void
+ */
+var setOption = function(inst, prop, value) {
+    inst[prop] = value;
+}
 
-        for(var i = 1; i <= steps; i++) {
-            t1 = t1 + segLength;
-            var x0 = x1;
-            var y0 = y1;
-            var cosT1rxs = rxs * Math.cos(t1);
-            var sinT1rys = rys * Math.sin(t1);
-            var x1 = x + cosT1rxs * cosRot - sinT1rys * sinRot;
-            var y1 = y + cosT1rxs * sinRot + sinT1rys * cosRot;
+/**
+ * Create the random function for the current "seed" & "prng" options
+ * of the given instance. Without a seed this falls back to Math.random.
+ *
+ * @param inst instance object
+ * @return function
+ */
+var makeRandom = function(inst) {
+    return (typeof inst.seed == "undefined" || inst.seed === null) ?
+           Math.random : inst.prng(inst.seed);
+}
 
-            path.call(this, x0, y0, fuzz((x0 + x1) / 2, fh), fuzz((y0 + y1) / 2, fv), x1, y1);
+/**
+ * Call the given function with the given options applied to the given
+ * instance for the duration of that call only. A "seed" option gives
+ * the call its own random sequence, leaving the instance's untouched.
+ *
+ * @param inst instance object
+ * @param opts object with options (optional)
+ * @param fn function to call
+ * @return mixed return value of fn
+ */
+var withOptions = function(inst, opts, fn) {
+    if(typeof opts != "object" || opts === null) {
+        return fn.call(this);
+    }
+    var saved = {};
+    var random = inst.random;
+    for(var prop in opts) {
+        if(opts.hasOwnProperty(prop)) {
+            saved[prop] = inst[prop];
+            setOption(inst, prop, opts[prop]);
         }
-        // correct endpoint deviation (through fuzzed radius) by drawing a line
-        cLine.call(this,
-                   x1, // actual end x
-                   y1, // actual end y
-                   x + rh * Math.cos(end) * cosRot - rv * Math.sin(end) * sinRot,  // would be end x
-                   y + rh * Math.cos(end) * sinRot + rv * Math.sin(end) * cosRot); // would be end y
-
-        return this;
     }
-
-    /**
-     * WRAPPER for real, private "cCircle"
-     * Draw a comic style / hand drawn circle
-     *
-     * @param x x center
-     * @param y y center
-     * @param r radius
-     * @param start start in radians (< 2*PI) for drawing an arc only (optional)
-     * @param end end in radians (< 2*PI) for drawing an arc only (optional)
-     * @return native library object
-     */
-    lib.cCircle = function(x, y, r, start, end) {
-        begin.call(this);
-        cCircle.call(this, x, y, r, start, end);
-        return finish.call(this);
+    if(opts.hasOwnProperty("seed") || opts.hasOwnProperty("prng")) {
+        inst.random = makeRandom(inst);
+    }
+    try {
+        return fn.call(this);
+    }
+    finally {
+        for(var prop in saved) {
+            inst[prop] = saved[prop];
+        }
+        inst.random = random;
     }
+}
 
-    /**
-     * Private version that does not call "begin" or "finish".
-     * Wrapped by "cCircle" public.
-     * hand draw a circle
-     *
-     * @param x x center
-     * @param y y center
-     * @param r radius
-     * @param start start in radians for drawing an arc only (optional)
-     * @param end end in radians for drawing an arc only (optional)
-     * @return native library object
-     */
-    var cCircle = function(x, y, r, start, end) {
-        var PI2 = Math.PI * 2;
-        // sanitize input
-        start = (typeof start == "undefined") ? 0 : start;
-        end = (typeof end == "undefined") ? PI2 : end;
-        // number of steps
-        var steps = C.msteps + r * C.fsteps / 200;
-        // fuzzyness dependent on on radius
-        var f = C.ffc * Math.pow(r, 0.5) * 0.3 / Math.pow(steps, 0.25);
-        // distortion of the circle
-        var xs = 0.975 + Math.random() * 0.05;
-        var rxs = r * xs;
-        var rys = r * (2.0 - xs);
-        // lenght of one segment
-        var arcLength = end - start;
-        var segLength = arcLength / steps;
+/**
+ * Parse an svg "transform" attribute into a matrix.
+ *
+ * @param str transform attribute, e.g. "translate(10, 20) rotate(45)"
+ * @return array with matrix values a, b, c, d, e & f
+ */
+var parseTransform = function(str) {
+    var m = [1, 0, 0, 1, 0, 0];
+    var re = /(\w+)\s*\(([^)]*)\)/g;
+    var match;
+    while((match = re.exec(str || "")) !== null) {
+        var v = match[2].match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+        for(var i = 0; i < v.length; i++) v[i] = parseFloat(v[i]);
+        var rad = v[0] * Math.PI / 180;
+        var t;
+        switch(match[1]) {
+            case "matrix":
+                t = v;
+                break;
+            case "translate":
+                t = [1, 0, 0, 1, v[0], v[1] || 0];
+                break;
+            case "scale":
+                t = [v[0], 0, 0, (v.length > 1) ? v[1] : v[0], 0, 0];
+                break;
+            case "rotate":
+                // around (cx, cy) if given
+                var cos = Math.cos(rad), sin = Math.sin(rad);
+                var cx = v[1] || 0, cy = v[2] || 0;
+                t = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                break;
+            case "skewX":
+                t = [1, 0, Math.tan(rad), 1, 0, 0];
+                break;
+            case "skewY":
+                t = [1, Math.tan(rad), 0, 1, 0, 0];
+                break;
+            default:
+                continue;
+        }
+        m = [m[0] * t[0] + m[2] * t[1], m[1] * t[0] + m[3] * t[1],
+             m[0] * t[2] + m[2] * t[3], m[1] * t[2] + m[3] * t[3],
+             m[0] * t[4] + m[2] * t[5] + m[4], m[1] * t[4] + m[3] * t[5] + m[5]];
+    }
+    return m;
+}
 
-        // initial values for i = 0
-        var t1 = start; var t0, x0, y0;
-        var x1 = x + Math.cos(t1) * rxs;
-        var y1 = y + Math.sin(t1) * rys; // initial values for i = 0
+/**
+ * Get the current values of all options of the given instance, but
+ * its canvas context.
+ *
+ * @param inst instance object
+ * @return object with options
+ */
+var optionsOf = function(inst) {
+    var opts = {};
+    for(var prop in defaults) {
+        if(prop != "context") opts[prop] = inst[prop];
+    }
+    return opts;
+}
 
-        // correct startpoint deviation (through fuzzed radius) by drawing a line
-        cLine.call(this,
-                   x + Math.cos(t1) * r, // would be start x
-                   y + Math.sin(t1) * r, // would be start y
-                   x1,  // actual start x
-                   y1); // actual start y
+/**
+ * Get the options to draw a shape again while boiling, see "boil": the
+ * given options it was drawn with, but with fresh random numbers, no
+ * animation & the jitter scaled by the given factor.
+ *
+ * @param opts object with options as returned by "optionsOf"
+ * @param amplitude factor for the jitter
+ * @return object with options
+ */
+var boilOptions = function(opts, amplitude) {
+    var res = { ff: opts.ff * amplitude, ffc: opts.ffc * amplitude,
+                seed: undefined, reveal: false };
+    for(var prop in opts) {
+        if(! res.hasOwnProperty(prop)) res[prop] = opts[prop];
+    }
+    return res;
+}
 
-        for(var i = 1; i <= steps; i++) {
-            t1 = t1 + segLength;
-            x0 = x1;
-            y0 = y1;
-            x1 = x + Math.cos(t1) * rxs;
-            y1 = y + Math.sin(t1) * rys;
+/**
+ * @var object easing functions for the "revealEasing" option by name
+ */
+var easings = {
+    "linear": function(t) { return t; },
+    "ease-in": function(t) { return t * t; },
+    "ease-out": function(t) { return t * (2 - t); },
+    "ease-in-out": function(t) { return (t < 0.5) ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t); }
+};
 
-            path.call(this, x0, y0, fuzz((x0 + x1) / 2, f), fuzz((y0 + y1) / 2, f), x1, y1);
-        }
-        // correct endpoint deviation (through fuzzed radius) by drawing a line
-        cLine.call(this,
-                   x1, // actual end x
-                   y1, // actual end y
-                   x + Math.cos(end) * r,  // would be end x
-                   y + Math.sin(end) * r); // would be end y
+/**
+ * Schedule drawing the next shape of the given instance as being drawn
+ * by a pen: it starts "revealStagger" milliseconds after the previous
+ * one or right away, if that one started long enough ago.
+ *
+ * @param inst instance object
+ * @return object with "delay" & "duration" in milliseconds & "easing" function
+ */
+var revealTiming = function(inst) {
+    var now = Date.now();
+    var start = Math.max(now, inst.revealAt);
+    inst.revealAt = start + inst.revealStagger;
+    var easing = (typeof inst.revealEasing == "function") ? inst.revealEasing :
+                 easings[inst.revealEasing] || easings.linear;
+    return { delay: start - now, duration: inst.revealDuration, easing: easing };
+}
 
-        return this;
+/**
+ * Animate the given svg path as being drawn by a pen: its stroke via
+ * the dash offset, or if it is filled, e.g. brush strokes, by fading in.
+ * Uses the Web Animations API, thus leaves the attributes untouched.
+ *
+ * @param e svg path element
+ * @param timing object as returned by "revealTiming"
+ * @param filled true if the path is filled instead of stroked
+ * @return void
+ */
+var revealPath = function(e, timing, filled) {
+    if(typeof e.animate != "function") return;
+    var length = (! filled && typeof e.getTotalLength == "function") ?
+                 e.getTotalLength() : 0;
+    var frames = [];
+    var n = 20; // easing is sampled into keyframes
+    for(var i = 0; i <= n; i++) {
+        var t = (i < n) ? timing.easing(i / n) : 1;
+        frames.push((length > 0) ?
+            { offset: i / n, strokeDasharray: length + " " + length,
+              strokeDashoffset: length * (1 - t) } :
+            { offset: i / n, opacity: t });
     }
+    e.animate(frames, { duration: timing.duration, delay: timing.delay, fill: "backwards" });
+}
 
-    /**
-     * Draw a triangle using line function
-     *
-     * @param x0 x first point
-     * @param y0 y first point
-     * @param x1 x second point
-     * @param y1 y second point
-     * @param x2 x third point
-     * @param y2 y third point
-     * @return native library object
-     */
-    lib.cTrian = function(x0, y0, x1, y1, x2, y2) {
-        begin.call(this);
-        cLine.call(this, x0, y0, x1, y1);
-        cLine.call(this, x1, y1, x2, y2);
-        cLine.call(this, x2, y2, x0, y0);
-        return finish.call(this);
+/**
+ * Clear the whole canvas of the given 2d canvas context.
+ *
+ * @param ctx 2d canvas context
+ * @return void
+ */
+var clearCanvas = function(ctx) {
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.restore();
+}
+
+/**
+ * Trace the given segments as current path of the given 2d canvas
+ * context, connecting them into subpaths & closing these where a null
+ * segment was recorded.
+ *
+ * @param ctx 2d canvas context
+ * @param segs array of segments as recorded by "startRecord"
+ * @return void
+ */
+var traceSegs = function(ctx, segs) {
+    ctx.beginPath();
+    var pos = undefined;
+    for(var i = 0; i < segs.length; i++) {
+        var seg = segs[i];
+        if(seg === null) {
+            if(pos) ctx.closePath();
+            pos = undefined;
+            continue;
+        }
+        // "move to" only required if (x0, y0) != current pos - up to
+        // rounding errors, to keep connected segments one subpath
+        if(! pos || Math.abs(pos.x - seg[0]) > 1e-6 || Math.abs(pos.y - seg[1]) > 1e-6) {
+            ctx.moveTo(seg[0], seg[1]);
+        }
+        ctx.quadraticCurveTo(seg[2], seg[3], seg[4], seg[5]);
+        pos = { x:seg[4], y:seg[5] };
     }
+}
 
-    /**
-     * WRAPPER for real, private "cRect"
-     * Draw a comic style / hand drawn rectangle using line function
-     *
-     * @param x0 x upper left corcer
-     * @param y0 y upper left corner
-     * @param width width of the rectangle
-     * @param height height of the rectangle
-     * @param rh horizontal radius of rounded corners
-     * @param rv vertical radius of rounded corners
-     * @return native library object
-     */
-    lib.cRect = function(x0, y0, width, height, rh, rv) {
-        begin.call(this);
-        cRect.call(this, x0, y0, width, height, rh, rv);
-        return finish.call(this);
+/**
+ * @brief Paint a shape on the given 2d canvas context.
+ *
+ * The outline is filled in "fillStyle" unless hatched, then stroked.
+ * Fill lines from "hatchAt" on are stroked in "fillStyle". Brush
+ * strokes are outlines, thus filled in their color instead. Only the
+ * segments from "from" to "to" are painted - all of them if not given,
+ * but an outline to fill is filled & stroked whole once "to" completes it.
+ *
+ * @param ctx 2d canvas context in the look to paint in
+ * @param shape object with "segs" as recorded by "startRecord", "fill"
+ * true for brush strokes, "fillStyle" & index of first fill line "hatchAt"
+ * @param from index of the first segment to paint (optional)
+ * @param to index after the last segment to paint (optional)
+ * @return void
+ */
+var paintShape = function(ctx, shape, from, to) {
+    var segs = shape.segs;
+    var hatched = (typeof shape.hatchAt == "number");
+    var end = hatched ? shape.hatchAt : segs.length;
+    from = from || 0;
+    to = (typeof to == "number") ? to : segs.length;
+    var color = ctx.strokeStyle;
+    var ink = function(style) {
+        if(shape.fill) {
+            ctx.fillStyle = style;
+            ctx.fill();
+        }
+        else {
+            ctx.strokeStyle = style;
+            ctx.stroke();
+        }
+    };
+    ctx.save();
+    if(from < end) {
+        var solid = shape.fillStyle && ! shape.fill && ! hatched && to >= end;
+        traceSegs(ctx, segs.slice(solid ? 0 : from, Math.min(to, end)));
+        if(solid) {
+            ctx.fillStyle = shape.fillStyle;
+            ctx.fill();
+        }
+        ink(color);
+    }
+    if(to > end) {
+        traceSegs(ctx, segs.slice(Math.max(from, end), to));
+        ink(shape.fillStyle || color);
     }
+    ctx.restore();
+}
 
-    /**
-     * Private version that does not call "begin" or "finish".
-     * Wrapped by "cRect" public.
-     * Draw a comic style / hand drawn rectangle using line function
-     *
-     * @param x0 x upper left corcer
-     * @param y0 y upper left corner
-     * @param width width of the rectangle
-     * @param height height of the rectangle
-     * @param rh horizontal radius of rounded corners
-     * @param rv vertical radius of rounded corners
-     * @return native library object
-     */
-    var cRect = function(x0, y0, width, height, rh, rv) {
-        var halfPI;
-        // sanitize input
-        rh = (typeof rh == "undefined") ? 0 : Math.min(rh, width/2);
-        rv = (typeof rv == "undefined") ? rh : Math.min(rv, height/2);
-        // calculate lower left corner
-        var x1 = x0 + width;
-        var y1 = y0 + height;
+/**
+ * Draw a shape kept in a scene on the given 2d canvas context.
+ *
+ * @param ctx 2d canvas context
+ * @param shape object with drawing styles "style" & the shape as
+ * painted by "paintShape"
+ * @param ratio factor to scale the shape by
+ * @return void
+ */
+var drawSceneShape = function(ctx, shape, ratio) {
+    var m = shape.style.transform || [1, 0, 0, 1, 0, 0];
+    ctx.save();
+    for(var prop in shape.style) {
+        if(prop != "transform") ctx[prop] = shape.style[prop];
+    }
+    ctx.setTransform(m[0] * ratio, m[1] * ratio, m[2] * ratio,
+                     m[3] * ratio, m[4] * ratio, m[5] * ratio);
+    paintShape(ctx, shape);
+    ctx.restore();
+}
 
-        cLine.call(this, x0+rh, y0, x1-rh, y0);
-        if(rh > 0) {
-            halfPI = Math.PI / 2;
-            cEllipse.call(this, x1-rh, y0+rv, rh, rv, 0, halfPI*3, Math.PI*2);
+/**
+ * Get a shape kept in a scene as svg path elements: one for its
+ * outline & one for its fill lines, if any.
+ *
+ * @param shape object with drawing styles "style" & the shape as
+ * painted by "paintShape"
+ * @return string
+ */
+var sceneShapeToSVG = function(shape) {
+    var esc = function(v) {
+        return String(v).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+    };
+    // gradients & patterns have no svg attribute value
+    var paint = function(v) {
+        return (typeof v == "string") ? v : "black";
+    };
+    var element = function(segs, color, solid) {
+        var d = [];
+        var pos = undefined;
+        for(var i = 0; i < segs.length; i++) {
+            var seg = segs[i];
+            if(seg === null) {
+                d.push("Z");
+                pos = undefined;
+                continue;
+            }
+            if(! pos || Math.abs(pos.x - seg[0]) > 1e-6 || Math.abs(pos.y - seg[1]) > 1e-6) {
+                d.push("M", round(seg[0]), round(seg[1]));
+            }
+            d.push("Q", round(seg[2]), round(seg[3]), round(seg[4]), round(seg[5]));
+            pos = { x:seg[4], y:seg[5] };
         }
-        cLine.call(this, x1, y0+rv, x1, y1-rv);
-        if(rh > 0) {
-            cEllipse.call(this, x1-rh, y1-rv, rh, rv, 0, 0, halfPI);
+        var atts = { d: d.join(" ") };
+        if(shape.style.transform) atts.transform = "matrix(" + shape.style.transform.join(" ") + ")";
+        if(shape.fill) {
+            atts.fill = color;
+            atts.stroke = "none";
         }
-        cLine.call(this, x1-rh, y1, x0+rh, y1);
-        if(rh > 0) {
-            cEllipse.call(this, x0+rh, y1-rv, rh, rv, 0, halfPI, Math.PI);
+        else {
+            atts.fill = solid || "none";
+            atts.stroke = color;
+            atts["stroke-width"] = shape.style.lineWidth;
+            atts["stroke-linecap"] = shape.style.lineCap;
+            atts["stroke-linejoin"] = shape.style.lineJoin;
         }
-        cLine.call(this, x0, y1-rv, x0, y0+rv);
-        if(rh > 0) {
-            cEllipse.call(this, x0+rh, y0+rv, rh, rv, 0, Math.PI, halfPI*3);
+        atts.opacity = shape.style.globalAlpha;
+        var str = "<path";
+        for(var name in atts) {
+            if(typeof atts[name] != "undefined") str += " " + name + '="' + esc(atts[name]) + '"';
         }
-
-        return this;
+        return str + "/>";
+    };
+    var color = paint(shape.style.strokeStyle);
+    if(typeof shape.hatchAt != "number") {
+        return element(shape.segs, color, shape.fillStyle && paint(shape.fillStyle));
     }
+    return element(shape.segs.slice(0, shape.hatchAt), color) +
+           element(shape.segs.slice(shape.hatchAt), shape.fillStyle ? paint(shape.fillStyle) : color);
+}
 
-    /**
-     * WRAPPER for real, private "cLine"
-     * Draw a comic style / hand drawn line
-     *
-     * @param x0 x start
-     * @param y0 y start
-     * @param x1 x end
-     * @param y1 y end
-     * @return native library object
-     */
-    lib.cLine = function(x0, y0, x1, y1) {
-        begin.call(this);
-        cLine.call(this, x0, y0, x1, y1);
-        return finish.call(this);
-    }
+/**
+ * Public function to keep all shapes drawn on the given 2d canvas
+ * context from now on in a scene: their path segments & drawing styles,
+ * to draw them again, e.g. after resizing the canvas, and to save them
+ * as JSON. Given scene data, e.g. from JSON, is drawn right away.
+ *
+ * @param ctx 2d canvas context, bound via "ctx"
+ * @param data scene or JSON string of a scene to start with (optional)
+ * @return scene object
+ */
+var scene = function(ctx, data) {
+    data = (typeof data == "string") ? JSON.parse(data) : data;
+    var res = {
+        /**
+         * @var array shapes kept, each with "style", "fill", "fillStyle",
+         * "hatchAt" & "segs"
+         */
+        shapes: (data && data.shapes) ? data.shapes.slice() : [],
+        /**
+         * @var float factor the shapes are drawn scaled by
+         */
+        ratio: 1,
 
-    /**
-     * Private version that does not call "begin" or "finish".
-     * Wrapped by "cLine" public.
-     * Draw a comic style / hand drawn line
-     *
-     * @param x0 x start
-     * @param y0 y start
-     * @param x1 x end
-     * @param y1 y end
-     * @return native library object
-     */
-    var cLine = function(x0, y0, x1, y1) {
         /**
-         * Estimate the movement of the arm
-         * Reuses 3rd param from last call if omitted
+         * Clear the canvas & draw all shapes of the scene again. Given a
+         * ratio, the context is left scaled by it for drawing on, shapes
+         * drawn are kept unscaled.
          *
-         * @param x0 x start
-         * @param x1 x end
-         * @param t step from 0 to 1
-         * @return number
+         * @param ratio factor to scale the shapes by from now on (optional)
+         * @return scene object
          */
-        var ft; // store this outside function to preserve
-        var handMovement = function(x0, x1, t) {
-            // calculate ft or use old value if no "t" given
-            if(typeof t != "undefined") {
-                var pow3 = Math.pow(t, 3);
-                var pow4 = pow3 * t;
-                var pow5 = pow4 * t;
-                ft = (15 * pow4 -
-                      6 * pow5 -
-                      10 * pow3);
+        redraw: function(ratio) {
+            if(typeof ratio == "number") res.ratio = ratio;
+            clearCanvas(ctx);
+            for(var i = 0; i < res.shapes.length; i++) {
+                drawSceneShape(ctx, res.shapes[i], res.ratio);
             }
+            if(typeof ratio == "number") ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            return res;
+        },
 
-            return x0 + (x0 - x1) * ft;
-        }
-
-        // calculate number of steps
-        var d = dist2(x0, y0, x1, y1);
-        var steps = Math.ceil(d / C.fsteps);
-        if(steps < C.msteps) {
-            steps = C.msteps;
-        }
-        // fuzz factor
-        f = C.ff / ((steps == C.msteps) ? 1.4 : 1); // reduce for small lines
-        // draw line step by step using quadratic Bézier path
-        var xt1 = handMovement(x0, x1, 0); // bezier control point
-        var yt1 = handMovement(y0, y1); // bezier control point (reuse t0)
+        /**
+         * Clear the canvas & remove all shapes from the scene.
+         *
+         * @return scene object
+         */
+        clear: function() {
+            res.shapes = [];
+            clearCanvas(ctx);
+            return res;
+        },
 
-        for(var i = 1; i <= steps; i++) {
-            t1 = i / steps;
-            var xt0 = xt1; // bezier control point
-            var yt0 = yt1; // bezier control point
-            var xt1 = handMovement(x0, x1, t1); // bezier end point
-            var yt1 = handMovement(y0, y1); // bezier end point (reuse t1)
+        /**
+         * Resize the canvas to the given size in CSS pixels, with
+         * "ratio" device pixels per CSS pixel, & draw the scene again.
+         *
+         * @param width width in CSS pixels
+         * @param height height in CSS pixels
+         * @param ratio device pixels per CSS pixel (optional), default
+         * is "devicePixelRatio" of the window
+         * @return scene object
+         */
+        resize: function(width, height, ratio) {
+            ratio = ratio || ((typeof devicePixelRatio == "number") ? devicePixelRatio : 1);
+            var canvas = ctx.canvas;
+            if(canvas.style) {
+                canvas.style.width = width + "px";
+                canvas.style.height = height + "px";
+            }
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+            return res.redraw(ratio);
+        },
 
-            path.call(this, xt0, yt0, fuzz((xt0 + xt1) / 2, f), fuzz((yt0 + yt1) / 2, f), xt1, yt1);
+        /**
+         * Get the scene as SVG document, sized like the canvas in CSS
+         * pixels. Brush strokes become paths filled in stroke color.
+         *
+         * @return string
+         */
+        toSVG: function() {
+            var width = ctx.canvas.width / res.ratio;
+            var height = ctx.canvas.height / res.ratio;
+            var str = '<svg xmlns="http://www.w3.org/2000/svg" width="' + width +
+                      '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">\n';
+            for(var i = 0; i < res.shapes.length; i++) {
+                str += "  " + sceneShapeToSVG(res.shapes[i]) + "\n";
+            }
+            return str + "</svg>\n";
+        },
+
+        /**
+         * Get the scene as plain object, as used by JSON.stringify.
+         *
+         * @return object with "shapes"
+         */
+        toJSON: function() {
+            return { shapes: res.shapes };
         }
+    };
+    ctx.__comic__ = ctx.__comic__ || {};
+    ctx.__comic__.scene = res;
+    if(res.shapes.length > 0) res.redraw();
 
-        return this;
-    }
+    return res;
+}
 
+/**
+ * Binds comic drawing functions to the given library using the
+ * given method to draw svg paths. If no method is given (2nd param),
+ * it tries to call "path" directly on lib.
+ *
+ * @param libName root object to hook in to
+ * @param lib root object to hook in to
+ * @param C instance to draw with - its options, drawing position & random numbers
+ * @return void
+ */
+var bindTo = function(libName, lib, C) {
     /**
-     * Smart function for digesting input given to "magic" function.
-     * It looks for valid drawing elements, svg & g, and tries to find
-     * them in SVGDocument, Node and in direct children and parent
-     * elements.
-     *
-     * @param e Node or Element
-     * @return element
+     * @var function code to execute when starting drawing a shape
      */
-    var unWrap = function(e) {
-        var msg = "error: no drawing element given"; // in case of error
-        found = false; // false until valid drawing object found
-        tags = ["svg", "g"] // array of valid drawing tags
-        var unArray = function(e) {
-            // "string" of course is nonsense but would cause infinite loop
-            while(e[0] && typeof e[0] != "string") {
-                e = e[0];
-            }
-            return e;
-        }
-        // unwrap from e.g. SVGDocument
-        var unCD = function(e) {
-            if(e.contentDocument) e = e.contentDocument;
-            return e;
-        }
-        // look in the "node"
-        var unNode = function(e) {
-            if(typeof e.node == "object") {
-                if(typeof e.node.tagName == "string")
-                    e = e.node;
-            }
-            return e;
-        }
-        var checkTag = function(e) {
-            return (typeof e.tagName != "string") ?
-                    false : tags.indexOf(e.tagName) >= 0;
-        }
-        e = unArray(e);
-        e = unCD(e);
-        e = unNode(e);
-        // looking for an element, not any node, thus with "tagName"
-        if(! (found = checkTag(e)) ) {
-            // look in direct "child" elements
-            if(typeof e.children == "object") {
-                var i = 0;
-                while(!found && i < e.children.length) {
-                    eTmp = unCD(e.children[i]);
-                    eTmp = unNode(e.children[i]);
-                    if(found = checkTag(eTmp)) e = eTmp;
-                    i++;
-                }
-            }
-            // look in direct "parent" element if not yet found
-            if(typeof e.parent == "object" && !found) {
-                eTmp = unCD(e.children[i]);
-                eTmp = unNode(e.children[i]);
-                if(found = checkTag(eTmp)) e = eTmp;
-            }
-        }
-        if(!found) throw msg;
-
-        return e;
-    }
-
+    var begin = function() {};
     /**
-     * Wrapper calling C.magic with the object called on.
-     *
-     * @return native lib object
+     * @var function code to execute when finished drawing a shape
      */
-    lib.magic = function() {
-        return C.magic.call(this, this);
-    }
+    var finish = function() {};
+    /**
+     * @var function code to draw comic path using specific user lib
+     */
+    var path = function() {};
+    /**
+     * @var function code to close the current sub path
+     */
+    var close = function() {};
+    /**
+     * @var function code to write text as native glyphs using specific
+     * user lib - none means text is always hand lettered
+     */
+    var text = undefined;
+    /**
+     * @var function code to draw recorded segments animated as being drawn
+     * by a pen using specific user lib, see "reveal" option
+     */
+    var reveal = function(segs) {
+        replay.call(this, segs);
+        return finish.call(this);
+    };
+    /**
+     * @var string path string built upon subsequent calls of "path" function
+     */
+    var pathStr = "";
+    /**
+     * @var array segments built upon subsequent calls of "path" function
+     * on canvas, as recorded by "startRecord"
+     */
+    var pathSegs = [];
+    /**
+     * @var int index of the first fill line in the segments of the shape
+     * drawn - none if not hatched
+     */
+    var hatchAt = undefined;
+    /**
+     * @var object recording in progress, see "startRecord"
+     */
+    var recording = undefined;
+    /**
+     * @var object public functions working on svg elements, as "magic",
+     * set on the instance by the "self" binding only, see end of "bindTo"
+     */
+    var entries = {};
 
     /**
-     * Function to cartoonize any given svg.
+     * Run the given private shape function framed by "begin" and
+     * "finish". A trailing plain object in "args" is taken as per call
+     * options, overriding the global ones for this shape only - not
+     * lists like arrays or svg point lists, which are shape arguments.
      *
-     * @param svgs source svg / selection with source svgs to cartoonize
-     * @return native lib object
+     * @param shape private shape function
+     * @param args arguments given to the public wrapper
+     * @return native library object
      */
-    C.magic = function(svgs) {
-        if(! svgs) return;
-        svgs = svgs[0] ? svgs : [svgs];
-        // rerun for list[i>0]; wont happen in reruns since then svgList.length = 1
-        for(var i = 1; i < svgs.length; i++) {
-            C.magic.call(this, unWrap(svgs[i]));
-        }
-        var svg = unWrap(svgs[0]);
-
-        // do depth-frist tree traversal & skip branches at unknown tags
-        (function walk(e) {
-            // recursion if known, unvisited tag - skip branch otherwise
-            var adj = e.children;
-            for(var i = 0; i < adj.length; i++) {
-                if( ! adj[i].hasOwnProperty("walked") ) {
-                    adj[i].walked = true;
-                    if(["rect", "circle", "ellipse", "line", "polyline", "polygon",
-                        "path", "g", "svg"].indexOf(adj[i].tagName) >= 0) {
-                        walk.call(this, adj[i]);
-                    }
-                }
+    var draw = function(shape, args) {
+        args = Array.prototype.slice.call(args);
+        var last = args[args.length - 1];
+        var opts = (typeof last == "object" && last !== null && ! isArray(last) &&
+                    ! ("length" in last) && ! ("numberOfItems" in last) && ! ("getItem" in last)) ?
+                   args.pop() : undefined;
+        return withOptions.call(this, C, opts, function() {
+            // keep the shape to draw it again with fresh jitter, see "boil"
+            if(this.__comic__ && this.__comic__.shapes) {
+                this.__comic__.shapes.push(retain.call(this, shape, args));
             }
-            // do changes on the element
-            begin(); // we are using "begin" but wont be using "finish"
-            switch(e.tagName) {
-                case "rect":
-                    reRect.call(this, e);
-                    break;
-                case "circle":
-                    reCircle.call(this, e);
-                    break;
-                case "ellipse":
-                    reEllipse.call(this, e);
-                    break;
-                case "line":
-                    reLine.call(this, e);
-                    break;
-                case "polyline":
-                    rePolyline.call(this, e);
-                    break;
-                case "polygon":
-                    rePolygon.call(this, e);
-                    break;
-                case "path":
-                    rePath.call(this, e);
-                    break;
-                case "g":
-                    // nothing to do for "g"
-                    break;
-                case "svg":
-                    // nothing to do for "svg"
-                    break;
-                default:
+            var scene = this.__comic__ ? this.__comic__.scene : undefined;
+            begin.call(this);
+            // record to keep the segments in a scene or to animate them
+            // in the order drawn
+            var rec = (C.reveal || scene) ? startRecord() : undefined;
+            try {
+                strokes.call(this, shape, args);
             }
-            // if a basic shape encountered replace it with path
-            // NOTE: we copy attributes, but loose event listeners!
-            var p = e;
-            if(["rect", "circle", "ellipse", "line",
-                "polyline", "polygon"].indexOf(e.tagName) >= 0) {
-                p = document.createElementNS("http://www.w3.org/2000/svg", "path");
-                // copy attributes, avoid those specific to non-paths
-                var atts = e.attributes;
-                for (var i = 0; i < atts.length; i++) {
-                    if(["x", "y", "rx", "ry", "width", "height", "cx", "cy", "r",
-                        "x1", "y1", "x2", "y2", "points"].indexOf(atts[i].name) < 0)
-                        p.setAttribute(atts[i].name, atts[i].value);
-                }
-                e.parentNode.replaceChild(p, e);
+            finally {
+                var segs = rec ? stopRecord(rec) : undefined;
             }
-            // if a path has been prepared adjust "d" attribute
-            if(pathStr.length > 0) {
-                p.setAttribute("d", pathStr);
+            if(scene) {
+                var style = lookOf(this);
+                if(C.strokeStyle) style.strokeStyle = C.strokeStyle;
+                // unscaled, as drawn scaled by the ratio of the scene
+                if(style.transform) {
+                    style.transform = style.transform.map(function(v) { return v / scene.ratio; });
+                }
+                scene.shapes.push({ style: style, fill: C.brush, fillStyle: C.fillStyle,
+                                    hatchAt: hatchAt, segs: segs });
             }
-        }).call(this, svg);
-
-        return svg;
+            if(C.reveal) return reveal.call(this, segs);
+            if(rec) replay.call(this, segs);
+            return finish.call(this);
+        });
     }
 
     /**
-     * Function to get SVGAnimatedLength values.
-     * @param e svg element
-     * @return number
-     */
-    var g = function(e) { return e.animVal.value; };
-
-    /**
-     * Function to redraw an svg rect in cartoon style.
+     * Draw the given private shape function with the given arguments,
+     * hatching the fill of shapes with an outline & turning all strokes
+     * into brush strokes if wanted.
      *
-     * @param e svg rect element
-     * @return void
+     * @param shape private shape function
+     * @param args array of arguments for the shape function
+     * @return native library object
      */
-    var reRect = function(e) {
-        // call internal method that only builds pathStr
-        cRect.call(this, g(e.x), g(e.y),
-                   g(e.width), g(e.height),
-                   g(e.rx), g(e.ry));
+    var strokes = function(shape, args) {
+        hatchAt = undefined;
+        ink.call(this, function() {
+            shape.apply(this, args);
+        });
+        // fill shapes with an outline, remembering where fill lines start
+        // to draw them in their own color
+        if(shape.outline && C.fill) {
+            hatchAt = (recording ? recording.segs : pathSegs).length;
+            ink.call(this, function() {
+                hatch.call(this, shape.outline.apply(this, args));
+            });
+        }
+        return this;
     }
 
     /**
-     * Function to redraw an svg circle in cartoon style.
+     * Keep a shape drawn on a canvas context to draw it again with fresh
+     * jitter, in the options & look at the time of drawing it.
      *
-     * @param e svg circle element
-     * @return void
+     * @param shape private shape function
+     * @param args array of arguments for the shape function
+     * @return function drawing the shape on the context it is called on,
+     * taking a factor for the jitter
      */
-    var reCircle = function(e) {
-        cCircle.call(this, g(e.cx), g(e.cy), g(e.r));
+    var retain = function(shape, args) {
+        var opts = optionsOf(C);
+        var look = lookOf(this);
+        return function(amplitude) {
+            this.save();
+            setLook(this, look);
+            withOptions.call(this, C, boilOptions(opts, amplitude), function() {
+                begin.call(this);
+                strokes.call(this, shape, args);
+                finish.call(this);
+            });
+            this.restore();
+            return this;
+        };
     }
 
     /**
-     * Function to redraw an svg ellipse in cartoon style.
+     * WRAPPER for real, private "cBezier3"
+     * hand draw a cubic Bezier curve
      *
-     * @param e svg ellipse element
-     * @return void
+     * @param x0 x starting point
+     * @param y0 y starting point
+     * @param cx0 x 1st control point
+     * @param cy0 y 1st control point
+     * @param cx1 x 2nd control point
+     * @param cy1 y 2nd control point
+     * @param x1 x end point
+     * @param y1 y end point
+     * @param opts object with per call options (optional)
+     * @return native library object
      */
-    var reEllipse = function(e) {
-        cEllipse.call(this, g(e.cx), g(e.cy), g(e.rx), g(e.ry));
+    lib.cBezier3 = function(x0, y0, cx0, cy0, cx1, cy1, x1, y1, opts) {
+        return draw.call(this, cBezier3, arguments);
     }
 
     /**
-     * Function to redraw an svg line in cartoon style.
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cBezier3" public.
+     * hand draw a cubic Bezier curve
      *
-     * @param e svg line element
-     * @return void
+     * @param x0 x starting point
+     * @param y0 y starting point
+     * @param cx0 x 1st control point
+     * @param cy0 y 1st control point
+     * @param cx1 x 2nd control point
+     * @param cy1 y 2nd control point
+     * @param x1 x end point
+     * @param y1 y end point
+     * @return native library object
      */
-    var reLine = function(e) {
-        cLine.call(this, g(e.x1), g(e.y1), g(e.x2), g(e.y2));
+    var cBezier3 = function(x0, y0, cx0, cy0, cx1, cy1, x1, y1) {
+        // fuzzyness
+        var f = C.ff * 0.8;
+
+        var p0 = [x0, y0];
+        var pc0 = [cx0, cy0];
+        var pc1 = [cx1, cy1];
+        var p1 = [x1, y1];
+        var curve2 = [p0, pc0, pc1, p1];
+        // steps of even arc length, as long as the steps of lines
+        var ts = arcSteps(curve2, C.fsteps * fstepsFactor);
+        for(var i = 0; i < ts.length; i++) {
+            // split curve2, the rest of the curve from the last step on
+            var t = (i == 0) ? ts[0] : (ts[i] - ts[i - 1]) / (1 - ts[i - 1]);
+            var points = bsplit(curve2, t);
+            var curve1 = points[0];
+            var curve2 = points[1];
+            // set points for drawing from curve1
+            p0 = curve1[0]; pc0 = curve1[1];  pc1 = curve1[2]; p1 = curve1[3];
+
+            path.call(this, p0[0], p0[1],
+                fuzz((pc0[0]+pc1[0])/2, f), // just make one control point
+                fuzz((pc0[1]+pc1[1])/2, f),
+                p1[0], p1[1]);
+        }
+
+        return this;
     }
 
     /**
-     * Function to redraw an svg polyline in cartoon style.
+     * WRAPPER for real, private "cBezier2"
+     * hand draw a quadratic Bezier curve
      *
-     * @param e svg polyline element
-     * @return void
+     * @param x0 x starting point
+     * @param y0 y starting point
+     * @param cx x control point
+     * @param cy y control point
+     * @param x1 x end point
+     * @param y1 y end point
+     * @param opts object with per call options (optional)
+     * @return native library object
      */
-    var rePolyline = function(e) {
-        var points = e.points;
-        var p1 = points.getItem(0);
-        for(var j = 1; j < points.length; j++) {
-            var p2 = points.getItem(j);
-            cLine.call(this, p1.x, p1.y, p2.x, p2.y);
-            p1 = p2;
-        }
+    lib.cBezier2 = function(x0, y0, cx, cy, x1, y1, opts) {
+        return draw.call(this, cBezier2, arguments);
     }
 
     /**
-     * Function to redraw an svg polygon in cartoon style.
-     *
-     * @param e svg polygon element
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cBezier2" public.
+     * hand draw a quadratic Bezier curve
+     *
+     * @param x0 x starting point
+     * @param y0 y starting point
+     * @param cx x control point
+     * @param cy y control point
+     * @param x1 x end point
+     * @param y1 y end point
+     * @return native library object
+     */
+    var cBezier2 = function(x0, y0, cx, cy, x1, y1) {
+        // fuzzyness
+        var f = C.ff * 0.8;
+
+        var p0 = [x0, y0];
+        var pc = [cx, cy];
+        var p1 = [x1, y1];
+        var curve2 = [p0, pc, p1];
+        // steps of even arc length, as long as the steps of lines
+        var ts = arcSteps(curve2, C.fsteps * fstepsFactor);
+        for(var i = 0; i < ts.length; i++) {
+            // split curve2, the rest of the curve from the last step on
+            var t = (i == 0) ? ts[0] : (ts[i] - ts[i - 1]) / (1 - ts[i - 1]);
+            var points = bsplit(curve2, t);
+            var curve1 = points[0];
+            var curve2 = points[1];
+            // set points for drawing from curve1
+            p0 = curve1[0]; pc = curve1[1]; p1 = curve1[2];
+
+            path.call(this, p0[0], p0[1], fuzz(pc[0], f), fuzz(pc[1], f), p1[0], p1[1]);
+        }
+
+        return this;
+    }
+
+    /**
+     * WRAPPER for real, private "cEllipse"
+     * Draw a comic style / hand drawn cEllipse
+     *
+     * @param x x center
+     * @param y y center
+     * @param rh horizontal radius
+     * @param rv vertical radius
+     * @param rot rotation in radians
+     * @param start start in radians for drawing an arc only (optional)
+     * @param end end in radians for drawing an arc only (optional)
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cEllipse = function(x, y, rh, rv, rot, start, end, opts) {
+        return draw.call(this, cEllipse, arguments);
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cEllipse" public.
+     * hand draw an ellipse
+     *
+     * @param x x center
+     * @param y y center
+     * @param rh horizontal radius
+     * @param rv vertical radius
+     * @param rot rotation in radians
+     * @param start start in radians for drawing an arc only (optional)
+     * @param end end in radians for drawing an arc only (optional)
+     * @return native library object
+     */
+    var cEllipse = function(x, y, rh, rv, rot, start, end) {
+        var PI2 = Math.PI * 2;
+        // sanitize input
+        start = (typeof start == "undefined") ? 0 : start;
+        end = (typeof end == "undefined") ? PI2 : end;
+        rot = (typeof rot == "undefined") ? 0 : rot;
+        // rotation
+        var cosRot = Math.cos(rot);
+        var sinRot = Math.sin(rot);
+        // number of steps
+        var steps = C.msteps + ((rh + rv) / 2) * C.fsteps * fstepsFactor / 200;
+        // fuzzyness dependent on on radius
+        var fh = C.ffc * Math.pow(rh, 0.5) * 0.3 / Math.pow(steps, 0.25);
+        var fv = C.ffc * Math.pow(rv, 0.5) * 0.3 / Math.pow(steps, 0.25);
+        // distortion of the ellipse
+        var xs = 0.95 + C.random() * 0.1;
+        var ys = 0.95 + C.random() * 0.1;
+        var rxs = rh * xs;
+        var rys = rv * ys;
+        // lenght of one segment
+        var arcLength = end - start;
+        var segLength = arcLength / steps;
+
+        // initial values for i = 0
+        var t1 = start; var t0, x0, y0;
+        var cosT1rxs = rxs * Math.cos(t1);
+        var sinT1rys = rys * Math.sin(t1);
+        var x1 = x + cosT1rxs * cosRot - sinT1rys * sinRot;
+        var y1 = y + cosT1rxs * sinRot + sinT1rys * cosRot;
+
+        // correct startpoint deviation (through fuzzed radius) by drawing a line
+        cLine.call(this,
+                   x + rh * Math.cos(t1) * cosRot - rv * Math.sin(t1) * sinRot, // would be start x
+                   y + rh * Math.cos(t1) * sinRot + rv * Math.sin(t1) * cosRot, // would be start y
+                   x1,  // actual start x
+                   y1); // actual start y
+
+        for(var i = 1; i <= steps; i++) {
+            t1 = t1 + segLength;
+            var x0 = x1;
+            var y0 = y1;
+            var cosT1rxs = rxs * Math.cos(t1);
+            var sinT1rys = rys * Math.sin(t1);
+            var x1 = x + cosT1rxs * cosRot - sinT1rys * sinRot;
+            var y1 = y + cosT1rxs * sinRot + sinT1rys * cosRot;
+
+            path.call(this, x0, y0, fuzz((x0 + x1) / 2, fh), fuzz((y0 + y1) / 2, fv), x1, y1);
+        }
+        // correct endpoint deviation (through fuzzed radius) by drawing a line
+        cLine.call(this,
+                   x1, // actual end x
+                   y1, // actual end y
+                   x + rh * Math.cos(end) * cosRot - rv * Math.sin(end) * sinRot,  // would be end x
+                   y + rh * Math.cos(end) * sinRot + rv * Math.sin(end) * cosRot); // would be end y
+        if(end - start >= PI2) closeShape.call(this);
+
+        return this;
+    }
+
+    /**
+     * WRAPPER for real, private "cCircle"
+     * Draw a comic style / hand drawn circle
+     *
+     * @param x x center
+     * @param y y center
+     * @param r radius
+     * @param start start in radians (< 2*PI) for drawing an arc only (optional)
+     * @param end end in radians (< 2*PI) for drawing an arc only (optional)
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cCircle = function(x, y, r, start, end, opts) {
+        return draw.call(this, cCircle, arguments);
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cCircle" public.
+     * hand draw a circle
+     *
+     * @param x x center
+     * @param y y center
+     * @param r radius
+     * @param start start in radians for drawing an arc only (optional)
+     * @param end end in radians for drawing an arc only (optional)
+     * @return native library object
+     */
+    var cCircle = function(x, y, r, start, end) {
+        var PI2 = Math.PI * 2;
+        // sanitize input
+        start = (typeof start == "undefined") ? 0 : start;
+        end = (typeof end == "undefined") ? PI2 : end;
+        // number of steps
+        var steps = C.msteps + r * C.fsteps * fstepsFactor / 200;
+        // fuzzyness dependent on on radius
+        var f = C.ffc * Math.pow(r, 0.5) * 0.3 / Math.pow(steps, 0.25);
+        // distortion of the circle
+        var xs = 0.975 + C.random() * 0.05;
+        var rxs = r * xs;
+        var rys = r * (2.0 - xs);
+        // lenght of one segment
+        var arcLength = end - start;
+        var segLength = arcLength / steps;
+
+        // initial values for i = 0
+        var t1 = start; var t0, x0, y0;
+        var x1 = x + Math.cos(t1) * rxs;
+        var y1 = y + Math.sin(t1) * rys; // initial values for i = 0
+
+        // correct startpoint deviation (through fuzzed radius) by drawing a line
+        cLine.call(this,
+                   x + Math.cos(t1) * r, // would be start x
+                   y + Math.sin(t1) * r, // would be start y
+                   x1,  // actual start x
+                   y1); // actual start y
+
+        for(var i = 1; i <= steps; i++) {
+            t1 = t1 + segLength;
+            x0 = x1;
+            y0 = y1;
+            x1 = x + Math.cos(t1) * rxs;
+            y1 = y + Math.sin(t1) * rys;
+
+            path.call(this, x0, y0, fuzz((x0 + x1) / 2, f), fuzz((y0 + y1) / 2, f), x1, y1);
+        }
+        // correct endpoint deviation (through fuzzed radius) by drawing a line
+        cLine.call(this,
+                   x1, // actual end x
+                   y1, // actual end y
+                   x + Math.cos(end) * r,  // would be end x
+                   y + Math.sin(end) * r); // would be end y
+        if(end - start >= PI2) closeShape.call(this);
+
+        return this;
+    }
+
+    /**
+     * WRAPPER for real, private "cTrian"
+     * Draw a triangle using line function
+     *
+     * @param x0 x first point
+     * @param y0 y first point
+     * @param x1 x second point
+     * @param y1 y second point
+     * @param x2 x third point
+     * @param y2 y third point
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cTrian = function(x0, y0, x1, y1, x2, y2, opts) {
+        return draw.call(this, cTrian, arguments);
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cTrian" public.
+     * Draw a triangle using line function
+     *
+     * @param x0 x first point
+     * @param y0 y first point
+     * @param x1 x second point
+     * @param y1 y second point
+     * @param x2 x third point
+     * @param y2 y third point
+     * @return native library object
+     */
+    var cTrian = function(x0, y0, x1, y1, x2, y2) {
+        cLine.call(this, x0, y0, x1, y1);
+        cLine.call(this, x1, y1, x2, y2);
+        cLine.call(this, x2, y2, x0, y0);
+        closeShape.call(this);
+
+        return this;
+    }
+
+    /**
+     * WRAPPER for real, private "cRect"
+     * Draw a comic style / hand drawn rectangle using line function
+     *
+     * @param x0 x upper left corcer
+     * @param y0 y upper left corner
+     * @param width width of the rectangle
+     * @param height height of the rectangle
+     * @param rh horizontal radius of rounded corners
+     * @param rv vertical radius of rounded corners
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cRect = function(x0, y0, width, height, rh, rv, opts) {
+        return draw.call(this, cRect, arguments);
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cRect" public.
+     * Draw a comic style / hand drawn rectangle using line function
+     *
+     * @param x0 x upper left corcer
+     * @param y0 y upper left corner
+     * @param width width of the rectangle
+     * @param height height of the rectangle
+     * @param rh horizontal radius of rounded corners
+     * @param rv vertical radius of rounded corners
+     * @return native library object
+     */
+    var cRect = function(x0, y0, width, height, rh, rv) {
+        var halfPI;
+        // sanitize input
+        rh = (typeof rh == "undefined") ? 0 : Math.min(rh, width/2);
+        rv = (typeof rv == "undefined") ? rh : Math.min(rv, height/2);
+        // calculate lower left corner
+        var x1 = x0 + width;
+        var y1 = y0 + height;
+
+        cLine.call(this, x0+rh, y0, x1-rh, y0);
+        if(rh > 0) {
+            halfPI = Math.PI / 2;
+            cEllipse.call(this, x1-rh, y0+rv, rh, rv, 0, halfPI*3, Math.PI*2);
+        }
+        cLine.call(this, x1, y0+rv, x1, y1-rv);
+        if(rh > 0) {
+            cEllipse.call(this, x1-rh, y1-rv, rh, rv, 0, 0, halfPI);
+        }
+        cLine.call(this, x1-rh, y1, x0+rh, y1);
+        if(rh > 0) {
+            cEllipse.call(this, x0+rh, y1-rv, rh, rv, 0, halfPI, Math.PI);
+        }
+        cLine.call(this, x0, y1-rv, x0, y0+rv);
+        if(rh > 0) {
+            cEllipse.call(this, x0+rh, y0+rv, rh, rv, 0, Math.PI, halfPI*3);
+        }
+        closeShape.call(this);
+
+        return this;
+    }
+
+    /**
+     * WRAPPER for real, private "cLine"
+     * Draw a comic style / hand drawn line
+     *
+     * @param x0 x start
+     * @param y0 y start
+     * @param x1 x end
+     * @param y1 y end
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cLine = function(x0, y0, x1, y1, opts) {
+        return draw.call(this, cLine, arguments);
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cLine" public.
+     * Draw a comic style / hand drawn line
+     *
+     * @param x0 x start
+     * @param y0 y start
+     * @param x1 x end
+     * @param y1 y end
+     * @return native library object
+     */
+    var cLine = function(x0, y0, x1, y1) {
+        /**
+         * Estimate the movement of the arm
+         * Reuses 3rd param from last call if omitted
+         *
+         * @param x0 x start
+         * @param x1 x end
+         * @param t step from 0 to 1
+         * @return number
+         */
+        var ft; // store this outside function to preserve
+        var handMovement = function(x0, x1, t) {
+            // calculate ft or use old value if no "t" given
+            if(typeof t != "undefined") {
+                var pow3 = Math.pow(t, 3);
+                var pow4 = pow3 * t;
+                var pow5 = pow4 * t;
+                ft = (15 * pow4 -
+                      6 * pow5 -
+                      10 * pow3);
+            }
+
+            return x0 + (x0 - x1) * ft;
+        }
+
+        // calculate number of steps
+        var d = dist2(x0, y0, x1, y1);
+        var steps = Math.ceil(d / (C.fsteps * fstepsFactor));
+        if(steps < C.msteps) {
+            steps = C.msteps;
+        }
+        // fuzz factor
+        var f = C.ff / ((steps == C.msteps) ? 1.4 : 1); // reduce for small lines
+        // draw line step by step using quadratic Bézier path
+        var xt1 = handMovement(x0, x1, 0); // bezier control point
+        var yt1 = handMovement(y0, y1); // bezier control point (reuse t0)
+
+        for(var i = 1; i <= steps; i++) {
+            var t1 = i / steps;
+            var xt0 = xt1; // bezier control point
+            var yt0 = yt1; // bezier control point
+            var xt1 = handMovement(x0, x1, t1); // bezier end point
+            var yt1 = handMovement(y0, y1); // bezier end point (reuse t1)
+
+            path.call(this, xt0, yt0, fuzz((xt0 + xt1) / 2, f), fuzz((yt0 + yt1) / 2, f), xt1, yt1);
+        }
+
+        return this;
+    }
+
+    /**
+     * Close the current sub path after drawing a closed shape, unless
+     * its strokes are not connected: drawn in several passes or with
+     * overshooting line ends.
+     *
+     * @return native library object
+     */
+    var closeShape = function() {
+        if(C.passes <= 1 && ! C.overshoot) close.call(this);
+        return this;
+    }
+
+    /**
+     * Turn the given primitive into one drawing "passes" independently
+     * jittered strokes over each other, each deviating by up to
+     * "passDeviation" pixels and overshooting line ends by up to
+     * "overshoot" pixels. Primitives called from within a multi pass
+     * primitive are drawn once per pass of the outer one.
+     *
+     * @param primitive private drawing function
+     * @param jitter function returning jittered arguments for one pass
+     * @return function
+     */
+    var multiPass = function(primitive, jitter) {
+        return function() {
+            if((C.passes <= 1 && ! C.overshoot) || multiPass.active) {
+                return primitive.apply(this, arguments);
+            }
+            multiPass.active = true;
+            try {
+                for(var i = 0; i < Math.max(1, C.passes); i++) {
+                    primitive.apply(this, jitter(Array.prototype.slice.call(arguments)));
+                }
+            }
+            finally {
+                multiPass.active = false;
+            }
+            return this;
+        };
+    }
+    multiPass.active = false;
+
+    /**
+     * Shift given value randomly by up to +/- "passDeviation" if
+     * drawing several passes.
+     * @param val value to shift
+     * @return number
+     */
+    var deviate = function(val) {
+        return (C.passes > 1) ? val + C.passDeviation * (C.random() * 2 - 1) : val;
+    }
+
+    /**
+     * Jitter arguments of "cLine" for one pass.
+     * @param args array with x0, y0, x1, y1
+     * @return array
+     */
+    var jitterLine = function(args) {
+        var d = dist2(args[0], args[1], args[2], args[3]) || 1;
+        var ux = (args[2] - args[0]) / d;
+        var uy = (args[3] - args[1]) / d;
+        var o0 = C.overshoot * C.random();
+        var o1 = C.overshoot * C.random();
+        return [deviate(args[0] - ux * o0), deviate(args[1] - uy * o0),
+                deviate(args[2] + ux * o1), deviate(args[3] + uy * o1)];
+    }
+
+    /**
+     * Jitter arguments of "cBezier2" or "cBezier3" for one pass.
+     * @param args array with all point coordinates
+     * @return array
+     */
+    var jitterBezier = function(args) {
+        for(var i = 0; i < args.length; i++) {
+            args[i] = deviate(args[i]);
+        }
+        return args;
+    }
+
+    /**
+     * Jitter arguments of "cEllipse" for one pass, overshooting
+     * the end of the (possibly full) arc.
+     * @param args array with x, y, rh, rv, rot, start, end
+     * @return array
+     */
+    var jitterEllipse = function(args) {
+        var start = (typeof args[5] == "undefined") ? 0 : args[5];
+        var end = (typeof args[6] == "undefined") ? Math.PI * 2 : args[6];
+        var r = Math.max(args[2], args[3], 1);
+        var o = C.overshoot * C.random() / r * (end < start ? -1 : 1);
+        return [deviate(args[0]), deviate(args[1]),
+                Math.abs(deviate(args[2])), Math.abs(deviate(args[3])),
+                args[4], start, end + o];
+    }
+
+    /**
+     * Jitter arguments of "cCircle" for one pass, overshooting
+     * the end of the (possibly full) arc.
+     * @param args array with x, y, r, start, end
+     * @return array
+     */
+    var jitterCircle = function(args) {
+        var e = jitterEllipse([args[0], args[1], args[2], args[2], 0, args[3], args[4]]);
+        return [e[0], e[1], e[2], e[5], e[6]];
+    }
+
+    // multi pass versions of all primitives
+    cLine = multiPass(cLine, jitterLine);
+    cBezier2 = multiPass(cBezier2, jitterBezier);
+    cBezier3 = multiPass(cBezier3, jitterBezier);
+    cEllipse = multiPass(cEllipse, jitterEllipse);
+    cCircle = multiPass(cCircle, jitterCircle);
+
+    /**
+     * Outline of a "cEllipse" as polygon, used for filling it.
+     *
+     * @param x x center
+     * @param y y center
+     * @param rh horizontal radius
+     * @param rv vertical radius
+     * @param rot rotation in radians
+     * @param start start in radians for an arc only (optional)
+     * @param end end in radians for an arc only (optional)
+     * @return array of rings, each an array of points
+     */
+    cEllipse.outline = function(x, y, rh, rv, rot, start, end) {
+        return [ellipsePoints(x, y, rh, rv, rot, start, end)];
+    }
+
+    /**
+     * Outline of a "cCircle" as polygon, used for filling it.
+     *
+     * @param x x center
+     * @param y y center
+     * @param r radius
+     * @param start start in radians for an arc only (optional)
+     * @param end end in radians for an arc only (optional)
+     * @return array of rings, each an array of points
+     */
+    cCircle.outline = function(x, y, r, start, end) {
+        return [ellipsePoints(x, y, r, r, 0, start, end)];
+    }
+
+    /**
+     * Outline of a "cTrian" as polygon, used for filling it.
+     *
+     * @param x0 x first point
+     * @param y0 y first point
+     * @param x1 x second point
+     * @param y1 y second point
+     * @param x2 x third point
+     * @param y2 y third point
+     * @return array of rings, each an array of points
+     */
+    cTrian.outline = function(x0, y0, x1, y1, x2, y2) {
+        return [[{ x:x0, y:y0 }, { x:x1, y:y1 }, { x:x2, y:y2 }]];
+    }
+
+    /**
+     * Outline of a "cRect" as polygon, used for filling it.
+     *
+     * @param x0 x upper left corcer
+     * @param y0 y upper left corner
+     * @param width width of the rectangle
+     * @param height height of the rectangle
+     * @param rh horizontal radius of rounded corners
+     * @param rv vertical radius of rounded corners
+     * @return array of rings, each an array of points
+     */
+    cRect.outline = function(x0, y0, width, height, rh, rv) {
+        var halfPI = Math.PI / 2;
+        // sanitize input as "cRect" does
+        rh = (typeof rh == "undefined") ? 0 : Math.min(rh, width/2);
+        rv = (typeof rv == "undefined") ? rh : Math.min(rv, height/2);
+        var x1 = x0 + width;
+        var y1 = y0 + height;
+        if(! (rh > 0)) {
+            return [[{ x:x0, y:y0 }, { x:x1, y:y0 }, { x:x1, y:y1 }, { x:x0, y:y1 }]];
+        }
+
+        return [[].concat(
+            ellipsePoints(x1-rh, y0+rv, rh, rv, 0, halfPI*3, Math.PI*2),
+            ellipsePoints(x1-rh, y1-rv, rh, rv, 0, 0, halfPI),
+            ellipsePoints(x0+rh, y1-rv, rh, rv, 0, halfPI, Math.PI),
+            ellipsePoints(x0+rh, y0+rv, rh, rv, 0, Math.PI, halfPI*3)
+        )];
+    }
+
+    /**
+     * Outline of the path given by path commands as polygons, one for
+     * each subpath, with curves and arcs approximated by line segments.
+     *
+     * @param cmds path commands as returned by "parsePath"
+     * @return array of rings, each an array of points
+     */
+    var pathOutline = function(cmds) {
+        var rings = [];
+        var ring = [];
+        // start a new ring unless continuing from the last point
+        var moveTo = function(x, y) {
+            var last = ring[ring.length - 1];
+            if(last && last.x == x && last.y == y) return;
+            if(ring.length > 2) rings.push(ring);
+            ring = [{ x:x, y:y }];
+        };
+        // add points of a Bezier curve with the given control points
+        var bezier = function(points) {
+            moveTo(points[0][0], points[0][1]);
+            for(var i = 1; i <= 16; i++) {
+                var p = bsplit(points.slice(), i / 16)[1][0];
+                ring.push({ x:p[0], y:p[1] });
+            }
+        };
+        tracePath(cmds, {
+            line: function(x0, y0, x1, y1) {
+                moveTo(x0, y0);
+                ring.push({ x:x1, y:y1 });
+            },
+            bezier2: function(x0, y0, cx, cy, x1, y1) {
+                bezier([[x0, y0], [cx, cy], [x1, y1]]);
+            },
+            bezier3: function(x0, y0, cx0, cy0, cx1, cy1, x1, y1) {
+                bezier([[x0, y0], [cx0, cy0], [cx1, cy1], [x1, y1]]);
+            },
+            ellipse: function(x, y, rh, rv, rot, start, end) {
+                var points = ellipsePoints(x, y, rh, rv, rot * Math.PI / 180, start, end);
+                moveTo(points[0].x, points[0].y);
+                ring = ring.concat(points.slice(1));
+            },
+            close: function() {}
+        });
+        if(ring.length > 2) rings.push(ring);
+
+        return rings;
+    }
+
+    /**
+     * Points along an ellipse or elliptic arc.
+     *
+     * @param x x center
+     * @param y y center
+     * @param rh horizontal radius
+     * @param rv vertical radius
+     * @param rot rotation in radians
+     * @param start start in radians (optional)
+     * @param end end in radians (optional)
+     * @return array of points
+     */
+    var ellipsePoints = function(x, y, rh, rv, rot, start, end) {
+        start = (typeof start == "undefined") ? 0 : start;
+        end = (typeof end == "undefined") ? Math.PI * 2 : end;
+        rot = (typeof rot == "undefined") ? 0 : rot;
+        var cosRot = Math.cos(rot);
+        var sinRot = Math.sin(rot);
+        // about one point every 4 pixels
+        var steps = Math.min(360, Math.max(8,
+                    Math.ceil(Math.abs(end - start) * Math.max(rh, rv) / 4)));
+        var points = [];
+        for(var i = 0; i <= steps; i++) {
+            var t = start + (end - start) * i / steps;
+            var cosTrh = rh * Math.cos(t);
+            var sinTrv = rv * Math.sin(t);
+            points.push({ x:x + cosTrh * cosRot - sinTrv * sinRot,
+                          y:y + cosTrh * sinRot + sinTrv * cosRot });
+        }
+
+        return points;
+    }
+
+    /**
+     * @brief Parallel lines clipped to the given polygons.
+     *
+     * Intersects lines at the given angle and distance with the
+     * given polygons (even-odd rule) and returns the resulting
+     * segments, one array of segments per line. Segments are
+     * given as [x0, y0, x1, y1] and sorted along each line.
+     *
+     * @param rings array of polygons, each an array of points
+     * @param angle angle of the lines in degree
+     * @param gap distance between the lines
+     * @return array
+     */
+    var hatchLines = function(rings, angle, gap) {
+        var rad = angle * Math.PI / 180;
+        var cos = Math.cos(rad);
+        var sin = Math.sin(rad);
+        var edges = [];
+        var ymin = Infinity;
+        var ymax = -Infinity;
+        // rotate all polygons so the lines become horizontal
+        for(var i = 0; i < rings.length; i++) {
+            var ring = rings[i];
+            for(var j = 0; j < ring.length; j++) {
+                var p = ring[j];
+                var q = ring[(j + 1) % ring.length];
+                var e = [p.x * cos + p.y * sin, -p.x * sin + p.y * cos,
+                         q.x * cos + q.y * sin, -q.x * sin + q.y * cos];
+                edges.push(e);
+                ymin = Math.min(ymin, e[1]);
+                ymax = Math.max(ymax, e[1]);
+            }
+        }
+        var lines = [];
+        for(var y = ymin + gap / 2; y < ymax; y += gap) {
+            // x coordinates where the line crosses polygon edges
+            var xs = [];
+            for(var i = 0; i < edges.length; i++) {
+                var e = edges[i];
+                if((e[1] <= y && y < e[3]) || (e[3] <= y && y < e[1])) {
+                    xs.push(e[0] + (y - e[1]) * (e[2] - e[0]) / (e[3] - e[1]));
+                }
+            }
+            xs.sort(function(a, b) { return a - b; });
+            // every pair of crossings is a segment inside, rotate back
+            var segs = [];
+            for(var i = 0; i + 1 < xs.length; i += 2) {
+                segs.push([xs[i] * cos - y * sin, xs[i] * sin + y * cos,
+                           xs[i+1] * cos - y * sin, xs[i+1] * sin + y * cos]);
+            }
+            if(segs.length > 0) lines.push(segs);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Hand draw a fill of the given polygons according to the "fill"
+     * option, one of "hachure" (parallel lines), "cross-hatch",
+     * "zigzag" or "solid-scribble", at "fillAngle" degree with lines
+     * "fillGap" pixels apart. Any other "fill" value draws nothing.
+     *
+     * @param rings array of polygons, each an array of points
+     * @return native library object
+     */
+    var hatch = function(rings) {
+        var gap = Math.max(0.5, C.fillGap);
+        var polylines = [];
+        // every segment on its own
+        var separate = function(lines) {
+            var res = [];
+            for(var i = 0; i < lines.length; i++) {
+                for(var j = 0; j < lines[i].length; j++) {
+                    var s = lines[i][j];
+                    res.push([[s[0], s[1]], [s[2], s[3]]]);
+                }
+            }
+            return res;
+        };
+        // chain consecutive lines into one polyline, taking the given
+        // segment ends ( 0 = start, 1 = end ) of even & odd lines -
+        // lines cut into several segments by the shape break the chain
+        var chain = function(lines, even, odd) {
+            var res = [];
+            var points = [];
+            for(var i = 0; i < lines.length; i++) {
+                if(lines[i].length > 1) {
+                    res.push(points);
+                    res = res.concat(separate([lines[i]]));
+                    points = [];
+                    continue;
+                }
+                var s = lines[i][0];
+                var ends = (i % 2) ? odd : even;
+                for(var j = 0; j < ends.length; j++) {
+                    points.push([s[ends[j] * 2], s[ends[j] * 2 + 1]]);
+                }
+            }
+            res.push(points);
+            return res;
+        };
+        switch(C.fill) {
+            case "hachure":
+                polylines = separate(hatchLines(rings, C.fillAngle, gap));
+                break;
+            case "cross-hatch":
+                polylines = separate(hatchLines(rings, C.fillAngle, gap)).concat(
+                            separate(hatchLines(rings, C.fillAngle + 90, gap)));
+                break;
+            case "zigzag":
+                // diagonals from the start of a line to the end of the next
+                polylines = chain(hatchLines(rings, C.fillAngle, gap), [0], [1]);
+                break;
+            case "solid-scribble":
+                // dense back and forth strokes
+                polylines = chain(hatchLines(rings, C.fillAngle, gap / 4), [0, 1], [1, 0]);
+                break;
+            default:
+        }
+        for(var i = 0; i < polylines.length; i++) {
+            var points = polylines[i];
+            for(var j = 1; j < points.length; j++) {
+                cLine.call(this, points[j-1][0], points[j-1][1],
+                                 points[j][0], points[j][1]);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Start recording all segments drawn via "path" & "close" instead
+     * of drawing them. Segments are recorded as arrays with the
+     * arguments given to "path", "close" is recorded as null.
+     *
+     * @return object recording to hand to "stopRecord"
+     */
+    var startRecord = function() {
+        var rec = { segs: [], path: path, close: close, outer: recording };
+        recording = rec;
+        path = function(x0, y0, cx, cy, x1, y1) {
+            rec.segs.push([x0, y0, cx, cy, x1, y1]);
+            return this;
+        };
+        close = function() {
+            rec.segs.push(null);
+            return this;
+        };
+        return rec;
+    }
+
+    /**
+     * Stop the given recording and restore drawing.
+     *
+     * @param rec recording as returned by "startRecord"
+     * @return array of recorded segments
+     */
+    var stopRecord = function(rec) {
+        path = rec.path;
+        close = rec.close;
+        recording = rec.outer;
+        return rec.segs;
+    }
+
+    /**
+     * Draw recorded segments as they are.
+     *
+     * @param segs array of segments as recorded by "startRecord"
+     * @return native library object
+     */
+    var replay = function(segs) {
+        for(var i = 0; i < segs.length; i++) {
+            if(segs[i] === null) close.call(this);
+            else path.apply(this, segs[i]);
+        }
+        return this;
+    }
+
+    /**
+     * Call the given drawing function, turning all its strokes into
+     * brush strokes if the "brush" option is set.
+     *
+     * @param fn drawing function
+     * @return native library object
+     */
+    var ink = function(fn) {
+        if(! C.brush) {
+            fn.call(this);
+            return this;
+        }
+        var rec = startRecord();
+        try {
+            fn.call(this);
+        }
+        finally {
+            var segs = stopRecord(rec);
+        }
+        return brush.call(this, segs);
+    }
+
+    /**
+     * @brief Draw the given segments as brush strokes.
+     *
+     * Every run of connected segments is one stroke, drawn as closed
+     * outline to be filled. Its width is "brushWidth" at most, tapering
+     * to a point over the first and last "brushTaper" part of the
+     * stroke like pen pressure and varying by up to "brushNoise"
+     * (0 to 1) along the stroke like ink would.
+     *
+     * @param segs array of segments as recorded by "startRecord"
+     * @return native library object
+     */
+    var brush = function(segs) {
+        var strokes = [];
+        var stroke = [];
+        for(var i = 0; i < segs.length; i++) {
+            var s = segs[i];
+            var last = stroke[stroke.length - 1];
+            // closed or not connected - start a new stroke
+            if(s === null || (last && (Math.abs(last[4] - s[0]) > 1e-6 ||
+                                       Math.abs(last[5] - s[1]) > 1e-6))) {
+                strokes.push(stroke);
+                stroke = [];
+            }
+            if(s !== null) stroke.push(s);
+        }
+        strokes.push(stroke);
+        for(var i = 0; i < strokes.length; i++) {
+            if(strokes[i].length > 0) brushStroke.call(this, strokes[i]);
+        }
+        return this;
+    }
+
+    /**
+     * Draw the outline of one brush stroke along the given connected
+     * segments, see "brush".
+     *
+     * @param segs array of connected segments
+     * @return native library object
+     */
+    var brushStroke = function(segs) {
+        var samples = 6; // points per segment
+        var pts = [];
+        var len = 0;
+        // sample points & their normals along the center line
+        for(var i = 0; i < segs.length; i++) {
+            var x0 = segs[i][0], y0 = segs[i][1], cx = segs[i][2],
+                cy = segs[i][3], x1 = segs[i][4], y1 = segs[i][5];
+            for(var j = (i == 0) ? 0 : 1; j <= samples; j++) {
+                var t = j / samples;
+                var mt = 1 - t;
+                var p = { x:mt * mt * x0 + 2 * mt * t * cx + t * t * x1,
+                          y:mt * mt * y0 + 2 * mt * t * cy + t * t * y1 };
+                var dx = 2 * mt * (cx - x0) + 2 * t * (x1 - cx);
+                var dy = 2 * mt * (cy - y0) + 2 * t * (y1 - cy);
+                var dl = Math.sqrt(dx * dx + dy * dy);
+                var prev = pts[pts.length - 1];
+                if(prev) len += dist2(prev.x, prev.y, p.x, p.y);
+                // keep last normal where the tangent is undefined
+                p.nx = (dl > 0) ? -dy / dl : (prev ? prev.nx : 0);
+                p.ny = (dl > 0) ? dx / dl : (prev ? prev.ny : 1);
+                p.s = len;
+                pts.push(p);
+            }
+        }
+        if(len == 0) return this;
+        // smooth thickness noise: random values every 10 pixels interpolated
+        var knots = [];
+        for(var i = 0; i <= Math.ceil(len / 10) + 1; i++) {
+            knots.push(C.random());
+        }
+        var noise = function(s) {
+            var k = Math.floor(s / 10);
+            var f = s / 10 - k;
+            return knots[k] * (1 - f) + knots[k+1] * f;
+        };
+        // pressure: ease in and out over the tapered ends
+        var taper = function(t) {
+            if(! (C.brushTaper > 0)) return 1;
+            var f = Math.min(1, t / C.brushTaper, (1 - t) / C.brushTaper);
+            return Math.sin(f * Math.PI / 2);
+        };
+        // left side forward & right side backward make the outline
+        var left = [];
+        var right = [];
+        for(var i = 0; i < pts.length; i++) {
+            var p = pts[i];
+            var w = C.brushWidth * taper(p.s / len) *
+                    (1 - C.brushNoise * noise(p.s)) / 2;
+            left.push({ x:p.x + p.nx * w, y:p.y + p.ny * w });
+            right.unshift({ x:p.x - p.nx * w, y:p.y - p.ny * w });
+        }
+        var outline = left.concat(right);
+        // smooth closed curve: points are control points, midpoints are on curve
+        var n = outline.length;
+        var mid = function(i) {
+            var a = outline[i % n];
+            var b = outline[(i + 1) % n];
+            return { x:(a.x + b.x) / 2, y:(a.y + b.y) / 2 };
+        };
+        var m0 = mid(n - 1);
+        for(var i = 0; i < n; i++) {
+            var m1 = mid(i);
+            path.call(this, m0.x, m0.y, outline[i].x, outline[i].y, m1.x, m1.y);
+            m0 = m1;
+        }
+        close.call(this);
+
+        return this;
+    }
+
+    /**
+     * Write comic style text starting at the given point on the baseline,
+     * every glyph slightly rotated, shifted off the baseline & scaled. With
+     * the "lettering" option, or if the lib has no native text, glyphs are
+     * hand drawn strokes of a built in single stroke font instead.
+     *
+     * @param x x start of the baseline
+     * @param y y of the baseline
+     * @param str text to write
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cText = function(x, y, str, opts) {
+        var letters = (opts && typeof opts.lettering != "undefined") ?
+                      opts.lettering : C.lettering;
+        if(letters || ! text) {
+            return draw.call(this, cLetters, arguments);
+        }
+        return withOptions.call(this, C, opts, function() {
+            return text.call(this, x, y, jitterGlyphs(String(str)));
+        });
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Hand letter the given text, see "cText".
+     *
+     * @param x x start of the baseline
+     * @param y y of the baseline
+     * @param str text to write
+     * @return native library object
+     */
+    var cLetters = function(x, y, str) {
+        var glyphs = jitterGlyphs(String(str));
+        var s = C.fontSize * fontUnit;
+        // jitter shrinks with small letters, keeping them legible
+        var k = Math.min(1, C.fontSize / 64);
+        var opts = { ff: C.ff * k, ffc: C.ffc * k,
+                     passDeviation: C.passDeviation * k, overshoot: C.overshoot * k };
+        withOptions.call(this, C, opts, function() {
+            var gx = x;
+            for(var i = 0; i < glyphs.length; i++) {
+                var glyph = glyphs[i];
+                var def = glyphOf(glyph.ch);
+                var cos = Math.cos(glyph.rot) * s * glyph.scale;
+                var sin = Math.sin(glyph.rot) * s * glyph.scale;
+                var oy = y + glyph.shift;
+                // glyph coordinates relative to its baseline start
+                var cmds = parsePath(def[1]);
+                for(var j = 0; j < cmds.length; j++) {
+                    for(var n = 1; n + 1 < cmds[j].length; n += 2) {
+                        var u = cmds[j][n];
+                        var v = cmds[j][n+1] - fontBase;
+                        cmds[j][n] = gx + cos * u - sin * v;
+                        cmds[j][n+1] = oy + sin * u + cos * v;
+                    }
+                }
+                cCmds.call(this, cmds);
+                gx += glyphAdvance(def) * s * glyph.scale;
+            }
+        });
+
+        return this;
+    }
+
+    /**
+     * Random rotation (radians), baseline offset (pixels) & scale for
+     * every glyph of the given text, according to the "textRotate",
+     * "textShift" & "textScale" options.
+     *
+     * @param str text
+     * @return array of glyphs with "ch", "rot", "shift" & "scale"
+     */
+    var jitterGlyphs = function(str) {
+        var glyphs = [];
+        for(var i = 0; i < str.length; i++) {
+            glyphs.push({
+                ch: str.charAt(i),
+                rot: (C.random() * 2 - 1) * C.textRotate * Math.PI / 180,
+                shift: (C.random() * 2 - 1) * C.textShift * C.fontSize,
+                scale: 1 + (C.random() * 2 - 1) * C.textScale
+            });
+        }
+        return glyphs;
+    }
+
+    /**
+     * Insert the given glyphs as one "tspan" each into an svg text
+     * element, using "rotate", "dy" & relative "font-size". The last
+     * glyph returns to the baseline so following text is not shifted.
+     *
+     * @param e svg text or tspan element
+     * @param glyphs array of glyphs as returned by "jitterGlyphs"
+     * @param before child node to insert the glyphs before (optional)
+     * @return array of inserted tspan elements
+     */
+    var appendGlyphs = function(e, glyphs, before) {
+        var doc = e.ownerDocument || document;
+        var r = function(v) { return Math.round(v * 100) / 100; };
+        var shift = 0;
+        var tspans = [];
+        for(var i = 0; i < glyphs.length; i++) {
+            var glyph = glyphs[i];
+            var next = (i == glyphs.length - 1) ? 0 : glyph.shift;
+            var t = doc.createElementNS("http://www.w3.org/2000/svg", "tspan");
+            t.setAttribute("rotate", r(glyph.rot * 180 / Math.PI));
+            t.setAttribute("dy", r(next - shift));
+            t.setAttribute("font-size", r(glyph.scale * 100) + "%");
+            t.textContent = glyph.ch;
+            e.insertBefore(t, before || null);
+            tspans.push(t);
+            shift = next;
+        }
+        return tspans;
+    }
+
+    /**
+     * Hand draw the given path commands, see "tracePath".
+     *
+     * @param cmds path commands as returned by "parsePath"
+     * @return native library object
+     */
+    var cCmds = function(cmds) {
+        tracePath.call(this, cmds, {
+            line: cLine,
+            bezier2: cBezier2,
+            bezier3: cBezier3,
+            ellipse: function(x, y, rh, rv, rot, start, end) {
+                cEllipse.call(this, x, y, rh, rv, rot * Math.PI / 180, start, end);
+            },
+            close: close
+        });
+
+        return this;
+    }
+
+    /**
+     * WRAPPER for real, private "cSpeechBubble"
+     * Draw a comic style speech bubble around the given text box with
+     * its tail pointing at the target, if given & outside the bubble.
+     *
+     * @param x x upper left corner of the text box
+     * @param y y upper left corner of the text box
+     * @param width width of the text box
+     * @param height height of the text box
+     * @param tx x of the tail target (optional)
+     * @param ty y of the tail target (optional)
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cSpeechBubble = function(x, y, width, height, tx, ty, opts) {
+        return draw.call(this, cSpeechBubble, arguments);
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cSpeechBubble" public.
+     *
+     * @param x x upper left corner of the text box
+     * @param y y upper left corner of the text box
+     * @param width width of the text box
+     * @param height height of the text box
+     * @param tx x of the tail target (optional)
+     * @param ty y of the tail target (optional)
+     * @return native library object
+     */
+    var cSpeechBubble = function(x, y, width, height, tx, ty) {
+        return cCmds.call(this, speechBubble(x, y, width, height, tx, ty, C));
+    }
+
+    /**
+     * WRAPPER for real, private "cThoughtBubble"
+     * Draw a comic style thought bubble around the given text box with
+     * a trail of circles leading to the target, if given & outside.
+     *
+     * @param x x upper left corner of the text box
+     * @param y y upper left corner of the text box
+     * @param width width of the text box
+     * @param height height of the text box
+     * @param tx x of the tail target (optional)
+     * @param ty y of the tail target (optional)
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cThoughtBubble = function(x, y, width, height, tx, ty, opts) {
+        return draw.call(this, cThoughtBubble, arguments);
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cThoughtBubble" public.
+     *
+     * @param x x upper left corner of the text box
+     * @param y y upper left corner of the text box
+     * @param width width of the text box
+     * @param height height of the text box
+     * @param tx x of the tail target (optional)
+     * @param ty y of the tail target (optional)
+     * @return native library object
+     */
+    var cThoughtBubble = function(x, y, width, height, tx, ty) {
+        return cCmds.call(this, thoughtBubble(x, y, width, height, tx, ty, C));
+    }
+
+    /**
+     * WRAPPER for real, private "cShout"
+     * Draw a comic style jagged burst around the given text box with
+     * one spike reaching out to the target, if given & outside.
+     *
+     * @param x x upper left corner of the text box
+     * @param y y upper left corner of the text box
+     * @param width width of the text box
+     * @param height height of the text box
+     * @param tx x of the tail target (optional)
+     * @param ty y of the tail target (optional)
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cShout = function(x, y, width, height, tx, ty, opts) {
+        return draw.call(this, cShout, arguments);
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cShout" public.
+     *
+     * @param x x upper left corner of the text box
+     * @param y y upper left corner of the text box
+     * @param width width of the text box
+     * @param height height of the text box
+     * @param tx x of the tail target (optional)
+     * @param ty y of the tail target (optional)
+     * @return native library object
+     */
+    var cShout = function(x, y, width, height, tx, ty) {
+        return cCmds.call(this, shout(x, y, width, height, tx, ty, C));
+    }
+
+    /**
+     * WRAPPER for real, private "cCaption"
+     * Draw a comic style caption box around the given text box with
+     * a tail pointing at the target, if given & outside the box.
+     *
+     * @param x x upper left corner of the text box
+     * @param y y upper left corner of the text box
+     * @param width width of the text box
+     * @param height height of the text box
+     * @param tx x of the tail target (optional)
+     * @param ty y of the tail target (optional)
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cCaption = function(x, y, width, height, tx, ty, opts) {
+        return draw.call(this, cCaption, arguments);
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cCaption" public.
+     *
+     * @param x x upper left corner of the text box
+     * @param y y upper left corner of the text box
+     * @param width width of the text box
+     * @param height height of the text box
+     * @param tx x of the tail target (optional)
+     * @param ty y of the tail target (optional)
+     * @return native library object
+     */
+    var cCaption = function(x, y, width, height, tx, ty) {
+        return cCmds.call(this, caption(x, y, width, height, tx, ty, C));
+    }
+
+    // outlines of all bubbles for filling them
+    cSpeechBubble.outline = function(x, y, width, height, tx, ty) {
+        return pathOutline(speechBubble(x, y, width, height, tx, ty, C));
+    }
+    cThoughtBubble.outline = function(x, y, width, height, tx, ty) {
+        return pathOutline(thoughtBubble(x, y, width, height, tx, ty, C));
+    }
+    cShout.outline = function(x, y, width, height, tx, ty) {
+        return pathOutline(shout(x, y, width, height, tx, ty, C));
+    }
+    cCaption.outline = function(x, y, width, height, tx, ty) {
+        return pathOutline(caption(x, y, width, height, tx, ty, C));
+    }
+
+    /**
+     * WRAPPER for real, private "cPolyline"
+     * Draw lines through the given points one after the other
+     *
+     * @param points array of points with "x" & "y" or of [x, y] pairs,
+     * or string of coordinates as in the svg "points" attribute
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cPolyline = function(points, opts) {
+        return draw.call(this, cPolyline, arguments);
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cPolyline" public.
+     * Draw lines through the given points using line function
+     *
+     * @param points points as taken by "pointsOf"
+     * @return native library object
+     */
+    var cPolyline = function(points) {
+        points = pointsOf(points);
+        for(var i = 1; i < points.length; i++) {
+            cLine.call(this, points[i-1].x, points[i-1].y, points[i].x, points[i].y);
+        }
+
+        return this;
+    }
+
+    /**
+     * WRAPPER for real, private "cPolygon"
+     * Draw a closed polygon through the given points
+     *
+     * @param points array of points with "x" & "y" or of [x, y] pairs,
+     * or string of coordinates as in the svg "points" attribute
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cPolygon = function(points, opts) {
+        return draw.call(this, cPolygon, arguments);
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cPolygon" public.
+     * Draw a closed polygon through the given points using line function
+     *
+     * @param points points as taken by "pointsOf"
+     * @return native library object
+     */
+    var cPolygon = function(points) {
+        points = pointsOf(points);
+        for(var i = 0; i < points.length; i++) {
+            var p0 = points[i];
+            var p1 = points[(i + 1) % points.length];
+            cLine.call(this, p0.x, p0.y, p1.x, p1.y);
+        }
+        closeShape.call(this);
+
+        return this;
+    }
+
+    /**
+     * Outline of a "cPolygon", used for filling it.
+     *
+     * @param points points as taken by "pointsOf"
+     * @return array of rings, each an array of points
+     */
+    cPolygon.outline = function(points) {
+        return [pointsOf(points)];
+    }
+
+    /**
+     * WRAPPER for real, private "cPath"
+     * Draw the path given by an svg path string
+     *
+     * @param d svg path string, as in the "d" attribute
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cPath = function(d, opts) {
+        return draw.call(this, cPath, arguments);
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cPath" public.
+     * Draw the path given by an svg path string using the drawing
+     * function of every segment
+     *
+     * @param d svg path string
+     * @return native library object
+     */
+    var cPath = function(d) {
+        return cCmds.call(this, parsePath(d));
+    }
+
+    /**
+     * Outline of a "cPath", used for filling it.
+     *
+     * @param d svg path string
+     * @return array of rings, each an array of points
+     */
+    cPath.outline = function(d) {
+        return pathOutline(parsePath(d));
+    }
+
+    /**
+     * WRAPPER for real, private "cImage"
+     * Hand draw the edges of a bitmap, e.g. a photo, in the given box
+     *
+     * @param pixels image data with "width", "height" & RGBA "data",
+     * e.g. as returned by "getImageData" of a 2d canvas context
+     * @param x x upper left corner (optional)
+     * @param y y upper left corner (optional)
+     * @param width width to draw the bitmap at (optional)
+     * @param height height to draw the bitmap at (optional)
+     * @param opts object with per call options (optional)
+     * @return native library object
+     */
+    lib.cImage = function(pixels, x, y, width, height, opts) {
+        // image data alone is no per call options object
+        return draw.call(this, cImage, (arguments.length > 1) ? arguments : [pixels, 0, 0]);
+    }
+
+    /**
+     * Private version that does not call "begin" or "finish".
+     * Wrapped by "cImage" public.
+     * Hand draw the edges of a bitmap as traced by "imageLines", every
+     * edge as smooth curve using cubic Bezier function
+     *
+     * @param pixels image data with "width", "height" & RGBA "data"
+     * @param x x upper left corner (optional)
+     * @param y y upper left corner (optional)
+     * @param width width to draw the bitmap at (optional)
+     * @param height height to draw the bitmap at (optional)
+     * @return native library object
+     */
+    var cImage = function(pixels, x, y, width, height) {
+        x = x || 0;
+        y = y || 0;
+        width = width || pixels.width;
+        height = height || pixels.height;
+        var lines = imageLines(pixels, C);
+        for(var i = 0; i < lines.length; i++) {
+            var pts = lines[i].map(function(p) {
+                return { x:x + p.x * width, y:y + p.y * height };
+            });
+            // Catmull-Rom spline through the points as cubic Bezier curves
+            for(var j = 0; j + 1 < pts.length; j++) {
+                var p0 = pts[j-1] || pts[j], p1 = pts[j], p2 = pts[j+1], p3 = pts[j+2] || p2;
+                cBezier3.call(this, p1.x, p1.y,
+                              p1.x + (p2.x - p0.x) / 6, p1.y + (p2.y - p0.y) / 6,
+                              p2.x - (p3.x - p1.x) / 6, p2.y - (p3.y - p1.y) / 6,
+                              p2.x, p2.y);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Lay out comic panels as "C.panels" does and draw their frames
+     * hand drawn, one native object per frame.
+     *
+     * @param spec layout, see "C.panels"
+     * @param opts object with per call options (optional)
+     * @return array of panels as returned by "C.panels", each with its
+     * drawn frame as "border"
+     */
+    lib.cPanels = function(spec, opts) {
+        return withOptions.call(this, C, opts, function() {
+            var res = panels(spec);
+            for(var i = 0; i < res.length; i++) {
+                res[i].border = draw.call(this, cPolygon, [res[i].points]);
+            }
+            return res;
+        });
+    }
+
+    /**
+     * @var array svg elements cartoonized by "magic"
+     */
+    var shapeTags = ["rect", "circle", "ellipse", "line", "polyline", "polygon", "path", "image"];
+
+    /**
+     * @var array svg container elements searched by "magic" - nested
+     * "svg" viewports, groups, links & conditional groups, as well as
+     * definitions used by "use" elements
+     */
+    var containerTags = ["svg", "g", "a", "switch", "defs", "symbol"];
+
+    /**
+     * Function to get the element referenced by a "use" element, if
+     * it is in the same document.
+     *
+     * @param e svg use element
+     * @return element or null
+     */
+    var useRef = function(e) {
+        var href = e.getAttribute("href") || e.getAttribute("xlink:href") || "";
+        var doc = e.ownerDocument || document;
+        return (href.charAt(0) == "#") ? doc.getElementById(href.substr(1)) : null;
+    }
+
+    /**
+     * Function to get the ids of all elements referenced by "use"
+     * elements in the document of the given element.
+     *
+     * @param e svg element
+     * @return object with true by id
+     */
+    var usedIds = function(e) {
+        var ids = {};
+        var uses = (e.ownerDocument || document).getElementsByTagName("use");
+        for(var i = 0; i < uses.length; i++) {
+            var href = uses[i].getAttribute("href") || uses[i].getAttribute("xlink:href") || "";
+            if(href.charAt(0) == "#") ids[href.substr(1)] = true;
+        }
+        return ids;
+    }
+
+    /**
+     * @var object bitmaps of images by their address, with image data
+     * "pixels" once loaded, natural "width" & "height" and functions
+     * "waiting" to be called once loaded
+     */
+    var bitmaps = {};
+
+    /**
+     * Function to read the pixels of an image or canvas, scaled down to
+     * fit "imageSize".
+     *
+     * @param source img or canvas element
+     * @param width natural width of the source
+     * @param height natural height of the source
+     * @return image data or undefined if not readable, e.g. from other origins
+     */
+    var pixelsOf = function(source, width, height) {
+        if(typeof document == "undefined" || ! (width > 0 && height > 0)) return undefined;
+        var scale = Math.min(1, C.imageSize / Math.max(width, height));
+        var canvas = document.createElement("canvas");
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        try {
+            var ctx = canvas.getContext("2d");
+            ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+            return ctx.getImageData(0, 0, canvas.width, canvas.height);
+        }
+        catch(err) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Function to get the bitmap shown by an svg image element. Bitmaps
+     * not known yet are loaded, calling "ready" once loaded.
+     *
+     * @param e svg image element
+     * @param ready function to call once loaded (optional)
+     * @return bitmap as kept in "bitmaps" or undefined if not loaded
+     */
+    var bitmapOf = function(e, ready) {
+        var href = e.getAttribute("href") || e.getAttribute("xlink:href") || "";
+        var bitmap = bitmaps[href];
+        if(! bitmap && href && typeof Image == "function") {
+            bitmap = bitmaps[href] = { waiting: [] };
+            var img = new Image();
+            img.crossOrigin = "anonymous";
+            img.onload = function() {
+                bitmap.width = img.naturalWidth;
+                bitmap.height = img.naturalHeight;
+                bitmap.pixels = pixelsOf(img, bitmap.width, bitmap.height);
+                var waiting = bitmap.waiting;
+                bitmap.waiting = [];
+                for(var i = 0; i < waiting.length; i++) waiting[i]();
+            };
+            img.onerror = function() {
+                bitmap.waiting = [];
+            };
+            img.src = href;
+        }
+        if(! bitmap) return undefined;
+        if(! bitmap.pixels && ready) bitmap.waiting.push(ready);
+        return bitmap.pixels ? bitmap : undefined;
+    }
+
+    /**
+     * Function to tell if an element is an html bitmap: img or canvas.
+     *
+     * @param e element
+     * @return boolean
+     */
+    var isBitmap = function(e) {
+        return !! e && typeof e.tagName == "string" && ! e.ownerSVGElement &&
+               ["img", "canvas"].indexOf(e.tagName.toLowerCase()) >= 0;
+    }
+
+    /**
+     * Function to replace an html img or canvas by an svg showing its
+     * bitmap, in the same size, to cartoonize by "magic". The original
+     * element is kept in the record of the svg for "unmagic". Images
+     * not loaded yet are left as they are, calling "ready" once loaded.
+     *
+     * @param e img or canvas element
+     * @param ready function to call once loaded
+     * @return svg element or undefined if not loaded or not readable
+     */
+    var bitmapSvg = function(e, ready) {
+        var canvas = (e.tagName.toLowerCase() == "canvas");
+        if(! canvas && ! (e.complete && e.naturalWidth > 0)) {
+            var onload = function() {
+                e.removeEventListener("load", onload);
+                ready();
+            };
+            e.addEventListener("load", onload);
+            return undefined;
+        }
+        var width = canvas ? e.width : e.naturalWidth;
+        var height = canvas ? e.height : e.naturalHeight;
+        var pixels = pixelsOf(e, width, height);
+        if(! pixels) return undefined;
+        var href = canvas ? e.toDataURL() : e.currentSrc || e.src;
+        bitmaps[href] = { pixels: pixels, width: width, height: height, waiting: [] };
+        // bitmap in its natural size, stretched to the size shown
+        var svg = e.ownerDocument.createElementNS("http://www.w3.org/2000/svg", "svg");
+        var atts = e.attributes;
+        for(var i = 0; i < atts.length; i++) {
+            if(["src", "srcset", "sizes", "alt", "width", "height", "crossorigin", "loading",
+                "decoding", "usemap", "ismap", "referrerpolicy"].indexOf(atts[i].name) < 0)
+                svg.setAttribute(atts[i].name, atts[i].value);
+        }
+        svg.setAttribute("width", e.clientWidth || e.width);
+        svg.setAttribute("height", e.clientHeight || e.height);
+        svg.setAttribute("viewBox", [0, 0, width, height].join(" "));
+        svg.setAttribute("preserveAspectRatio", "none");
+        var image = e.ownerDocument.createElementNS("http://www.w3.org/2000/svg", "image");
+        image.setAttribute("href", href);
+        image.setAttribute("width", width);
+        image.setAttribute("height", height);
+        svg.appendChild(image);
+        adopt(e, svg);
+        if(e.parentNode) e.parentNode.replaceChild(svg, e);
+        svg.__comic__ = { node: e, atts: attsOf(e), text: e.textContent, extra: [], texts: [],
+                          opts: optionsOf(C), sig: attsOf(svg), sigText: "" };
+
+        return svg;
+    }
+
+    /**
+     * Function to get the options given for an svg element and its
+     * subtree, as "data-comic-*" attribute or "--comic-*" CSS custom
+     * property, e.g. data-comic-ff="2" or "--comic-fill-angle: 45".
+     * Beyond all options there is "roughness", scaling "ff" & "ffc" of
+     * the given base options, and "skip", leaving the subtree as it is.
+     * The declaration on the nearest ancestor wins, the attribute over
+     * the CSS property on the same one. CSS properties count as declared
+     * on the ancestors whose value differs from the one of their parent.
+     *
+     * @param e svg element
+     * @param base options with "ff" & "ffc" to scale by "roughness"
+     * @return object with options
+     */
+    var overridesOf = function(e, base) {
+        var opts = {};
+        // the element & its ancestors, nearest first
+        var levels = [];
+        for(var a = e; a && a.nodeType == 1; a = a.parentNode) {
+            levels.push({ e: a, style: computedStyle(a) });
+        }
+        // CSS property declared on the given level, if any
+        var declared = function(i, prop) {
+            var style = levels[i].style;
+            if(! style || ! style.getPropertyValue) return undefined;
+            var value = style.getPropertyValue(prop).trim();
+            var parent = levels[i + 1] ? levels[i + 1].style : undefined;
+            var inherited = (parent && parent.getPropertyValue) ? parent.getPropertyValue(prop).trim() : "";
+            return (value != "" && value != inherited) ? value : undefined;
+        };
+        var names = Object.keys(defaults).concat(["roughness", "skip"]);
+        for(var i = 0; i < names.length; i++) {
+            if(names[i] == "context" || names[i] == "prng") continue;
+            var name = names[i].replace(/[A-Z]/g, function(c) { return "-" + c.toLowerCase(); });
+            var value = undefined;
+            for(var j = 0; j < levels.length && typeof value == "undefined"; j++) {
+                var l = levels[j].e;
+                value = (l.hasAttribute && l.hasAttribute("data-comic-" + name)) ?
+                        l.getAttribute("data-comic-" + name) : declared(j, "--comic-" + name);
+            }
+            if(typeof value == "undefined") continue;
+            // plain attributes like "data-comic-skip" mean true
+            value = value.trim();
+            opts[names[i]] = (value == "" || value == "true") ? true :
+                             (value == "false") ? false :
+                             isNaN(value) ? value : parseFloat(value);
+        }
+        if(typeof opts.roughness == "number") {
+            if(typeof opts.ff == "undefined") opts.ff = base.ff * opts.roughness;
+            if(typeof opts.ffc == "undefined") opts.ffc = base.ffc * opts.roughness;
+        }
+        delete opts.roughness;
+
+        return opts;
+    }
+
+    /**
+     * Function to get all attributes of an svg element.
+     *
+     * @param e svg element
+     * @return object with attribute values by name
+     */
+    var attsOf = function(e) {
+        var res = {};
+        for(var i = 0; i < e.attributes.length; i++) {
+            res[e.attributes[i].name] = e.attributes[i].value;
+        }
+        return res;
+    }
+
+    /**
+     * Function to tell if two sets of attributes are the same.
+     *
+     * @param a object with attribute values by name
+     * @param b object with attribute values by name
+     * @return boolean
+     */
+    var sameAtts = function(a, b) {
+        var names = Object.keys(a);
+        if(names.length != Object.keys(b).length) return false;
+        for(var i = 0; i < names.length; i++) {
+            if(a[names[i]] !== b[names[i]]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Function to tell if an svg element cartoonized by "magic" changed
+     * since: its attributes or text, or those of the original element it
+     * replaced, e.g. changed by a lib still holding the original.
+     *
+     * @param p svg element as left by "magic"
+     * @return boolean
+     */
+    var isChanged = function(p) {
+        var record = p.__comic__;
+        if(! sameAtts(record.sig, attsOf(p)) || p.textContent !== record.sigText) {
+            return true;
+        }
+        return record.node !== p && (! sameAtts(record.atts, attsOf(record.node)) ||
+                                     record.node.textContent !== record.text);
+    }
+
+    /**
+     * Function to hand the interactivity of an svg element over to the
+     * element replacing it: data & references of libs, e.g. "__data__"
+     * of D3.js or "instance" of SVG.js, event listeners registered by
+     * D3.js and "on..." event handlers.
+     *
+     * @param e svg element replaced
+     * @param p svg element replacing it
+     * @return void
+     */
+    var adopt = function(e, p) {
+        // add or remove listeners as registered by D3.js
+        var listen = function(on, add) {
+            var fn = add ? p.addEventListener : p.removeEventListener;
+            for(var i = 0; i < on.length; i++) {
+                fn.call(p, on[i].type, on[i].listener,
+                        (typeof on[i].options != "undefined") ? on[i].options : on[i].capture);
+            }
+        };
+        var missing = function(a, b) {
+            return a.filter(function(o) { return b.indexOf(o) < 0; });
+        };
+        // own properties & event handlers only, other properties of the
+        // prototypes are getters of the DOM, e.g. "innerHTML" or layout
+        var names = Object.keys(e);
+        for(var o = Object.getPrototypeOf(e); o; o = Object.getPrototypeOf(o)) {
+            names = names.concat(Object.getOwnPropertyNames(o).filter(function(name) {
+                return /^on/.test(name);
+            }));
+        }
+        for(var i = 0; i < names.length; i++) {
+            var name = names[i];
+            var value = e[name];
+            // objects of libs, e.g. SVG.js, pointing back at the element
+            if(value && typeof value == "object" && value.node === e) value.node = p;
+            if(name == "__comic__" || p[name] === value) continue;
+            // event handlers
+            if(! e.hasOwnProperty(name)) {
+                if(typeof value == "function") p[name] = value;
+                continue;
+            }
+            // running transitions stay with the element they run on
+            if(/^__transition/.test(name)) continue;
+            // D3.js v4 & later
+            if(name == "__on" && isArray(value)) {
+                var old = isArray(p.__on) ? p.__on : [];
+                listen(missing(old, value), false);
+                listen(missing(value, old), true);
+                value = value.slice();
+            }
+            // D3.js v3
+            else if(/^__on./.test(name) && typeof value == "function") {
+                var type = name.slice(4).split(".")[0];
+                if(typeof p[name] == "function") p.removeEventListener(type, p[name], p[name]._);
+                p.addEventListener(type, value, value._);
+            }
+            p[name] = value;
+        }
+    }
+
+    /**
+     * Function to undo "magic" on an svg element: removes the hatch &
+     * brush paths drawn for it, puts back text replaced by glyphs and
+     * the original element, which "magic" changed in place only if it
+     * was a path, with its original attributes. With "keep" all
+     * attribute changes made after "magic" are taken over, except for
+     * the path data of replaced shapes.
+     *
+     * @param p svg element as left by "magic"
+     * @param keep true to take over changes made after "magic"
+     * @return original element
+     */
+    var restore = function(p, keep) {
+        var record = p.__comic__;
+        var now = attsOf(p);
+        delete p.__comic__;
+        for(var i = 0; i < record.extra.length; i++) {
+            var x = record.extra[i];
+            if(x.parentNode) x.parentNode.removeChild(x);
+        }
+        for(var i = 0; i < record.texts.length; i++) {
+            var glyphs = record.texts[i].glyphs;
+            if(glyphs[0].parentNode) {
+                glyphs[0].parentNode.insertBefore(record.texts[i].node, glyphs[0]);
+            }
+            for(var j = 0; j < glyphs.length; j++) {
+                if(glyphs[j].parentNode) glyphs[j].parentNode.removeChild(glyphs[j]);
+            }
+        }
+        var e = record.node;
+        if(e !== p) {
+            adopt(p, e);
+            if(p.parentNode) p.parentNode.replaceChild(e, p);
+        }
+        // back to the original attributes of paths changed in place
+        if(e === p) {
+            var names = Object.keys(now);
+            for(var i = 0; i < names.length; i++) {
+                if(! record.atts.hasOwnProperty(names[i])) e.removeAttribute(names[i]);
+            }
+            for(var name in record.atts) e.setAttribute(name, record.atts[name]);
+        }
+        if(keep) {
+            var names = Object.keys(record.sig).concat(Object.keys(now));
+            for(var i = 0; i < names.length; i++) {
+                var name = names[i];
+                if(record.sig[name] === now[name]) continue;
+                if(name == "d" && e.tagName != "path") continue;
+                if(now.hasOwnProperty(name)) e.setAttribute(name, now[name]);
+                else e.removeAttribute(name);
+            }
+        }
+
+        return e;
+    }
+
+    /**
+     * Smart function for digesting input given to "magic" function.
+     * It looks for valid drawing elements, svg & g, and tries to find
+     * them in SVGDocument, Node and in direct children and parent
+     * elements.
+     *
+     * @param e Node or Element
+     * @return element
+     */
+    var unWrap = function(e) {
+        var msg = "error: no drawing element given"; // in case of error
+        var found = false; // false until valid drawing object found
+        var tags = containerTags; // array of valid drawing tags
+        var eTmp;
+        var unArray = function(e) {
+            // "string" of course is nonsense but would cause infinite loop
+            while(e[0] && typeof e[0] != "string") {
+                e = e[0];
+            }
+            return e;
+        }
+        // unwrap from e.g. SVGDocument
+        var unCD = function(e) {
+            if(e.contentDocument) e = e.contentDocument;
+            return e;
+        }
+        // look in the "node"
+        var unNode = function(e) {
+            if(typeof e.node == "object") {
+                if(typeof e.node.tagName == "string")
+                    e = e.node;
+            }
+            return e;
+        }
+        var checkTag = function(e) {
+            return (typeof e.tagName != "string") ?
+                    false : tags.indexOf(e.tagName) >= 0;
+        }
+        e = unArray(e);
+        e = unCD(e);
+        e = unNode(e);
+        // looking for an element, not any node, thus with "tagName"
+        if(! (found = checkTag(e)) ) {
+            // look in direct "child" elements
+            if(typeof e.children == "object") {
+                var i = 0;
+                while(!found && i < e.children.length) {
+                    eTmp = unCD(e.children[i]);
+                    eTmp = unNode(e.children[i]);
+                    if(found = checkTag(eTmp)) e = eTmp;
+                    i++;
+                }
+            }
+            // look in direct "parent" element if not yet found
+            if(typeof e.parent == "object" && !found) {
+                eTmp = unCD(e.children[i]);
+                eTmp = unNode(e.children[i]);
+                if(found = checkTag(eTmp)) e = eTmp;
+            }
+        }
+        if(!found) throw msg;
+
+        return e;
+    }
+
+    /**
+     * Wrapper calling C.magic with the object called on.
+     *
+     * @param opts object with per call options (optional)
+     * @return native lib object
+     */
+    lib.magic = function(opts) {
+        return C.magic.call(this, this, opts);
+    }
+
+    /**
+     * Function to cartoonize any given svg.
+     *
+     * @param svgs source svg / selection with source svgs to cartoonize
+     * @param opts object with per call options (optional)
+     * @return native lib object
+     */
+    entries.magic = function(svgs, opts) {
+        if(! svgs) return;
+        return withOptions.call(this, C, opts, function() {
+            return magic.call(this, svgs);
+        });
+    }
+
+    /**
+     * Private version of "magic" that uses the current options.
+     *
+     * @param svgs source svg / selection with source svgs to cartoonize
+     * @return native lib object
+     */
+    var magic = function(svgs) {
+        svgs = svgs[0] ? svgs : [svgs];
+        // rerun for list[i>0]; wont happen in reruns since then svgList.length = 1
+        for(var i = 1; i < svgs.length; i++) {
+            magic.call(this, isBitmap(svgs[i]) ? svgs[i] : unWrap(svgs[i]));
+        }
+        var svg = svgs[0];
+        // bitmaps not loaded yet get cartoonized once loaded, as of now
+        var self = this;
+        var opts = optionsOf(C);
+        var rerun = function() {
+            C.magic.call(self, svg, opts);
+        };
+        // html bitmaps get replaced by an svg showing them
+        if(isBitmap(svg)) {
+            var replaced = bitmapSvg(svg, rerun);
+            if(! replaced) return svg;
+            svg = replaced;
+        }
+        svg = unWrap(svg);
+
+        // options to scale by "roughness"
+        var base = { ff: C.ff, ffc: C.ffc };
+        // elements referenced by "use" elements, walked once only
+        var seen = [];
+        var used = usedIds(svg);
+        // do depth-frist tree traversal & skip branches at unknown tags
+        // NOTE: "clipPath", "mask" & co. are unknown to keep them exact
+        (function walk(e) {
+            // options given for the element & its subtree, if not skipped
+            var opts = overridesOf(e, base);
+            if(opts.skip) return;
+            delete opts.skip;
+            withOptions.call(this, C, opts, function() {
+                // instance: cartoonize the referenced element, once for all
+                // its instances, while the "use" element itself stays as is
+                if(e.tagName == "use") {
+                    var ref = useRef(e);
+                    if(ref && seen.indexOf(ref) < 0 &&
+                       shapeTags.concat(containerTags, ["text"]).indexOf(ref.tagName) >= 0) {
+                        seen.push(ref);
+                        walk.call(this, ref);
+                    }
+                    return;
+                }
+                // recursion if known tag - skip branch otherwise
+                var adj = Array.prototype.slice.call(e.children);
+                for(var i = 0; i < adj.length; i++) {
+                    var owner = adj[i].__comic__ ? adj[i].__comic__.owner : undefined;
+                    // hatch or brush path of an earlier run: drop if its shape is gone
+                    if(owner) {
+                        if(adj[i].parentNode == e && owner.parentNode != e) {
+                            e.removeChild(adj[i]);
+                        }
+                    }
+                    else if(shapeTags.concat(containerTags, ["use", "text"])
+                            .indexOf(adj[i].tagName) >= 0) {
+                        walk.call(this, adj[i]);
+                    }
+                }
+                if(shapeTags.indexOf(e.tagName) < 0 && e.tagName != "text") return;
+                // cartoonized by an earlier run: keep if unchanged, otherwise
+                // start over from the original with all changes made since
+                if(e.__comic__) {
+                    if(! isChanged(e)) return;
+                    e = restore(e, true);
+                }
+                // bitmaps not loaded yet are drawn once loaded
+                if(e.tagName == "image" && ! bitmapOf(e, rerun)) return;
+                // record the original to restore it by "unmagic"
+                var record = { node: e, atts: attsOf(e), text: e.textContent,
+                               extra: [], texts: [] };
+                // hand lettered text is stroked in the color of the text,
+                // the edges of images in their stroke color or black
+                var textColor = (e.tagName == "text") ? fillOf(e) : undefined;
+                var lineColor = (e.tagName == "text") ? textColor :
+                                (e.tagName == "image") ? strokeOf(e) || "black" : strokeOf(e);
+                // instanced by "use": extra paths next to it would not be
+                // instanced, thus no overlay, hatch or brush
+                var instanced = used.hasOwnProperty(e.getAttribute("id"));
+                // brush the stroke & hatch the fill into extra paths if wanted
+                var strokeColor = (C.brush && ! instanced) ? lineColor : undefined;
+                var fillColor = (C.fill && ! instanced) ? fillOf(e) : undefined;
+                // do changes on the element
+                if(e.tagName == "text" && ! C.lettering) reText.call(this, e, record.texts);
+                var drawn = sketch.call(this, e, strokeColor, fillColor);
+                var shapeStr = drawn.shape;
+                var inkStr = drawn.ink;
+                var hatchStr = drawn.hatch;
+                // element to draw on & element keeping the record, the same
+                // unless drawing over the original
+                var p = e;
+                var owner = e;
+                // attributes specific to non-paths
+                var geometry = ["x", "y", "rx", "ry", "width", "height", "cx", "cy", "r",
+                                "x1", "y1", "x2", "y2", "points", "dx", "dy", "rotate",
+                                "textLength", "lengthAdjust", "href", "xlink:href",
+                                "preserveAspectRatio", "crossorigin"];
+                // draw over the original, which stays as invisible target of
+                // events, keeping its listeners, data & tooltips
+                if(C.overlay && shapeStr.length > 0 && ! instanced) {
+                    p = e.ownerDocument.createElementNS("http://www.w3.org/2000/svg", "path");
+                    // no "id" & "class" - selecting the original only
+                    var atts = e.attributes;
+                    for(var i = 0; i < atts.length; i++) {
+                        if(geometry.concat(["d", "id", "class"]).indexOf(atts[i].name) < 0 &&
+                           ! /^on/.test(atts[i].name))
+                            p.setAttribute(atts[i].name, atts[i].value);
+                    }
+                    // thus the look as given by style sheets as well
+                    var computed = computedStyle(e);
+                    if(computed) {
+                        var names = Object.keys(paintProps).concat(["opacity"]);
+                        for(var i = 0; i < names.length; i++) {
+                            var value = computed.getPropertyValue(names[i]);
+                            if(value) setPaint(p, names[i], value);
+                        }
+                    }
+                    if(e.tagName == "text" || e.tagName == "image") {
+                        setPaint(p, "stroke", lineColor || "none");
+                        setPaint(p, "fill", "none");
+                    }
+                    setPaint(p, "pointer-events", "none");
+                    // photos stay visible below their sketch
+                    if(e.tagName != "image") setPaint(e, "opacity", "0");
+                    p.__comic__ = { owner: e };
+                    record.extra.push(p);
+                    record.overlay = p;
+                    e.parentNode.insertBefore(p, e.nextSibling);
+                }
+                // if a basic shape encountered replace it with path
+                else if((shapeTags.indexOf(e.tagName) >= 0 && e.tagName != "path") ||
+                        (e.tagName == "text" && shapeStr.length > 0)) {
+                    p = e.ownerDocument.createElementNS("http://www.w3.org/2000/svg", "path");
+                    owner = p;
+                    // copy attributes, avoid those specific to non-paths
+                    var atts = e.attributes;
+                    for (var i = 0; i < atts.length; i++) {
+                        if(geometry.indexOf(atts[i].name) < 0)
+                            p.setAttribute(atts[i].name, atts[i].value);
+                    }
+                    // take over listeners, data & tooltips - the original
+                    // element is kept in the record
+                    adopt(e, p);
+                    if(e.tagName != "text") {
+                        for(var i = 0; i < e.children.length; i++) {
+                            if(["title", "desc"].indexOf(e.children[i].tagName) >= 0) {
+                                p.appendChild(e.children[i].cloneNode(true));
+                            }
+                        }
+                    }
+                    e.parentNode.replaceChild(p, e);
+                    if(e.tagName == "text" || e.tagName == "image") {
+                        setPaint(p, "stroke", lineColor || "none");
+                        setPaint(p, "fill", "none");
+                    }
+                }
+                // if a path has been prepared adjust "d" attribute
+                if(shapeStr.length > 0) {
+                    p.setAttribute("d", shapeStr);
+                }
+                // hatch path goes right below the outline, drawn in fill color
+                if(hatchStr.length > 0) {
+                    var h = p.cloneNode(false);
+                    h.removeAttribute("id");
+                    h.setAttribute("d", hatchStr);
+                    setInk(h, fillColor);
+                    setPaint(p, "fill", "none");
+                    h.__comic__ = { owner: owner };
+                    record.extra.push(h);
+                    record.hatch = h;
+                    p.parentNode.insertBefore(h, p);
+                }
+                // brush path goes right above the outline, drawn in stroke color
+                if(inkStr.length > 0) {
+                    var k = p.cloneNode(false);
+                    k.removeAttribute("id");
+                    k.setAttribute("d", inkStr);
+                    setInk(k, strokeColor);
+                    setPaint(p, "stroke", "none");
+                    k.__comic__ = { owner: owner };
+                    record.extra.push(k);
+                    record.ink = k;
+                    p.parentNode.insertBefore(k, p.nextSibling);
+                }
+                // animate as being drawn: outline first, then hatch & brush strokes
+                if(C.reveal) {
+                    if(shapeStr.length > 0 && inkStr.length == 0) {
+                        revealPath(p, revealTiming(C), false);
+                    }
+                    if(hatchStr.length > 0) revealPath(h, revealTiming(C), C.brush);
+                    if(inkStr.length > 0) revealPath(k, revealTiming(C), true);
+                }
+                // options to draw it again by "boil"
+                record.opts = optionsOf(C);
+                // attributes as left by "magic", to tell later changes
+                record.sig = attsOf(owner);
+                record.sigText = owner.textContent;
+                owner.__comic__ = record;
+            });
+        }).call(this, svg);
+
+        return svg;
+    }
+
+    /**
+     * Wrapper calling C.unmagic with the object called on.
+     *
+     * @return native lib object
+     */
+    lib.unmagic = function() {
+        return C.unmagic.call(this, this);
+    }
+
+    /**
+     * Function to undo "magic" on any given svg, restoring all original
+     * elements with their original attributes.
+     *
+     * @param svgs svg / selection with svgs cartoonized by "magic"
+     * @return native lib object
+     */
+    entries.unmagic = function(svgs) {
+        if(! svgs) return;
+        svgs = svgs[0] ? svgs : [svgs];
+        for(var i = 1; i < svgs.length; i++) {
+            C.unmagic.call(this, unWrap(svgs[i]));
+        }
+        var svg = unWrap(svgs[0]);
+
+        // elements referenced by "use" elements, walked once only
+        var seen = [];
+        (function walk(e) {
+            if(e.tagName == "use") {
+                var ref = useRef(e);
+                if(ref && seen.indexOf(ref) < 0) {
+                    seen.push(ref);
+                    walk(ref);
+                }
+                return;
+            }
+            var adj = Array.prototype.slice.call(e.children);
+            for(var i = 0; i < adj.length; i++) {
+                if(adj[i].parentNode == e) walk(adj[i]);
+            }
+            var record = e.__comic__;
+            if(! record) return;
+            // hatch or brush path, even if its shape is gone
+            if(record.owner) e.parentNode.removeChild(e);
+            else restore(e, false);
+        })(svg);
+
+        return svg;
+    }
+
+    /**
+     * Wrapper calling C.observe with the object called on.
+     *
+     * @param opts object with per call options & "delay" (optional)
+     * @return object with "disconnect" function
+     */
+    lib.observe = function(opts) {
+        return C.observe.call(this, this, opts);
+    }
+
+    /**
+     * Function to cartoonize any given svg and keep it cartoonized while
+     * it changes, e.g. by D3 data joins & transitions: "magic" runs again
+     * once no changes were made for "delay" milliseconds (default 50),
+     * redrawing new elements & elements with changed attributes only.
+     * Shapes replaced by "magic" are watched too, as libs keep changing
+     * those they hold.
+     *
+     * @param svgs source svg / selection with source svgs to cartoonize
+     * @param opts object with per call options & "delay" (optional)
+     * @return object with "disconnect" function to stop watching
+     */
+    entries.observe = function(svgs, opts) {
+        if(! svgs) return;
+        var self = this;
+        var delay = (opts && typeof opts.delay == "number") ? opts.delay : 50;
+        var options = {};
+        for(var prop in opts) {
+            if(opts.hasOwnProperty(prop) && prop != "delay") options[prop] = opts[prop];
+        }
+        svgs = svgs[0] ? svgs : [svgs];
+        var roots = [];
+        for(var i = 0; i < svgs.length; i++) {
+            roots.push(unWrap(svgs[i]));
+        }
+        var config = { attributes: true, characterData: true, childList: true, subtree: true };
+        var timer;
+        var run = function() {
+            timer = undefined;
+            C.magic.call(self, roots, options);
+            // watch the originals of replaced shapes
+            var watch = function(e) {
+                var record = e.__comic__;
+                if(record && record.node && record.node !== e) {
+                    observer.observe(record.node, config);
+                }
+                for(var i = 0; i < e.children.length; i++) watch(e.children[i]);
+            }
+            for(var i = 0; i < roots.length; i++) watch(roots[i]);
+            // forget the changes made by "magic" itself
+            observer.takeRecords();
+        }
+        var observer = new MutationObserver(function(mutations) {
+            for(var i = 0; i < mutations.length; i++) {
+                var record = mutations[i].target.__comic__;
+                // paths drawn again by "boil" need no rerun
+                if(mutations[i].type == "attributes" && record &&
+                   (record.owner || ! isChanged(mutations[i].target))) continue;
+                clearTimeout(timer);
+                timer = setTimeout(run, delay);
+                return;
+            }
+        });
+        for(var i = 0; i < roots.length; i++) {
+            observer.observe(roots[i], config);
+        }
+        run();
+
+        return {
+            disconnect: function() {
+                clearTimeout(timer);
+                observer.disconnect();
+            }
+        };
+    }
+
+    /**
+     * Wrapper calling C.boil with the object called on.
+     *
+     * @param opts object with "fps" & "amplitude" (optional)
+     * @return object with "start" & "stop" functions
+     */
+    lib.boil = function(opts) {
+        return C.boil.call(this, this, opts);
+    }
+
+    /**
+     * Function to let the lines of a drawing boil like in hand animated
+     * cartoons: "fps" times per second (default 8) all shapes are drawn
+     * again with fresh jitter, scaled by "amplitude" (default 1), while
+     * keeping their geometry. Works for svgs cartoonized by "magic" and
+     * for canvas contexts, where all shapes drawn after calling "boil"
+     * are kept - the canvas is cleared to draw them again.
+     *
+     * @param target svg / selection with svgs or 2d canvas context
+     * @param opts object with "fps" & "amplitude" (optional)
+     * @return object with "start" & "stop" functions, boiling is started
+     */
+    entries.boil = function(target, opts) {
+        if(! target) return;
+        var fps = (opts && opts.fps > 0) ? opts.fps : 8;
+        var amplitude = (opts && typeof opts.amplitude == "number") ? opts.amplitude : 1;
+        var tick;
+        // canvas context: draw the kept shapes again
+        if(typeof target.quadraticCurveTo == "function") {
+            var state = target.__comic__ = target.__comic__ || {};
+            state.shapes = state.shapes || [];
+            tick = function() {
+                clearCanvas(target);
+                for(var i = 0; i < state.shapes.length; i++) {
+                    state.shapes[i].call(target, amplitude);
+                }
+            };
+        }
+        // svgs: draw the paths left by "magic" again
+        else {
+            var svgs = target[0] ? target : [target];
+            var roots = [];
+            for(var i = 0; i < svgs.length; i++) {
+                roots.push(unWrap(svgs[i]));
+            }
+            var walk = function(e) {
+                var record = e.__comic__;
+                if(record && ! record.owner) resketch.call(this, e, amplitude);
+                for(var i = 0; i < e.children.length; i++) walk.call(this, e.children[i]);
+            };
+            tick = function() {
+                for(var i = 0; i < roots.length; i++) walk.call(this, roots[i]);
+            };
+        }
+        var self = this;
+        var timer;
+        var boiler = {
+            start: function() {
+                if(! timer) timer = setInterval(function() { tick.call(self); }, 1000 / fps);
+                return boiler;
+            },
+            stop: function() {
+                clearInterval(timer);
+                timer = undefined;
+                return boiler;
+            }
+        };
+
+        return boiler.start();
+    }
+
+    /**
+     * Wrapper calling C.paint with the object called on.
+     *
+     * @param ctx 2d canvas context to paint on
+     * @return native lib object
+     */
+    lib.paint = function(ctx) {
+        C.paint.call(this, ctx, this);
+        return this;
+    }
+
+    /**
+     * Function to paint any given svg on a 2d canvas context, e.g. to
+     * save it as PNG: all path elements, as drawn by the libs or left by
+     * "magic", in their stroke & fill and within the transforms of their
+     * ancestors. Other elements, e.g. text, are left out.
+     *
+     * @param ctx 2d canvas context to paint on
+     * @param svgs svg / selection with svgs to paint
+     * @return 2d canvas context
+     */
+    entries.paint = function(ctx, svgs) {
+        if(! svgs) return ctx;
+        svgs = svgs[0] ? svgs : [svgs];
+        for(var i = 0; i < svgs.length; i++) {
+            paintElement.call(this, ctx, unWrap(svgs[i]), paintProps);
+        }
+        return ctx;
+    }
+
+    /**
+     * @var object svg paint properties with their initial values, all of
+     * them inherited
+     */
+    var paintProps = {
+        "fill": "black",
+        "fill-opacity": "1",
+        "fill-rule": "nonzero",
+        "stroke": "none",
+        "stroke-opacity": "1",
+        "stroke-width": "1",
+        "stroke-linecap": "butt",
+        "stroke-linejoin": "miter"
+    };
+
+    /**
+     * Function to paint an svg element & its children on a 2d canvas
+     * context.
+     *
+     * @param ctx 2d canvas context to paint on
+     * @param e svg element
+     * @param inherited object with paint properties of the parent element
+     * @return void
+     */
+    var paintElement = function(ctx, e, inherited) {
+        var computed = computedStyle(e);
+        var valueOf = function(name) {
+            return computed ? computed.getPropertyValue(name) :
+                   (e.style && e.style[name]) || e.getAttribute(name);
+        };
+        if(valueOf("display") == "none") return;
+        var style = {};
+        for(var name in paintProps) {
+            style[name] = valueOf(name) || inherited[name];
+        }
+        var m = parseTransform(e.getAttribute("transform"));
+        var opacity = parseFloat(valueOf("opacity"));
+        ctx.save();
+        ctx.transform(m[0], m[1], m[2], m[3], m[4], m[5]);
+        if(! isNaN(opacity)) ctx.globalAlpha *= opacity;
+        if(e.tagName == "path") {
+            paintPath.call(this, ctx, e.getAttribute("d") || "", style);
+        }
+        else if(e.tagName == "use") {
+            var ref = useRef(e);
+            ctx.translate(parseFloat(e.getAttribute("x")) || 0, parseFloat(e.getAttribute("y")) || 0);
+            if(ref) paintElement.call(this, ctx, ref, style);
+        }
+        // definitions are painted by "use" only
+        else if(["svg", "g", "a", "switch"].indexOf(e.tagName) >= 0) {
+            // nested svg viewports
+            if(e.tagName == "svg" && e.ownerSVGElement) {
+                ctx.translate(parseFloat(e.getAttribute("x")) || 0, parseFloat(e.getAttribute("y")) || 0);
+            }
+            for(var i = 0; i < e.children.length; i++) {
+                paintElement.call(this, ctx, e.children[i], style);
+            }
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Function to paint an svg path string on a 2d canvas context as it
+     * is, in the given stroke & fill.
+     *
+     * @param ctx 2d canvas context to paint on
+     * @param d svg path string
+     * @param style object with svg paint properties
+     * @return void
+     */
+    var paintPath = function(ctx, d, style) {
+        var pos = { x:NaN, y:NaN };
+        // "move to" only required if (x0, y0) != current pos
+        var moveTo = function(x, y) {
+            if(pos.x != x || pos.y != y) ctx.moveTo(x, y);
+        };
+        ctx.beginPath();
+        tracePath.call(this, parsePath(d), {
+            line: function(x0, y0, x1, y1) {
+                moveTo(x0, y0);
+                ctx.lineTo(x1, y1);
+                pos = { x:x1, y:y1 };
+            },
+            bezier2: function(x0, y0, cx, cy, x1, y1) {
+                moveTo(x0, y0);
+                ctx.quadraticCurveTo(cx, cy, x1, y1);
+                pos = { x:x1, y:y1 };
+            },
+            bezier3: function(x0, y0, cx0, cy0, cx1, cy1, x1, y1) {
+                moveTo(x0, y0);
+                ctx.bezierCurveTo(cx0, cy0, cx1, cy1, x1, y1);
+                pos = { x:x1, y:y1 };
+            },
+            ellipse: function(x, y, rh, rv, rot, start, end) {
+                rot = rot * Math.PI / 180;
+                ctx.ellipse(x, y, rh, rv, rot, start, end, end < start);
+                pos = { x:x + rh * Math.cos(end) * Math.cos(rot) - rv * Math.sin(end) * Math.sin(rot),
+                        y:y + rh * Math.cos(end) * Math.sin(rot) + rv * Math.sin(end) * Math.cos(rot) };
+            },
+            close: function() {
+                ctx.closePath();
+                pos = { x:NaN, y:NaN };
+            }
+        });
+        var alpha = ctx.globalAlpha;
+        // gradients & patterns are not painted
+        if(style["fill"] != "none" && style["fill"].indexOf("url(") < 0) {
+            ctx.fillStyle = style["fill"];
+            ctx.globalAlpha = alpha * parseFloat(style["fill-opacity"]);
+            ctx.fill(style["fill-rule"]);
+        }
+        if(style["stroke"] != "none" && style["stroke"].indexOf("url(") < 0) {
+            ctx.strokeStyle = style["stroke"];
+            ctx.globalAlpha = alpha * parseFloat(style["stroke-opacity"]);
+            ctx.lineWidth = parseFloat(style["stroke-width"]);
+            ctx.lineCap = style["stroke-linecap"];
+            ctx.lineJoin = style["stroke-linejoin"];
+            ctx.stroke();
+        }
+        ctx.globalAlpha = alpha;
+    }
+
+    /**
+     * Function to draw an svg element cartoonized by "magic" again with
+     * fresh jitter, in the options it was cartoonized with.
+     *
+     * @param p svg element as left by "magic"
+     * @param amplitude factor for the jitter
+     * @return void
+     */
+    var resketch = function(p, amplitude) {
+        var record = p.__comic__;
+        // path drawn over the original or in its place
+        var q = record.overlay || p;
+        // jittered glyphs stay as they are
+        if(q.tagName != "path") return;
+        withOptions.call(this, C, boilOptions(record.opts, amplitude), function() {
+            // the geometry of the original element
+            var e = record.node;
+            if(e === q) {
+                e = q.cloneNode(false);
+                e.setAttribute("d", record.atts.d || "");
+            }
+            var drawn = sketch.call(this, e, record.ink, record.hatch, p);
+            if(drawn.shape.length > 0) q.setAttribute("d", drawn.shape);
+            if(record.hatch) record.hatch.setAttribute("d", drawn.hatch);
+            if(record.ink) record.ink.setAttribute("d", drawn.ink);
+        });
+        record.sig = attsOf(p);
+    }
+
+    /**
+     * Function to get SVGAnimatedLength values.
+     * @param e svg element
+     * @return number
+     */
+    var g = function(e) { return e.animVal.value; };
+
+    /**
+     * Function to get the computed style of an svg element, from the
+     * window of its document, e.g. the light one of "magicString".
+     * @param e svg element
+     * @return object CSSStyleDeclaration or undefined if unavailable
+     */
+    var computedStyle = function(e) {
+        var view = e.ownerDocument && e.ownerDocument.defaultView;
+        if(view && typeof view.getComputedStyle == "function") return view.getComputedStyle(e);
+        return (typeof getComputedStyle == "function") ? getComputedStyle(e) : undefined;
+    };
+
+    /**
+     * Function to get the fill color of an svg element, if any.
+     * @param e svg element
+     * @return string or undefined for no fill
+     */
+    var fillOf = function(e) {
+        var computed = computedStyle(e);
+        var fill = computed ? computed.fill : e.getAttribute("fill") || "black";
+        return (! fill || fill == "none" || fill == "transparent") ? undefined : fill;
+    };
+
+    /**
+     * Function to get the stroke color of an svg element, if any.
+     * @param e svg element
+     * @return string or undefined for no stroke
+     */
+    var strokeOf = function(e) {
+        var computed = computedStyle(e);
+        var stroke = computed ? computed.stroke : e.getAttribute("stroke");
+        return (! stroke || stroke == "none" || stroke == "transparent") ? undefined : stroke;
+    };
+
+    /**
+     * Function to paint the strokes of an svg element in the given color,
+     * filling them instead if they are brush strokes.
+     * @param e svg element
+     * @param color color to paint with
+     * @return void
+     */
+    var setInk = function(e, color) {
+        setPaint(e, C.brush ? "fill" : "stroke", color);
+        setPaint(e, C.brush ? "stroke" : "fill", "none");
+    };
+
+    /**
+     * Function to set a paint property ("fill" or "stroke") of an svg
+     * element, as attribute and as inline style overriding style sheets.
+     * @param e svg element
+     * @param name name of the property
+     * @param value value to set
+     * @return void
+     */
+    var setPaint = function(e, name, value) {
+        e.setAttribute(name, value);
+        if(e.style) e.style[name] = value;
+        // no CSSOM, e.g. in "magicString": rewrite the style attribute
+        else if(e.hasAttribute("style")) {
+            var decl = new RegExp("(^|;)\\s*" + name + "\\s*:[^;]*", "g");
+            e.setAttribute("style", e.getAttribute("style").replace(decl, "$1" + name + ": " + value));
+        }
+    };
+
+    /**
+     * Function to hand draw an svg shape or text the way "magic" does,
+     * leaving it untouched: its outline as well as its brush strokes &
+     * hatch if wanted. Text is drawn only if hand lettered.
+     *
+     * @param e svg element to draw the geometry of
+     * @param inked true to draw the outline in brush strokes
+     * @param hatched true to hatch the fill
+     * @param style svg element to get text properties of (optional)
+     * @return object with path strings "shape", "ink" & "hatch", empty if none
+     */
+    var sketch = function(e, inked, hatched, style) {
+        begin(); // we are using "begin" but wont be using "finish"
+        var rec = C.brush ? startRecord() : undefined;
+        switch(e.tagName) {
+            case "rect":
+                reRect.call(this, e);
+                break;
+            case "circle":
+                reCircle.call(this, e);
+                break;
+            case "ellipse":
+                reEllipse.call(this, e);
+                break;
+            case "line":
+                reLine.call(this, e);
+                break;
+            case "polyline":
+                rePolyline.call(this, e);
+                break;
+            case "polygon":
+                rePolygon.call(this, e);
+                break;
+            case "path":
+                rePath.call(this, e);
+                break;
+            case "image":
+                reImage.call(this, e);
+                break;
+            case "text":
+                if(C.lettering) reLetters.call(this, e, style);
+                break;
+            default:
+        }
+        var res = { shape: pathStr, ink: "", hatch: "" };
+        if(rec) {
+            var segs = stopRecord(rec);
+            replay.call(this, segs);
+            res.shape = pathStr;
+            if(inked) {
+                begin();
+                brush.call(this, segs);
+                res.ink = pathStr;
+            }
+        }
+        var rings = hatched ? reOutline(e) : [];
+        if(rings.length > 0) {
+            begin();
+            ink.call(this, function() {
+                hatch.call(this, rings);
+            });
+            res.hatch = pathStr;
+        }
+        pathStr = res.shape;
+
+        return res;
+    }
+
+    /**
+     * Function to redraw an svg rect in cartoon style.
+     *
+     * @param e svg rect element
+     * @return void
+     */
+    var reRect = function(e) {
+        // call internal method that only builds pathStr
+        cRect.call(this, g(e.x), g(e.y),
+                   g(e.width), g(e.height),
+                   g(e.rx), g(e.ry));
+    }
+
+    /**
+     * Function to redraw an svg circle in cartoon style.
+     *
+     * @param e svg circle element
+     * @return void
+     */
+    var reCircle = function(e) {
+        cCircle.call(this, g(e.cx), g(e.cy), g(e.r));
+    }
+
+    /**
+     * Function to redraw an svg ellipse in cartoon style.
+     *
+     * @param e svg ellipse element
+     * @return void
+     */
+    var reEllipse = function(e) {
+        cEllipse.call(this, g(e.cx), g(e.cy), g(e.rx), g(e.ry));
+    }
+
+    /**
+     * Function to redraw an svg line in cartoon style.
+     *
+     * @param e svg line element
+     * @return void
+     */
+    var reLine = function(e) {
+        cLine.call(this, g(e.x1), g(e.y1), g(e.x2), g(e.y2));
+    }
+
+    /**
+     * Function to redraw an svg polyline in cartoon style.
+     *
+     * @param e svg polyline element
+     * @return void
+     */
+    var rePolyline = function(e) {
+        cPolyline.call(this, e.points);
+    }
+
+    /**
+     * Function to redraw an svg polygon in cartoon style.
+     *
+     * @param e svg polygon element
      * @return void
      */
     var rePolygon = function(e) {
-        var points = e.points;
-        var p1 = points.getItem(0);
-        for(var j = 1; j < points.length; j++) {
-            var p2 = points.getItem(j);
-            cLine.call(this, p1.x, p1.y, p2.x, p2.y);
-            p1 = p2;
+        cPolygon.call(this, e.points);
+    }
+
+    /**
+     * Function to redraw the edges of an svg image in cartoon style, if
+     * its bitmap is loaded. Like images, bitmaps are fitted into their
+     * box keeping their aspect ratio, centered, unless told otherwise.
+     *
+     * @param e svg image element
+     * @return void
+     */
+    var reImage = function(e) {
+        var bitmap = bitmapOf(e);
+        if(! bitmap) return;
+        var x = g(e.x), y = g(e.y);
+        var w = g(e.width) || bitmap.width, h = g(e.height) || bitmap.height;
+        if(! /^\s*none/.test(e.getAttribute("preserveAspectRatio") || "")) {
+            var s = Math.min(w / bitmap.width, h / bitmap.height);
+            x += (w - bitmap.width * s) / 2;
+            y += (h - bitmap.height * s) / 2;
+            w = bitmap.width * s;
+            h = bitmap.height * s;
+        }
+        cImage.call(this, bitmap.pixels, x, y, w, h);
+    }
+
+    /**
+     * Function to get a text property of an svg element, e.g. "font-size".
+     * @param e svg element
+     * @param name name of the property
+     * @return string or undefined
+     */
+    var textStyleOf = function(e, name) {
+        var camel = name.replace(/-(\w)/g, function(m, c) { return c.toUpperCase(); });
+        var computed = computedStyle(e);
+        return computed ? computed[camel] : e.getAttribute(name) || undefined;
+    };
+
+    /**
+     * Function to jitter the glyphs of an svg text in place, turning
+     * every glyph into a "tspan" of its own.
+     *
+     * @param e svg text element or text content element within
+     * @param texts array to add every replaced text node to, together
+     * with the "tspan" elements replacing it, as "node" & "glyphs"
+     * @return void
+     */
+    var reText = function(e, texts) {
+        var nodes = Array.prototype.slice.call(e.childNodes);
+        for(var i = 0; i < nodes.length; i++) {
+            var n = nodes[i];
+            // text node: skip white space used for indentation only
+            if(n.nodeType == 3 && /\S/.test(n.data)) {
+                var glyphs = appendGlyphs(e, jitterGlyphs(n.data.replace(/\s+/g, " ")), n);
+                e.removeChild(n);
+                texts.push({ node: n, glyphs: glyphs });
+            }
+            else if(n.nodeType == 1 && ["tspan", "textPath", "a"].indexOf(n.tagName) >= 0) {
+                reText.call(this, n, texts);
+            }
+        }
+    }
+
+    /**
+     * Function to hand letter an svg text in cartoon style, on one line
+     * starting at the first "x" & "y" of the text element.
+     *
+     * @param e svg text element
+     * @param style svg element to get the font size & text anchor of
+     * in place of the text element (optional)
+     * @return void
+     */
+    var reLetters = function(e, style) {
+        var str = e.textContent.replace(/\s+/g, " ").replace(/^ | $/g, "");
+        var x = parseFloat(e.getAttribute("x")) || 0;
+        var y = parseFloat(e.getAttribute("y")) || 0;
+        style = style || e;
+        var size = parseFloat(textStyleOf(style, "font-size")) || C.fontSize;
+        withOptions.call(this, C, { fontSize: size }, function() {
+            var anchor = textStyleOf(style, "text-anchor");
+            var width = glyphsWidth(str) * size * fontUnit;
+            if(anchor == "middle") x -= width / 2;
+            if(anchor == "end") x -= width;
+            cLetters.call(this, x, y, str);
+        });
+    }
+
+    /**
+     * Function to get the outline of a fillable svg element as polygons.
+     *
+     * @param e svg element
+     * @return array of rings, each an array of points - empty if not fillable
+     */
+    var reOutline = function(e) {
+        switch(e.tagName) {
+            case "rect":
+                return cRect.outline(g(e.x), g(e.y), g(e.width), g(e.height),
+                                     g(e.rx), g(e.ry));
+            case "circle":
+                return cCircle.outline(g(e.cx), g(e.cy), g(e.r));
+            case "ellipse":
+                return cEllipse.outline(g(e.cx), g(e.cy), g(e.rx), g(e.ry));
+            case "polygon":
+                return cPolygon.outline(e.points);
+            case "path":
+                return pathOutline(parsePath(e));
+            default:
+                return [];
         }
-        p1 = points.getItem(0);
-        cLine.call(this, p2.x, p2.y, p1.x, p1.y);
     }
 
     /**
      * Function to redraw an svg path in cartoon style.
      *
-     * @param e svg path element
+     * @param e svg path element or path string
      * @return void
      */
     var rePath = function(e) {
+        cCmds.call(this, parsePath(e));
+    }
+
+    /**
+     * Function to follow the given path commands, resolving relative,
+     * short hand & arc commands, and to hand every resulting segment
+     * to the respective drawing function given in "pen": "line",
+     * "bezier2", "bezier3" & "ellipse" with the same arguments as
+     * "cLine", "cBezier2", "cBezier3" & "cEllipse" and "close" - but
+     * the rotation of ellipses in degrees, as given in svg arcs.
+     *
+     * @param cmds path commands as returned by "parsePath"
+     * @param pen object with drawing functions
+     * @return void
+     */
+    var tracePath = function(cmds, pen) {
         var pos = { x:0, y:0 };  // SVG drawing position
         var ipos = { x:0, y:0 }; // SVG initial position
         var cpos = undefined;    // SVG last cubic bezier control point
         var qpos = undefined;    // SVG last cubic bezier control point
         var org = { x:0, y:-0 }; // coordinate origin
-        var cmds = parsePath(e);
         for(var j = 0; j < cmds.length; j++) {
-            var cmd = cmds[j];
+            var cmd = cmds[j].slice();
             var name = cmd.shift();
             var moveMadeAbs = false;
             // special W3C rule if first cmd is rel. moveTo (impossible)
@@ -859,7 +3886,7 @@ var bindTo = function(libName, lib) {
                     // further points are "line to"
                     while(cmd.length > 1) {
                         var p = { x:org.x+cmd.shift(), y:org.y+cmd.shift() };
-                        cLine.call(this, pos.x, pos.y, p.x, p.y);
+                        pen.line.call(this, pos.x, pos.y, p.x, p.y);
                         pos = p;
                         setOrg();
                     }
@@ -871,7 +3898,7 @@ var bindTo = function(libName, lib) {
                         // control point & end point
                         var p1 = { x:org.x+cmd.shift(), y:org.y+cmd.shift() };
                         var p2 = { x:org.x+cmd.shift(), y:org.y+cmd.shift() };
-                        cBezier2.call(this, pos.x, pos.y, p1.x, p1.y, p2.x, p2.y);
+                        pen.bezier2.call(this, pos.x, pos.y, p1.x, p1.y, p2.x, p2.y);
                         pos = p2;
                         qpos = p1;
                         setOrg();
@@ -886,7 +3913,7 @@ var bindTo = function(libName, lib) {
                         // control point is last control point reflection
                         var p1 = (typeof qpos == "undefined") ? pos :
                                   { x:2*pos.x-qpos.x, y:2*pos.y-qpos.y };
-                        cBezier2.call(this, pos.x, pos.y, p1.x, p1.y, p2.x, p2.y);
+                        pen.bezier2.call(this, pos.x, pos.y, p1.x, p1.y, p2.x, p2.y);
                         pos = p2;
                         qpos = p1;
                         setOrg();
@@ -900,7 +3927,7 @@ var bindTo = function(libName, lib) {
                         var p1 = { x:org.x+cmd.shift(), y:org.y+cmd.shift() };
                         var p2 = { x:org.x+cmd.shift(), y:org.y+cmd.shift() };
                         var p3 = { x:org.x+cmd.shift(), y:org.y+cmd.shift() };
-                        cBezier3.call(this, pos.x, pos.y, p1.x, p1.y, p2.x, p2.y, p3.x, p3.y);
+                        pen.bezier3.call(this, pos.x, pos.y, p1.x, p1.y, p2.x, p2.y, p3.x, p3.y);
                         pos = p3;
                         cpos = p2;
                         setOrg();
@@ -916,7 +3943,7 @@ var bindTo = function(libName, lib) {
                         // 1st control point is last control point reflection
                         var p1 = (typeof cpos == "undefined") ? pos :
                                   { x:2*pos.x-cpos.x, y:2*pos.y-cpos.y };
-                        cBezier3.call(this, pos.x, pos.y, p1.x, p1.y, p2.x, p2.y, p3.x, p3.y);
+                        pen.bezier3.call(this, pos.x, pos.y, p1.x, p1.y, p2.x, p2.y, p3.x, p3.y);
                         pos = p3;
                         cpos = p2;
                         setOrg();
@@ -942,7 +3969,7 @@ var bindTo = function(libName, lib) {
                             // do horizontal or vertical "line to"
                             p1 = (ry == 0) ? { x:p1.x, y:pos.y }
                                  : { x:pos.x, y:p1.y };
-                            cLine.call(this, pos.x, pos.y, p1.x, p1.y);
+                            pen.line.call(this, pos.x, pos.y, p1.x, p1.y);
                             pos = p1;
                             setOrg();
                             continue;
@@ -952,7 +3979,8 @@ var bindTo = function(libName, lib) {
                         var cp = retval[0];      // center point
                         var start = retval[1].x; // start in radians
                         var end = retval[1].y;   // end in radians
-                        cEllipse.call(this, cp.x, cp.y, rx, ry, rot, start, end);
+                        var r = retval[2];       // radii, scaled up if too small
+                        pen.ellipse.call(this, cp.x, cp.y, r.x, r.y, rot, start, end);
                         pos = p1;
                         setOrg();
                     }
@@ -963,7 +3991,7 @@ var bindTo = function(libName, lib) {
                     qpos = undefined; // unset last quadratic bezier control point
                     while(cmd.length > 1) {
                         var p1 = { x:org.x+cmd.shift(), y:org.y+cmd.shift() };
-                        cLine.call(this, pos.x, pos.y, p1.x, p1.y);
+                        pen.line.call(this, pos.x, pos.y, p1.x, p1.y);
                         pos = p1;
                         setOrg();
                     }
@@ -974,7 +4002,7 @@ var bindTo = function(libName, lib) {
                     qpos = undefined; // unset last quadratic bezier control point
                     while(cmd.length > 0) {
                         var p1 = { x:org.x+cmd.shift(), y:pos.y };
-                        cLine.call(this, pos.x, pos.y, p1.x, p1.y);
+                        pen.line.call(this, pos.x, pos.y, p1.x, p1.y);
                         pos = p1;
                         setOrg();
                     }
@@ -985,7 +4013,7 @@ var bindTo = function(libName, lib) {
                     qpos = undefined; // unset last quadratic bezier control point
                     while(cmd.length > 0) {
                         var p1 = { x:pos.x, y:org.y+cmd.shift() };
-                        cLine.call(this, pos.x, pos.y, p1.x, p1.y);
+                        pen.line.call(this, pos.x, pos.y, p1.x, p1.y);
                         pos = p1;
                         setOrg();
                     }
@@ -994,8 +4022,8 @@ var bindTo = function(libName, lib) {
                 case "z":
                     cpos = undefined; // unset last cubic bezier control point
                     qpos = undefined; // unset last quadratic bezier control point
-                    cLine.call(this, pos.x, pos.y, ipos.x, ipos.y);
-                    pathStr = pathStr + "z";
+                    pen.line.call(this, pos.x, pos.y, ipos.x, ipos.y);
+                    pen.close.call(this);
                     pos = ipos;
                     break;
                 default:
@@ -1006,8 +4034,10 @@ var bindTo = function(libName, lib) {
     /**
      * @brief getEllipse calculates the center point and the start angle
      * and end angle of an ellipse from the obscure SVG parameters of an
-     * elliptic arc. It returns an array with two points, the center
-     * point and a point with the start and end angles.
+     * elliptic arc, as in the SVG spec (F.6.5), scaling radii too small
+     * to reach the end point up (F.6.6). It returns an array with three
+     * points, the center point, a point with the start and end angles
+     * and a point with the horizontal and vertical radius.
      *
      * @param ps starting point
      * @param pe end point
@@ -1023,24 +4053,29 @@ var bindTo = function(libName, lib) {
         var angle = function(u, v) {
             var sign = ((u.x * v.y - u.y * v.x) >= 0) ? 1 : -1;
             if(u.x == 0 && u.y == 0) return 0;
-            return sign * Math.acos(
-                (u.x * v.x + u.y * v.y) /
-                (Math.sqrt(u.x*u.x + u.y*u.y) * Math.sqrt(v.x*v.x + v.y*v.y))
-            );
+            var cos = (u.x * v.x + u.y * v.y) /
+                      (Math.sqrt(u.x*u.x + u.y*u.y) * Math.sqrt(v.x*v.x + v.y*v.y));
+            return sign * Math.acos(Math.max(-1, Math.min(1, cos)));
         }
         // sanitize input
-        rot = rot % 360;
+        var phi = (rot % 360) * Math.PI / 180;
         rh = Math.abs(rh);
         rv = Math.abs(rv);
         // do calculation
         var twoPI = 2 * Math.PI;
-        var cosRot = Math.cos(rot);
-        var sinRot = Math.sin(rot);
+        var cosRot = Math.cos(phi);
+        var sinRot = Math.sin(phi);
         var x = cosRot * (ps.x - pe.x) / 2 + sinRot * (ps.y - pe.y) / 2;
         var y = -1 * sinRot * (ps.x - pe.x) / 2 + cosRot * (ps.y - pe.y) / 2;
+        // radii too small for the end point to be on the ellipse
+        var lambda = (x * x) / (rh * rh) + (y * y) / (rv * rv);
+        if(lambda > 1) {
+            rh *= Math.sqrt(lambda);
+            rv *= Math.sqrt(lambda);
+        }
         var rh2 = rh * rh; var rv2 = rv * rv; var x2 = x * x; var y2 = y * y;
         var fr = ((fa == fs) ? -1 : 1) * Math.sqrt(
-                    Math.abs(rh2 * (rv2 - y2) - rv2 * x2) /
+                    Math.max(0, rh2 * rv2 - rh2 * y2 - rv2 * x2) /
                     (rh2 * y2 + rv2 * x2)
                  );
         var xt = fr * rh * y / rv;
@@ -1049,309 +4084,1730 @@ var bindTo = function(libName, lib) {
         var cy = sinRot * xt + cosRot * yt + (ps.y + pe.y) / 2;
         var vt = { x:(x-xt)/rh, y:(y-yt)/rv };
         var phi1 = angle({ x:1, y:0 }, vt);
-        var phiD = angle(vt, { x:(-x-xt)/rh, y:(-y-yt)/rv }) % 360;
+        var phiD = angle(vt, { x:(-x-xt)/rh, y:(-y-yt)/rv }) % twoPI;
         var phi2 = phi1 + phiD + (! fs && phiD > 0 ? -twoPI : 0) + (fs && phiD < 0 ? twoPI : 0);
 
-        return [{ x:cx, y:cy }, { x:phi1, y:phi2 }];
+        return [{ x:cx, y:cy }, { x:phi1, y:phi2 }, { x:rh, y:rv }];
+    }
+
+    /**
+     * @brief De Casteljau's algorithm splitting n-th degree Bezier curve
+     *
+     * Given n+1 control points for an n-th degree Bezier curve and
+     * a number t between 0 and 1, it will return two arrays, each
+     * with n+1 new control points. The returned control points define
+     * two Bezier curves that together form the original Bezier curve
+     * in two peaces, split at the t-th point.
+     *
+     * @author Balint Morvai <balint@morvai.de>
+     * @license http://en.wikipedia.org/wiki/MIT_License MIT License
+     */
+    var bsplit = function(points, t0) {
+        var n = points.length - 1; // number of control points
+        var b = [];       // coefficients as in De Casteljau's algorithm
+        var res1 = [];    // first curve resulting control points
+        var res2 = [];    // second curve resulting control points
+        var t1 = 1 - t0;
+
+        // multiply point with scalar factor
+        var pf = function(p, f) {
+            var res = [];
+            for(var i = 0; i < p.length; i++) {
+                res.push(f * p[i]);
+            }
+            return res;
+        };
+        // add points as vectors
+        var pp = function(p1, p2) {
+            var res = [];
+            for(var i = 0; i < Math.min(p1.length, p2.length); i++) {
+                res.push(p1[i] + p2[i]);
+            }
+            return res;
+        };
+
+        // set original coefficients: b[i][0] = points[i]
+        for(var i = 0; i <= n; i++) {
+            points[i] = (typeof points[i] == "object") ? points[i] : [points[i]];
+            b.push([ points[i] ]);
+        }
+        // get all coefficients
+        for(var j = 1; j <= n; j++) {
+            for(var i = 0; i <= (n-j); i++) {
+                b[i].push( pp(
+                        pf(b[i][j-1], t1),
+                        pf(b[i+1][j-1], t0)
+                ));
+            }
+        }
+        // set result: res1 & res2
+        for(var j = 0; j <= n; j++) {
+            res1.push(b[0][j]);
+            res2.push(b[j][n-j]);
+        }
+
+        return [res1, res2];
+    };
+
+    /**
+     * @brief Parameters dividing a Bezier curve into pieces of even length
+     *
+     * Measures the arc length of an n-th degree Bezier curve by 5 point
+     * Gauss-Legendre integration of its speed over 16 even parameter
+     * intervals, then divides it into as many pieces of about the given
+     * length as needed, at least one, inverting the measured lengths.
+     *
+     * @param points n+1 control points of the curve as [x, y] arrays
+     * @param length length of one piece
+     * @return array of the parameters t at the ends of the pieces, 1 last
+     */
+    var arcSteps = function(points, length) {
+        var n = points.length - 1;
+        // control points of the derivative
+        var deriv = [];
+        for(var i = 0; i < n; i++) {
+            deriv.push([n * (points[i + 1][0] - points[i][0]), n * (points[i + 1][1] - points[i][1])]);
+        }
+        // speed at t, by De Casteljau's algorithm on the derivative
+        var speed = function(t) {
+            var b = deriv.map(function(p) { return p.slice(); });
+            for(var j = b.length - 1; j > 0; j--) {
+                for(var i = 0; i < j; i++) {
+                    b[i][0] += (b[i + 1][0] - b[i][0]) * t;
+                    b[i][1] += (b[i + 1][1] - b[i][1]) * t;
+                }
+            }
+            return Math.sqrt(b[0][0] * b[0][0] + b[0][1] * b[0][1]);
+        };
+        var nodes = [0, -0.5384693101056831, 0.5384693101056831, -0.9061798459386640, 0.9061798459386640];
+        var weights = [0.5688888888888889, 0.4786286704993665, 0.4786286704993665,
+                       0.2369268850561891, 0.2369268850561891];
+        var parts = 16;
+        // arc lengths up to the end of each interval
+        var lengths = [0];
+        for(var k = 0; k < parts; k++) {
+            var sum = 0;
+            for(var i = 0; i < nodes.length; i++) {
+                sum += weights[i] * speed((k + (nodes[i] + 1) / 2) / parts);
+            }
+            lengths.push(lengths[k] + sum / 2 / parts);
+        }
+        var total = lengths[parts];
+        // no extra step for integration errors of whole steps
+        var steps = Math.max(1, Math.ceil(total / length - 1e-9));
+        var ts = [];
+        // parameters at even lengths, linear within each interval
+        for(var s = 1, k = 0; s < steps; s++) {
+            var at = total * s / steps;
+            while(lengths[k + 1] < at) k++;
+            ts.push((k + (at - lengths[k]) / (lengths[k + 1] - lengths[k])) / parts);
+        }
+        ts.push(1);
+
+        return ts;
+    };
+
+    /**
+     * Shift given value randomly +/- by fuzzyness factor f / 2
+     * NOTE: not _really_ randomly but with alternating signs.
+     * Two times > 0, two times < 0, two times > 0, ... !
+     * NOTE: This relies on being called an even number of times
+     * from every context! (Which makes sense in a 2D space)
+     * @param val value to shift randomly
+     * @param f fuzzyness factor
+     * @return number
+     */
+    var fuzzDrunk = function(val, f) {
+        // restart alternation for every new random sequence
+        if(fuzzDrunk.random !== C.random) {
+            fuzzDrunk.random = C.random;
+            fuzzDrunk.count = 0;
+            fuzzDrunk.sign = C.random() < 0.5 ? 1 : -1; // random first sign
+        }
+        // get random sign
+        if(++fuzzDrunk.count > 2) {
+            fuzzDrunk.count = 0;
+            fuzzDrunk.sign *= -1;
+        }
+        return val + f * (C.random() / 2 + fuzzDrunk.sign * 0.5);
+    }
+    fuzzDrunk.random = undefined;
+
+    /**
+     * Shift given value randomly +/- by fuzzyness factor f / 2
+     * NOTE: not _really_ randomly, but with every 2nd call
+     * having a strong variation relative to the prior call.
+     * @param val value to shift randomly
+     * @param f fuzzyness factor
+     * @return number
+     */
+    var fuzzNormal = function(val, f) {
+        // restart alternation for every new random sequence
+        if(fuzzNormal.random !== C.random) {
+            fuzzNormal.random = C.random;
+            fuzzNormal.count = 0;
+            fuzzNormal.rnds = [0, 0];
+        }
+        // get random number
+        var i = fuzzNormal.count;
+        var rnd = (C.random() - 0.5);
+
+        if(++fuzzNormal.count == 2)
+            fuzzNormal.count = 0;
+
+        var res = val + f * (rnd - fuzzNormal.rnds[i]);
+        fuzzNormal.rnds[i] = rnd;
+
+        return res;
+    }
+    fuzzNormal.random = undefined;
+
+    /**
+     * Shift given value randomly +/- by fuzzyness factor f / 2
+     * @param val value to shift randomly
+     * @param f fuzzyness factor
+     * @return number
+     */
+    var fuzz = function(val, f) {
+        return C.drunk ? fuzzDrunk(val, f) : fuzzNormal(val, f);
+    }
+
+    /**
+     * Distance between 2 numbers in 2 dim space
+     * @param x0 1st point x
+     * @param y0 1st point y
+     * @param x1 2nd point x
+     * @param y1 2nd point y
+     * @return number
+     */
+    var dist2 = function(x0, y0, x1, y1) {
+        var dx = x1 - x0;
+        var dy = y1 - y0;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Test whether the given variable is an array.
+     * @param a var to test
+     * @return bool
+     */
+    var isArray = function(a) {
+        return Object.prototype.toString.call(a) === '[object Array]';
+    }
+
+    /**
+     * Get the look of a 2d canvas context: its drawing styles & transform.
+     * @param ctx 2d canvas context
+     * @return object
+     */
+    var lookOf = function(ctx) {
+        var look = {};
+        var props = ["strokeStyle", "fillStyle", "lineWidth", "lineCap", "lineJoin",
+                     "globalAlpha", "globalCompositeOperation"];
+        for(var i = 0; i < props.length; i++) look[props[i]] = ctx[props[i]];
+        if(typeof ctx.getTransform == "function") {
+            var m = ctx.getTransform();
+            look.transform = [m.a, m.b, m.c, m.d, m.e, m.f];
+        }
+        return look;
     }
 
     /**
-     * @brief De Casteljau's algorithm splitting n-th degree Bezier curve
-     *
-     * Given n+1 control points for an n-th degree Bezier curve and
-     * a number t between 0 and 1, it will return two arrays, each
-     * with n+1 new control points. The returned control points define
-     * two Bezier curves that together form the original Bezier curve
-     * in two peaces, split at the t-th point.
-     *
-     * @author Balint Morvai <balint@morvai.de>
-     * @license http://en.wikipedia.org/wiki/MIT_License MIT License
+     * Set the look of a 2d canvas context as returned by "lookOf".
+     * @param ctx 2d canvas context
+     * @param look object
+     * @return void
      */
-    var bsplit = function(points, t0) {
-        var n = points.length - 1; // number of control points
-        var b = [];       // coefficients as in De Casteljau's algorithm
-        var res1 = [];    // first curve resulting control points
-        var res2 = [];    // second curve resulting control points
-        var t1 = 1 - t0;
+    var setLook = function(ctx, look) {
+        for(var prop in look) {
+            if(prop == "transform") ctx.setTransform.apply(ctx, look[prop]);
+            else ctx[prop] = look[prop];
+        }
+    }
 
-        // multiply point with scalar factor
-        var pf = function(p, f) {
-            var res = [];
-            for(var i = 0; i < p.length; i++) {
-                res.push(f * p[i]);
+    // ----------------------set drawing method-------------------------
+    // HTML5 Canvas context
+    if(libName == "canvas") {
+        // segments are kept until "finish" paints them all at once, for
+        // filling closed shapes & drawing fill lines in their own color
+        path = function(x0, y0, cx, cy, x1, y1) {
+            pathSegs.push([x0, y0, cx, cy, x1, y1]);
+            C.pathPos = { x:x1, y:y1 };
+            return this;
+        };
+        close = function() {
+            pathSegs.push(null);
+            return this;
+        };
+        finish = function() {
+            this.save();
+            if(C.strokeStyle) this.strokeStyle = C.strokeStyle;
+            paintShape(this, { segs: pathSegs, fill: C.brush, fillStyle: C.fillStyle,
+                               hatchAt: hatchAt });
+            this.restore();
+            return this;
+        };
+        begin = function() {
+            pathSegs = [];
+            C.pathPos = { x:NaN, y:NaN };
+            return this;
+        };
+        text = function(x, y, glyphs) {
+            for(var i = 0; i < glyphs.length; i++) {
+                var glyph = glyphs[i];
+                this.save();
+                this.translate(x, y + glyph.shift);
+                this.rotate(glyph.rot);
+                this.scale(glyph.scale, glyph.scale);
+                this.fillText(glyph.ch, 0, 0);
+                this.restore();
+                x += this.measureText(glyph.ch).width * glyph.scale;
             }
-            return res;
+            return this;
         };
-        // add points as vectors
-        var pp = function(p1, p2) {
-            var res = [];
-            for(var i = 0; i < Math.min(p1.length, p2.length); i++) {
-                res.push(p1[i] + p2[i]);
+        // draw the segments bit by bit over animation frames, in the look
+        // & transform the context has now
+        reveal = function(segs) {
+            var ctx = this;
+            var timing = revealTiming(C);
+            var shape = { segs: segs, fill: C.brush, fillStyle: C.fillStyle, hatchAt: hatchAt };
+            var look = lookOf(ctx);
+            if(C.strokeStyle) look.strokeStyle = C.strokeStyle;
+            var drawn = 0;
+            var step = function(t) {
+                var n = Math.round(t * segs.length);
+                // brush strokes are outlines to be filled, thus drawn whole
+                while(shape.fill && n > 0 && n < segs.length && segs[n-1] !== null) n++;
+                if(n <= drawn) return;
+                ctx.save();
+                setLook(ctx, look);
+                paintShape(ctx, shape, drawn, n);
+                ctx.restore();
+                drawn = n;
+            };
+            if(typeof requestAnimationFrame != "function" || ! (timing.duration > 0)) {
+                step(1);
+                return this;
+            }
+            var start = Date.now() + timing.delay;
+            var frame = function() {
+                var t = Math.min(1, (Date.now() - start) / timing.duration);
+                if(t >= 0) step((t < 1) ? timing.easing(t) : 1);
+                if(t < 1) requestAnimationFrame(frame);
+            };
+            requestAnimationFrame(frame);
+
+            return this;
+        };
+    }
+    else {
+        // for all svg libs let "path" & "begin" be as below
+        path = function(x0, y0, cx, cy, x1, y1) {
+            x0 = round(x0); y0 = round(y0); cx = round(cx);
+            cy = round(cy); x1 = round(x1); y1 = round(y1);
+            // "move to" only required if (x0, y0) != current pos AND as first path cmd
+            if(C.pathPos.x != x0 || C.pathPos.y != y0 || pathStr.length == 0) {
+                pathStr = pathStr + ["M", x0, y0, "Q", cx, cy, x1, y1].join(' ');
+            }
+            else {
+                pathStr = pathStr + ["Q", cx, cy, x1, y1].join(' ');
             }
+            C.pathPos = { x:x1, y:y1 };
+            return this;
+        };
+        close = function() {
+            pathStr = pathStr + "z";
+            return this;
+        };
+        begin = function() {
+            pathStr = "";
+            C.pathPos = { x:0, y:0 };
+            return this;
+        };
+        // animate the drawn path element, if any
+        reveal = function(segs) {
+            replay.call(this, segs);
+            var res = finish.call(this);
+            var e = (res && typeof res.node == "function") ? res.node() : res && res.node;
+            if(e) revealPath(e, revealTiming(C), C.brush);
             return res;
         };
+    }
+    // Raphael.js
+    if(libName == "raphael") {
+        finish = function() {
+            return this.path(pathStr);
+        };
+        // one text element per glyph, as Raphael has no "tspan" API
+        text = function(x, y, glyphs) {
+            var set = this.set();
+            for(var i = 0; i < glyphs.length; i++) {
+                var glyph = glyphs[i];
+                var gy = y + glyph.shift;
+                var t = this.text(x, gy, glyph.ch).attr({ "text-anchor": "start" });
+                t.transform("r" + [glyph.rot * 180 / Math.PI, x, gy].join(",") +
+                            "s" + [glyph.scale, glyph.scale, x, gy].join(","));
+                x += t.getBBox(true).width * glyph.scale;
+                set.push(t);
+            }
+            return set;
+        };
+    }
+    // D3.js
+    if(libName == "d3") {
+        finish = function() {
+            return this.append("svg:path").attr("d", pathStr);
+        };
+        text = function(x, y, glyphs) {
+            var t = this.append("svg:text").attr("x", x).attr("y", y);
+            appendGlyphs(t.node(), glyphs);
+            return t;
+        };
+    }
+    // SVG.js
+    if(libName == "svg") {
+        // draws path object from current pathStr on "this" & returns it
+        finish = function() {
+            return this.path(pathStr);
+        };
+        text = function(x, y, glyphs) {
+            var t = this.plain("").attr({ x: x, y: y });
+            appendGlyphs(t.node, glyphs);
+            return t;
+        };
+    }
+    // plain path strings
+    if(libName == "string") {
+        finish = function() {
+            return pathStr;
+        };
+        // short names for the pure path string API
+        lib.fromD = lib.cPath;
+        lib.line = lib.cLine;
+        lib.rect = lib.cRect;
+        lib.trian = lib.cTrian;
+        lib.polyline = lib.cPolyline;
+        lib.polygon = lib.cPolygon;
+        lib.image = lib.cImage;
+        lib.circle = lib.cCircle;
+        lib.ellipse = lib.cEllipse;
+        lib.bezier2 = lib.cBezier2;
+        lib.bezier3 = lib.cBezier3;
+        lib.text = lib.cText;
+        lib.speechBubble = lib.cSpeechBubble;
+        lib.thoughtBubble = lib.cThoughtBubble;
+        lib.shout = lib.cShout;
+        lib.caption = lib.cCaption;
 
-        // set original coefficients: b[i][0] = points[i]
-        for(var i = 0; i <= n; i++) {
-            points[i] = (typeof points[i] == "object") ? points[i] : [points[i]];
-            b.push([ points[i] ]);
+        /**
+         * @var array svg elements "magic" leaves as they are on purpose:
+         * descriptive, styling, scripting & animation ones as well as
+         * those kept exact, e.g. gradients, clip paths & masks
+         */
+        var exactTags = ["title", "desc", "metadata", "style", "script", "linearGradient",
+                         "radialGradient", "pattern", "clipPath", "mask", "marker", "filter",
+                         "font", "font-face", "color-profile", "view", "cursor", "animate",
+                         "animateMotion", "animateTransform", "set", "use"];
+
+        /**
+         * Function to list the elements of an svg that a "magic" run left
+         * as they are though it should have drawn them: shapes & images
+         * not drawn and elements unknown to "magic", e.g. "foreignObject".
+         * Skipped subtrees & elements of other namespaces are left out.
+         *
+         * @param e svg element cartoonized by "magic"
+         * @param base options with "ff" & "ffc" to scale by "roughness"
+         * @param list array to add objects with "tagName", "id" & "reason" to
+         * @return list
+         */
+        var leftovers = function(e, base, list) {
+            var adj = e.children;
+            for(var i = 0; i < adj.length; i++) {
+                var tag = adj[i].tagName;
+                // hand drawn paths & hatches added
+                if(adj[i].__comic__ && adj[i].__comic__.owner) continue;
+                if(overridesOf(adj[i], base).skip || tag.indexOf(":") >= 0) continue;
+                var reason = undefined;
+                if(containerTags.indexOf(tag) >= 0) {
+                    leftovers(adj[i], base, list);
+                }
+                else if(shapeTags.indexOf(tag) >= 0 || tag == "text") {
+                    if(! adj[i].__comic__) reason = (tag == "image") ? "image not loaded" : "not drawn";
+                }
+                else if(exactTags.indexOf(tag) < 0) {
+                    reason = "unknown element";
+                }
+                if(reason) list.push({ tagName: tag, id: adj[i].getAttribute("id") || undefined,
+                                       reason: reason });
+            }
+            return list;
+        };
+
+        /**
+         * Function to cartoonize an svg document given as string, just
+         * like "magic" does live svg elements, but without any DOM, e.g.
+         * in Node.js build steps. Lengths in units are converted to user
+         * units, transforms stay as they are, applying to the hand drawn
+         * shapes as they did to the originals. Style sheets are ignored,
+         * presentation attributes & inline styles are taken into account.
+         * Images are left as they are, there are no bitmaps to trace.
+         *
+         * @param svgText svg document as string
+         * @param opts object with per call options (optional)
+         * @param unconverted array to add the elements left as they are
+         * to, see "leftovers" (optional)
+         * @return string with the cartoonized svg document
+         */
+        C.magicString = function(svgText, opts, unconverted) {
+            var doc = parseSVG(String(svgText));
+            var svg = doc.documentElement;
+            if(! svg || svg.tagName != "svg") throw "error: no svg document given";
+            withOptions.call(this, C, opts, function() {
+                magic.call(this, svg);
+                if(unconverted) leftovers(svg, { ff: C.ff, ffc: C.ffc }, unconverted);
+            });
+            return serializeSVG(doc);
+        };
+    }
+    // entry points working on svg elements need a binding building path
+    // strings - other bindings, as canvas, must not replace them
+    if(libName == "self") {
+        for(var name in entries) C[name] = entries[name];
+    }
+}
+
+/**
+ * @brief Round to the precision defined in local scope.
+ *
+ * @param {Float} x
+ * @return {Float}
+ */
+function round(x) {
+    return Math.round(x * roundFactor) / roundFactor;
+}
+
+/**
+ * @brief Parse an svg path object or path string and return commands
+ * Parse an svg path and generate an Array of path commands.
+ * Each command is an Array of the form `[command, arg1, arg2, ...]`
+ * NOTE: parsing is done directly on the "d" string, following the SVG
+ * path grammar: implicit repetition of commands (with "M" / "m" being
+ * followed by implicit "L" / "l"), exponent notation, numbers without
+ * separators ("1.5.5" / "-1-2") and compact arc flags ("a1 1 0 0010 10").
+ * As browsers do, parsing stops at the first error, keeping all
+ * commands parsed so far.
+ *
+ * @author Balint Morvai <balint@morvai.de>
+ * @license http://en.wikipedia.org/wiki/MIT_License MIT License
+ * @param {Object|String} path object or its "d" string
+ * @return {Array}
+ */
+function parsePath(path) {
+    var d = (typeof path == "string") ? path : path.getAttribute("d");
+    d = d || "";
+    // number of arguments of each command
+    var arity = { M:2, L:2, H:1, V:1, C:6, S:4, Q:4, T:2, A:7, Z:0 };
+    var command = /[MLHVCSQTAZ]/i;
+    var number = /[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/y;
+    var flag = /[01]/y;
+    var separator = /[\s,]*/y;
+    var pos = 0;
+    // advance "pos" over the given regex, return the match if any
+    var eat = function(regex) {
+        regex.lastIndex = pos;
+        var match = regex.exec(d);
+        if(match) pos = regex.lastIndex;
+        return match ? match[0] : null;
+    };
+    var res = [];
+    var cmd = undefined;
+    eat(separator);
+    while(pos < d.length) {
+        var chr = d.charAt(pos);
+        if(command.test(chr)) {
+            cmd = chr;
+            pos++;
         }
-        // get all coefficients
-        for(var j = 1; j <= n; j++) {
-            for(var i = 0; i <= (n-j); i++) {
-                b[i].push( pp(
-                        pf(b[i][j-1], t1),
-                        pf(b[i+1][j-1], t0)
-                ));
+        // implicit repetition - not possible without command or after "Z"
+        else if(typeof cmd == "undefined" || arity[cmd.toUpperCase()] == 0) {
+            break;
+        }
+        // implicit repetition of "move to" is "line to"
+        else if(cmd == "M" || cmd == "m") {
+            cmd = (cmd == "M") ? "L" : "l";
+        }
+        var sub = [cmd];
+        var n = arity[cmd.toUpperCase()];
+        for(var i = 0; i < n; i++) {
+            eat(separator);
+            // 4th & 5th argument of an arc are single digit flags
+            var isFlag = (cmd == "A" || cmd == "a") && (i == 3 || i == 4);
+            var arg = eat(isFlag ? flag : number);
+            if(arg === null) return res;
+            sub.push(parseFloat(arg));
+        }
+        res.push(sub);
+        eat(separator);
+    }
+    return res;
+}
+
+/**
+ * @brief Get the given points as array of points with "x" & "y".
+ * Points can be given as array of points with "x" & "y", as array of
+ * [x, y] pairs, as svg point list or as string of coordinates as in the
+ * "points" attribute of svg polylines & polygons, e.g. "0,0 10,5 20,0".
+ *
+ * @param {Array|Object|String} points
+ * @return {Array}
+ */
+function pointsOf(points) {
+    var res = [];
+    if(typeof points == "string") {
+        var nums = points.match(/[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/g) || [];
+        for(var i = 0; i + 1 < nums.length; i += 2) {
+            res.push({ x:parseFloat(nums[i]), y:parseFloat(nums[i+1]) });
+        }
+        return res;
+    }
+    var n = (typeof points.numberOfItems == "number") ? points.numberOfItems : points.length;
+    for(var i = 0; i < n; i++) {
+        var p = (typeof points.getItem == "function") ? points.getItem(i) : points[i];
+        res.push((typeof p.x == "number") ? { x:p.x, y:p.y } : { x:p[0], y:p[1] });
+    }
+    return res;
+}
+
+/**
+ * @var object prototype of all nodes of the light svg DOM built by
+ * "parseSVG": as much of a DOM as "magic" needs, i.e. the node tree,
+ * attributes, text content, lengths of shapes in user units & computed
+ * styles of the attributes & inline styles, without style sheets
+ */
+var lightNode = {
+    appendChild: function(c) {
+        return this.insertBefore(c, null);
+    },
+    insertBefore: function(c, ref) {
+        if(c.parentNode) c.parentNode.removeChild(c);
+        var i = ref ? this.childNodes.indexOf(ref) : -1;
+        if(i < 0) this.childNodes.push(c);
+        else this.childNodes.splice(i, 0, c);
+        c.parentNode = this;
+        return c;
+    },
+    removeChild: function(c) {
+        var i = this.childNodes.indexOf(c);
+        if(i >= 0) this.childNodes.splice(i, 1);
+        c.parentNode = null;
+        return c;
+    },
+    replaceChild: function(n, o) {
+        this.insertBefore(n, o);
+        return this.removeChild(o);
+    },
+    cloneNode: function(deep) {
+        var c = lightCreate(this.ownerDocument, this.nodeType, this.tagName, this.data);
+        for(var name in this.atts) c.atts[name] = this.atts[name];
+        for(var i = 0; deep && i < this.childNodes.length; i++) {
+            c.appendChild(this.childNodes[i].cloneNode(true));
+        }
+        return c;
+    },
+    getElementsByTagName: function(tagName) {
+        var res = [];
+        for(var i = 0; i < this.childNodes.length; i++) {
+            var c = this.childNodes[i];
+            if(c.nodeType != 1) continue;
+            if(c.tagName == tagName || tagName == "*") res.push(c);
+            res = res.concat(c.getElementsByTagName(tagName));
+        }
+        return res;
+    },
+    getAttribute: function(name) {
+        return this.atts.hasOwnProperty(name) ? this.atts[name] : null;
+    },
+    setAttribute: function(name, value) {
+        this.atts[name] = String(value);
+    },
+    hasAttribute: function(name) {
+        return this.atts.hasOwnProperty(name);
+    },
+    removeAttribute: function(name) {
+        delete this.atts[name];
+    }
+};
+Object.defineProperties(lightNode, {
+    attributes: { get: function() {
+        var atts = this.atts;
+        return Object.keys(atts).map(function(name) { return { name: name, value: atts[name] }; });
+    } },
+    children: { get: function() {
+        return this.childNodes.filter(function(c) { return c.nodeType == 1; });
+    } },
+    textContent: {
+        get: function() {
+            if(this.nodeType == 3 || this.nodeType == 4) return this.data;
+            return this.childNodes.map(function(c) {
+                return (c.nodeType == 1 || c.nodeType == 3 || c.nodeType == 4) ? c.textContent : "";
+            }).join("");
+        },
+        set: function(value) {
+            if(this.nodeType == 3 || this.nodeType == 4) {
+                this.data = String(value);
+                return;
             }
+            while(this.childNodes.length > 0) this.removeChild(this.childNodes[0]);
+            this.appendChild(lightCreate(this.ownerDocument, 3, undefined, String(value)));
         }
-        // set result: res1 & res2
-        for(var j = 0; j <= n; j++) {
-            res1.push(b[0][j]);
-            res2.push(b[j][n-j]);
+    },
+    nextSibling: { get: function() {
+        return this.parentNode ? this.parentNode.childNodes[this.parentNode.childNodes.indexOf(this) + 1] || null : null;
+    } },
+    ownerSVGElement: { get: function() {
+        for(var e = this.parentNode; e && e.nodeType == 1; e = e.parentNode) {
+            if(e.tagName == "svg") return e;
+        }
+        return null;
+    } },
+    // "points" of polylines & polygons as string, as taken by "pointsOf"
+    points: { get: function() {
+        return this.getAttribute("points") || "";
+    } }
+});
+["x", "y", "width", "height", "rx", "ry", "cx", "cy", "r", "x1", "y1", "x2", "y2"].forEach(function(name) {
+    Object.defineProperty(lightNode, name, { get: function() {
+        return { animVal: { value: lightLength(this, name) } };
+    } });
+});
+
+/**
+ * @var object prototype of light svg DOM documents, see "lightNode"
+ */
+var lightDocument = Object.create(lightNode, {
+    documentElement: { get: function() {
+        return this.children[0] || null;
+    } },
+    defaultView: { get: function() {
+        return { getComputedStyle: lightStyle };
+    } }
+});
+lightDocument.createElementNS = function(ns, tagName) {
+    return lightCreate(this, 1, tagName);
+};
+lightDocument.createTextNode = function(data) {
+    return lightCreate(this, 3, undefined, String(data));
+};
+lightDocument.getElementById = function(id) {
+    var find = function(e) {
+        if(e.nodeType == 1 && e.getAttribute("id") === id) return e;
+        for(var i = 0; i < e.childNodes.length; i++) {
+            var found = find(e.childNodes[i]);
+            if(found) return found;
         }
+        return null;
+    };
+    return find(this);
+};
 
-        return [res1, res2];
+/**
+ * @brief Create a node of the light svg DOM.
+ *
+ * @param {Object} doc document of the node
+ * @param {Integer} type node type: 1 element, 3 text, 4 CDATA section,
+ * 7 processing instruction, 8 comment or 10 document type
+ * @param {String} tagName name of elements
+ * @param {String} data text of text & CDATA, markup of all other nodes
+ * @return {Object}
+ */
+function lightCreate(doc, type, tagName, data) {
+    // none enumerable, to be told from properties set by libs
+    return Object.create(lightNode, {
+        nodeType: { value: type },
+        tagName: { value: tagName },
+        data: { value: data, writable: true },
+        atts: { value: {}, writable: true },
+        childNodes: { value: [], writable: true },
+        parentNode: { value: null, writable: true },
+        ownerDocument: { value: doc, writable: true }
+    });
+}
+
+/**
+ * @var array properties inherited by child elements, beyond custom ones
+ */
+var lightInherited = ["fill", "fill-opacity", "fill-rule", "stroke", "stroke-opacity",
+                      "stroke-width", "stroke-linecap", "stroke-linejoin", "stroke-dasharray",
+                      "font-size", "font-family", "font-weight", "text-anchor", "visibility"];
+/**
+ * @var object initial values of all properties computed
+ */
+var lightInitial = {
+    "fill": "black", "fill-opacity": "1", "fill-rule": "nonzero", "stroke": "none",
+    "stroke-opacity": "1", "stroke-width": "1", "stroke-linecap": "butt",
+    "stroke-linejoin": "miter", "stroke-dasharray": "none", "font-size": "16px",
+    "font-family": "serif", "font-weight": "normal", "text-anchor": "start",
+    "visibility": "visible", "opacity": "1", "display": "inline"
+};
+
+/**
+ * @brief Compute the style of an element of the light svg DOM from its
+ * presentation attributes & inline style, which wins, inheriting from
+ * its parent. Font sizes are resolved to pixels.
+ *
+ * @param {Object} e element
+ * @return {Object} style with "getPropertyValue" & camel case properties
+ */
+function lightStyle(e) {
+    var parent = (e.parentNode && e.parentNode.nodeType == 1) ? lightStyle(e.parentNode) : undefined;
+    var own = {};
+    for(var name in lightInitial) {
+        if(e.hasAttribute(name)) own[name] = e.getAttribute(name);
+    }
+    var decls = (e.getAttribute("style") || "").split(";");
+    for(var i = 0; i < decls.length; i++) {
+        var at = decls[i].indexOf(":");
+        if(at > 0) own[decls[i].slice(0, at).trim()] = decls[i].slice(at + 1).replace(/!important/, "").trim();
+    }
+    var values = {};
+    var names = Object.keys(lightInitial).concat(Object.keys(own), parent ? parent.names : []);
+    for(var i = 0; i < names.length; i++) {
+        var name = names[i];
+        var inherit = lightInherited.indexOf(name) >= 0 || /^--/.test(name);
+        var v = own[name];
+        if(typeof v == "undefined" || v == "inherit") {
+            v = (parent && (inherit || v == "inherit")) ? parent.getPropertyValue(name) : lightInitial[name];
+        }
+        values[name] = v;
+    }
+    // font sizes relative to the one of the parent
+    var parentSize = parent ? parseFloat(parent.getPropertyValue("font-size")) : 16;
+    var size = /^\s*([-+\d.eE]+)(em|%)\s*$/.exec(values["font-size"] || "");
+    if(size) values["font-size"] = parseFloat(size[1]) * parentSize / ((size[2] == "%") ? 100 : 1) + "px";
+    var res = {
+        names: Object.keys(values).filter(function(name) { return /^--/.test(name); }),
+        getPropertyValue: function(name) {
+            return values.hasOwnProperty(name) ? values[name] || "" : "";
+        }
     };
+    for(var name in values) {
+        if(! /^--/.test(name)) res[name.replace(/-(\w)/g, function(m, c) { return c.toUpperCase(); })] = values[name];
+    }
+    return res;
+}
 
-    /**
-     * Shift given value randomly +/- by fuzzyness factor f / 2
-     * NOTE: not _really_ randomly but with alternating signs.
-     * Two times > 0, two times < 0, two times > 0, ... !
-     * NOTE: This relies on being called an even number of times
-     * from every context! (Which makes sense in a 2D space)
-     * @param val value to shift randomly
-     * @param f fuzzyness factor
-     * @return number
-     */
-    var fuzzDrunk = function(val, f) {
-        // get random sign
-        if(++fuzzDrunk.count > 2) {
-            fuzzDrunk.count = 0;
-            fuzzDrunk.sign *= -1;
+/**
+ * @brief Get a length attribute of an element of the light svg DOM in
+ * user units, as the "animVal" of a live DOM would: absolute units are
+ * converted at 96 dpi, "em" & "ex" by the font size and percentages by
+ * the size of the nearest viewport.
+ *
+ * @param {Object} e element
+ * @param {String} name name of the attribute
+ * @return {Float}
+ */
+function lightLength(e, name) {
+    var m = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*([a-zA-Z%]*)\s*$/.exec(e.getAttribute(name) || "");
+    if(! m) return 0;
+    var v = parseFloat(m[1]);
+    var unit = m[2].toLowerCase();
+    var units = { "": 1, "px": 1, "pt": 4 / 3, "pc": 16, "mm": 96 / 25.4, "cm": 96 / 2.54, "in": 96 };
+    if(units.hasOwnProperty(unit)) return v * units[unit];
+    if(unit == "em" || unit == "ex") {
+        return v * parseFloat(lightStyle(e).getPropertyValue("font-size")) / ((unit == "ex") ? 2 : 1);
+    }
+    if(unit != "%") return v;
+    // nearest viewport: its view box or its size, a default one outermost
+    var vp = { width: 300, height: 150 };
+    var svg = e.ownerSVGElement;
+    if(svg) {
+        var box = (svg.getAttribute("viewBox") || "").trim().split(/[\s,]+/).map(parseFloat);
+        vp = (box.length == 4 && box[2] > 0 && box[3] > 0) ? { width: box[2], height: box[3] } :
+             { width: svg.hasAttribute("width") ? lightLength(svg, "width") : 300,
+               height: svg.hasAttribute("height") ? lightLength(svg, "height") : 150 };
+    }
+    var ref = /^(x|cx|x1|x2|width|rx)$/.test(name) ? vp.width :
+              /^(y|cy|y1|y2|height|ry)$/.test(name) ? vp.height :
+              Math.sqrt((vp.width * vp.width + vp.height * vp.height) / 2);
+    return v * ref / 100;
+}
+
+/**
+ * @brief Parse an svg document string into a light DOM, see "lightNode".
+ * Comments, processing instructions & the document type are kept as
+ * they are, CDATA sections as such. Entities of XML & those declared
+ * by the document type are resolved, others are taken as text.
+ *
+ * @param {String} str svg document
+ * @return {Object} document
+ */
+function parseSVG(str) {
+    var doc = Object.create(lightDocument, {
+        nodeType: { value: 9 },
+        atts: { value: {} },
+        childNodes: { value: [], writable: true },
+        parentNode: { value: null, writable: true },
+        ownerDocument: { value: null }
+    });
+    var named = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+    var decode = function(s) {
+        return s.replace(/&(#x[0-9a-fA-F]+|#\d+|[A-Za-z][\w.-]*);/g, function(m, ent) {
+            if(ent.charAt(0) == "#") {
+                var code = (ent.charAt(1) == "x") ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+                return (code <= 0x10FFFF) ? String.fromCodePoint(code) : m;
+            }
+            return named.hasOwnProperty(ent) ? named[ent] : m;
+        });
+    };
+    var markup = /(<!--[\s\S]*?-->)|<!\[CDATA\[([\s\S]*?)\]\]>|(<!DOCTYPE(?:[^\[>]|\[[\s\S]*?\])*>)|(<\?[\s\S]*?\?>)|<\/\s*([^\s>]+)\s*>|<([^\s\/>!?]+)((?:\s+[^\s=\/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+|<)/g;
+    var attr = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    var node = doc;
+    var m;
+    while((m = markup.exec(str)) !== null) {
+        if(m[3]) {
+            var ents = /<!ENTITY\s+([^\s%]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g;
+            var ent;
+            while((ent = ents.exec(m[3])) !== null) {
+                named[ent[1]] = decode((typeof ent[2] == "string") ? ent[2] : ent[3]);
+            }
+        }
+        if(m[1] || m[3] || m[4]) {
+            node.appendChild(lightCreate(doc, m[1] ? 8 : m[3] ? 10 : 7, undefined, m[0]));
+        }
+        else if(typeof m[2] == "string") {
+            node.appendChild(lightCreate(doc, 4, undefined, m[2]));
+        }
+        // end tag: close up to the element it ends, if open
+        else if(m[5]) {
+            for(var e = node; e !== doc && e.tagName != m[5]; e = e.parentNode);
+            if(e !== doc) node = e.parentNode;
+        }
+        else if(m[6]) {
+            var e = node.appendChild(lightCreate(doc, 1, m[6]));
+            var a;
+            attr.lastIndex = 0;
+            while((a = attr.exec(m[7])) !== null) {
+                var value = (typeof a[2] == "string") ? a[2] : (typeof a[3] == "string") ? a[3] : a[4] || "";
+                e.atts[a[1]] = decode(value);
+            }
+            if(! m[8]) node = e;
+        }
+        else {
+            node.appendChild(lightCreate(doc, 3, undefined, decode(m[9])));
         }
-        return val + f * (Math.random() / 2 + fuzzDrunk.sign * 0.5);
     }
-    fuzzDrunk.count = 0;
-    fuzzDrunk.sign = +(new Date()) % 2 ? 1 : -1; // random first sign
+    return doc;
+}
 
-    /**
-     * Shift given value randomly +/- by fuzzyness factor f / 2
-     * NOTE: not _really_ randomly, but with every 2nd call
-     * having a strong variation relative to the prior call.
-     * @param val value to shift randomly
-     * @param f fuzzyness factor
-     * @return number
-     */
-    var fuzzNormal = function(val, f) {
-        // get random number
-        var i = fuzzNormal.count;
-        var rnd = (Math.random() - 0.5);
+/**
+ * @brief Serialize a node of the light svg DOM with all its descendants
+ * as XML, see "parseSVG".
+ *
+ * @param {Object} node
+ * @return {String}
+ */
+function serializeSVG(node) {
+    // all entities are resolved by "parseSVG", thus every "&" is text
+    var escape = function(s, quote) {
+        s = s.replace(/&/g, "&amp;").replace(/</g, "&lt;");
+        return quote ? s.replace(/"/g, "&quot;") : s.replace(/>/g, "&gt;");
+    };
+    switch(node.nodeType) {
+        case 1:
+            var str = "<" + node.tagName;
+            for(var name in node.atts) str += " " + name + '="' + escape(node.atts[name], true) + '"';
+            if(node.childNodes.length == 0) return str + "/>";
+            return str + ">" + node.childNodes.map(serializeSVG).join("") + "</" + node.tagName + ">";
+        case 3:
+            return escape(node.data, false);
+        case 4:
+            return "<![CDATA[" + node.data + "]]>";
+        case 9:
+            return node.childNodes.map(serializeSVG).join("");
+        default:
+            return node.data;
+    }
+}
 
-        if(++fuzzNormal.count == 2)
-            fuzzNormal.count = 0;
+/**
+ * @var object single stroke font for hand lettering, comic style capitals
+ * only: every glyph is [advance width, path] with the path using absolute
+ * "M", "L", "Q" & "C" commands only, cap height 10 & baseline at y = 10
+ */
+var font = {
+    "A": [6, "M0 10 L3 0 L6 10 M1 6.5 L5 6.5"],
+    "B": [6.5, "M0 10 L0 0 L3.5 0 Q6 0 6 2.5 Q6 5 3.5 5 L0 5 M3.5 5 Q6.5 5 6.5 7.5 Q6.5 10 3.5 10 L0 10"],
+    "C": [6, "M6 1.5 Q5 0 3.2 0 Q0 0 0 5 Q0 10 3.2 10 Q5 10 6 8.5"],
+    "D": [6.5, "M0 0 L0 10 L3 10 Q6.5 10 6.5 5 Q6.5 0 3 0 L0 0"],
+    "E": [6, "M6 0 L0 0 L0 10 L6 10 M0 5 L4.5 5"],
+    "F": [6, "M6 0 L0 0 L0 10 M0 5 L4.5 5"],
+    "G": [6, "M6 1.5 Q5 0 3.2 0 Q0 0 0 5 Q0 10 3.2 10 Q6 10 6 6 L6 5.5 L3.5 5.5"],
+    "H": [6, "M0 0 L0 10 M6 0 L6 10 M0 5 L6 5"],
+    "I": [4, "M0 0 L4 0 M2 0 L2 10 M0 10 L4 10"],
+    "J": [6, "M1.5 0 L6 0 M4.5 0 L4.5 7 Q4.5 10 2.2 10 Q0 10 0 7.5"],
+    "K": [6, "M0 0 L0 10 M6 0 L0 6 M2 4.2 L6 10"],
+    "L": [5.5, "M0 0 L0 10 L5.5 10"],
+    "M": [7, "M0 10 L0 0 L3.5 6 L7 0 L7 10"],
+    "N": [6, "M0 10 L0 0 L6 10 L6 0"],
+    "O": [6.5, "M3.25 0 C7.6 0 7.6 10 3.25 10 C-1.1 10 -1.1 0 3.25 0"],
+    "P": [6.5, "M0 10 L0 0 L3.5 0 Q6.5 0 6.5 2.75 Q6.5 5.5 3.5 5.5 L0 5.5"],
+    "Q": [7, "M3.25 0 C7.6 0 7.6 10 3.25 10 C-1.1 10 -1.1 0 3.25 0 M4 7 L7 10.5"],
+    "R": [6.5, "M0 10 L0 0 L3.5 0 Q6.5 0 6.5 2.75 Q6.5 5.5 3.5 5.5 L0 5.5 M3 5.5 L6.5 10"],
+    "S": [6, "M6 1.5 Q5 0 3 0 Q0 0 0 2.5 Q0 4.5 3 5 Q6 5.5 6 7.5 Q6 10 3 10 Q1 10 0 8.5"],
+    "T": [6, "M0 0 L6 0 M3 0 L3 10"],
+    "U": [6, "M0 0 L0 7 Q0 10 3 10 Q6 10 6 7 L6 0"],
+    "V": [6, "M0 0 L3 10 L6 0"],
+    "W": [8, "M0 0 L2 10 L4 3 L6 10 L8 0"],
+    "X": [6, "M0 0 L6 10 M6 0 L0 10"],
+    "Y": [6, "M0 0 L3 5 L6 0 M3 5 L3 10"],
+    "Z": [6, "M0 0 L6 0 L0 10 L6 10"],
+    "0": [6, "M3 0 C7 0 7 10 3 10 C-1 10 -1 0 3 0 M5 2 L1 8"],
+    "1": [5, "M1 2 L3 0 L3 10 M1 10 L5 10"],
+    "2": [6, "M0 2 Q1 0 3 0 Q6 0 6 3 Q6 5 0 10 L6 10"],
+    "3": [6, "M0 1 Q1 0 3 0 Q6 0 6 2.5 Q6 5 3 5 Q6 5 6 7.5 Q6 10 3 10 Q1 10 0 9"],
+    "4": [6, "M4.5 10 L4.5 0 L0 7 L6 7"],
+    "5": [6, "M6 0 L1 0 L0.5 4.5 Q2 4 3 4 Q6 4 6 7 Q6 10 3 10 Q1 10 0 9"],
+    "6": [6, "M5.5 0.5 Q4.5 0 3.5 0 Q0 0 0 6 Q0 10 3 10 Q6 10 6 7 Q6 4 3 4 Q0 4 0 6.5"],
+    "7": [6, "M0 0 L6 0 L2 10"],
+    "8": [6, "M3 5 Q0 5 0 2.5 Q0 0 3 0 Q6 0 6 2.5 Q6 5 3 5 Q0 5 0 7.5 Q0 10 3 10 Q6 10 6 7.5 Q6 5 3 5"],
+    "9": [6, "M6 3.5 Q6 6 3 6 Q0 6 0 3 Q0 0 3 0 Q6 0 6 4 Q6 10 2.5 10 Q1.5 10 0.5 9.5"],
+    " ": [4, ""],
+    ".": [2, "M1 9.4 L1 10"],
+    ",": [2, "M1.2 9 L0.5 11.5"],
+    ":": [2, "M1 2.9 L1 3.5 M1 9.4 L1 10"],
+    ";": [2, "M1.2 2.9 L1.2 3.5 M1.2 9 L0.5 11.5"],
+    "!": [2, "M1 0 L1 7 M1 9.4 L1 10"],
+    "?": [6, "M0 2 Q0.5 0 3 0 Q6 0 6 2.5 Q6 4.5 3 5.5 L3 7 M3 9.4 L3 10"],
+    "'": [2, "M1 0 L1 3"],
+    "\"": [3, "M0.5 0 L0.5 3 M2.5 0 L2.5 3"],
+    "-": [4, "M0 5.5 L4 5.5"],
+    "_": [6, "M0 10 L6 10"],
+    "+": [5, "M0 5 L5 5 M2.5 2.5 L2.5 7.5"],
+    "=": [5, "M0 3.5 L5 3.5 M0 6.5 L5 6.5"],
+    "*": [5, "M2.5 1 L2.5 6 M0.5 2.2 L4.5 4.8 M4.5 2.2 L0.5 4.8"],
+    "/": [5, "M0 10 L5 0"],
+    "(": [3.5, "M3 0 Q0 5 3 10"],
+    ")": [3.5, "M0 0 Q3 5 0 10"],
+    "<": [5, "M5 1 L0 5 L5 9"],
+    ">": [5, "M0 1 L5 5 L0 9"],
+    "#": [6, "M2 1 L1 9 M5 1 L4 9 M0 3.5 L6 3.5 M0 6.5 L6 6.5"],
+    "$": [6, "M6 1.5 Q5 0 3 0 Q0 0 0 2.5 Q0 4.5 3 5 Q6 5.5 6 7.5 Q6 10 3 10 Q1 10 0 8.5 M3 -1 L3 11"],
+    "%": [6, "M1.2 0 Q2.4 0 2.4 1.5 Q2.4 3 1.2 3 Q0 3 0 1.5 Q0 0 1.2 0 M0.5 10 L5.5 0 M4.8 7 Q6 7 6 8.5 Q6 10 4.8 10 Q3.6 10 3.6 8.5 Q3.6 7 4.8 7"],
+    "&": [6, "M6 10 L1.5 3 Q0.5 1 2.5 0 Q4.5 0 4.5 2 Q4.5 3.5 2 5 Q0 6.5 0 8 Q0 10 2.5 10 Q4.5 10 6 6.5"]
+};
+/**
+ * @var float size of one font unit relative to the font size, making the
+ * cap height 70% of the font size like in common fonts
+ */
+var fontUnit = 0.07;
+/**
+ * @var float baseline of the font in font units
+ */
+var fontBase = 10;
 
-        var res = val + f * (rnd - fuzzNormal.rnds[i]);
-        fuzzNormal.rnds[i] = rnd;
+/**
+ * @brief Glyph of the hand lettering font for the given character.
+ * Lower case letters are drawn as capitals, as common in comics, and
+ * unknown characters as question mark.
+ *
+ * @param {String} chr character
+ * @return {Array} advance width & path
+ */
+function glyphOf(chr) {
+    return font[chr] || font[chr.toUpperCase()] || font["?"];
+}
 
-        return res;
-    }
-    fuzzNormal.count = 0;
-    fuzzNormal.rnds = [0, 0];
+/**
+ * @brief Advance of the given glyph including the space to the next one.
+ *
+ * @param {Array} glyph as returned by "glyphOf"
+ * @return {Float} advance in font units
+ */
+function glyphAdvance(glyph) {
+    return glyph[0] + 2;
+}
 
-    /**
-     * Shift given value randomly +/- by fuzzyness factor f / 2
-     * @param val value to shift randomly
-     * @param f fuzzyness factor
-     * @return number
-     */
-    var fuzz = function(val, f) {
-        return C.drunk ? fuzzDrunk(val, f) : fuzzNormal(val, f);
+/**
+ * @brief Width of the given text in the hand lettering font.
+ *
+ * @param {String} str text
+ * @return {Float} width in font units
+ */
+function glyphsWidth(str) {
+    var width = 0;
+    for(var i = 0; i < str.length; i++) {
+        width += glyphAdvance(glyphOf(str.charAt(i)));
     }
+    return Math.max(0, width - 2);
+}
 
-    /**
-     * Distance between 2 numbers in 2 dim space
-     * @param x0 1st point x
-     * @param y0 1st point y
-     * @param x1 2nd point x
-     * @param y1 2nd point y
-     * @return number
-     */
-    var dist2 = function(x0, y0, x1, y1) {
-        var dx = x1 - x0;
-        var dy = y1 - y0;
-        return Math.sqrt(dx * dx + dy * dy);
+/**
+ * @brief Point on an ellipse at the given angle.
+ *
+ * @param {Object} e ellipse with center "x", "y" & radii "rx", "ry"
+ * @param {Float} t angle in radians
+ * @return {Object} point
+ */
+function ellipseAt(e, t) {
+    return { x:e.x + e.rx * Math.cos(t), y:e.y + e.ry * Math.sin(t) };
+}
+
+/**
+ * @brief Outward normal of an ellipse at the given angle.
+ *
+ * @param {Object} e ellipse with center "x", "y" & radii "rx", "ry"
+ * @param {Float} t angle in radians
+ * @return {Object} unit vector
+ */
+function ellipseNormal(e, t) {
+    var nx = e.ry * Math.cos(t);
+    var ny = e.rx * Math.sin(t);
+    var l = Math.sqrt(nx * nx + ny * ny) || 1;
+    return { x:nx / l, y:ny / l };
+}
+
+/**
+ * @brief Circumference of an ellipse (Ramanujan's approximation).
+ *
+ * @param {Object} e ellipse with radii "rx", "ry"
+ * @return {Float}
+ */
+function ellipseLength(e) {
+    var a = e.rx, b = e.ry;
+    return Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b)));
+}
+
+/**
+ * @brief Angles of n points spread at equal distances along an ellipse.
+ *
+ * @param {Object} e ellipse with center "x", "y" & radii "rx", "ry"
+ * @param {Integer} n number of points
+ * @return {Array} angles in radians, ascending from 0
+ */
+function ellipseSpread(e, n) {
+    var m = 360; // samples for measuring the distances
+    var lens = [0];
+    var prev = ellipseAt(e, 0);
+    for(var i = 1; i <= m; i++) {
+        var p = ellipseAt(e, Math.PI * 2 * i / m);
+        lens.push(lens[i-1] + Math.sqrt(Math.pow(p.x - prev.x, 2) + Math.pow(p.y - prev.y, 2)));
+        prev = p;
+    }
+    var ts = [];
+    var j = 0;
+    for(var i = 0; i < n; i++) {
+        var s = lens[m] * i / n;
+        while(lens[j+1] < s) j++;
+        var f = (lens[j+1] > lens[j]) ? (s - lens[j]) / (lens[j+1] - lens[j]) : 0;
+        ts.push(Math.PI * 2 * (j + f) / m);
     }
+    return ts;
+}
 
-    /**
-     * Test whether the given variable is an array.
-     * @param a var to test
-     * @return bool
-     */
-    var isArray = function(a) {
-        return Object.prototype.toString.call(a) === '[object Array]';
+/**
+ * @brief Path commands of a full ellipse, as two arcs.
+ *
+ * @param {Object} e ellipse with center "x", "y" & radii "rx", "ry"
+ * @return {Array} path commands as returned by "parsePath"
+ */
+function ellipseCmds(e) {
+    return [["M", e.x + e.rx, e.y],
+            ["A", e.rx, e.ry, 0, 1, 1, e.x - e.rx, e.y],
+            ["A", e.rx, e.ry, 0, 1, 1, e.x + e.rx, e.y]];
+}
+
+/**
+ * @brief Ellipse around the given text box, "bubblePadding" away from
+ * the box at its closest.
+ *
+ * @param {Float} x x upper left corner of the text box
+ * @param {Float} y y upper left corner of the text box
+ * @param {Float} width width of the text box
+ * @param {Float} height height of the text box
+ * @param {Object} opts options with "bubblePadding"
+ * @return {Object} ellipse with center "x", "y" & radii "rx", "ry"
+ */
+function bubbleEllipse(x, y, width, height, opts) {
+    return { x:x + width / 2, y:y + height / 2,
+             rx:width / 2 * Math.SQRT2 + opts.bubblePadding,
+             ry:height / 2 * Math.SQRT2 + opts.bubblePadding };
+}
+
+/**
+ * @brief Angle of the given ellipse pointing at the tail target.
+ *
+ * @param {Object} e ellipse with center "x", "y" & radii "rx", "ry"
+ * @param {Float} tx x of the tail target
+ * @param {Float} ty y of the tail target
+ * @return {Float} angle in radians or undefined if no target is given or
+ * the target is inside the ellipse, thus no tail is needed
+ */
+function tailAngle(e, tx, ty) {
+    if(typeof tx != "number" || typeof ty != "number") return undefined;
+    var u = (tx - e.x) / e.rx;
+    var v = (ty - e.y) / e.ry;
+    return (u * u + v * v > 1) ? Math.atan2(v, u) : undefined;
+}
+
+/**
+ * @brief Path commands of a speech bubble: an ellipse around the text box
+ * with a curved tail pointing at the target.
+ *
+ * @param {Float} x x upper left corner of the text box
+ * @param {Float} y y upper left corner of the text box
+ * @param {Float} width width of the text box
+ * @param {Float} height height of the text box
+ * @param {Float} tx x of the tail target (optional)
+ * @param {Float} ty y of the tail target (optional)
+ * @param {Object} opts options with "bubblePadding" & "tailWidth"
+ * @return {Array} path commands as returned by "parsePath"
+ */
+function speechBubble(x, y, width, height, tx, ty, opts) {
+    var e = bubbleEllipse(x, y, width, height, opts);
+    var t = tailAngle(e, tx, ty);
+    if(typeof t == "undefined") return ellipseCmds(e);
+    // angle covered by the tail, from the length of the ellipse around t
+    var speed = Math.sqrt(Math.pow(e.rx * Math.sin(t), 2) + Math.pow(e.ry * Math.cos(t), 2));
+    var dt = Math.min(0.6, opts.tailWidth / 2 / speed);
+    var p0 = ellipseAt(e, t - dt);
+    var p1 = ellipseAt(e, t + dt);
+    // both sides of the tail bend the same way, like a swoosh
+    var bx = (e.y - ty) * 0.15;
+    var by = (tx - e.x) * 0.15;
+    return [["M", p1.x, p1.y],
+            ["A", e.rx, e.ry, 0, 1, 1, p0.x, p0.y],
+            ["Q", (p0.x + tx) / 2 + bx, (p0.y + ty) / 2 + by, tx, ty],
+            ["Q", (p1.x + tx) / 2 + bx, (p1.y + ty) / 2 + by, p1.x, p1.y]];
+}
+
+/**
+ * @brief Path commands of a thought bubble: a cloud around the text box
+ * with a trail of shrinking circles leading to the target.
+ *
+ * @param {Float} x x upper left corner of the text box
+ * @param {Float} y y upper left corner of the text box
+ * @param {Float} width width of the text box
+ * @param {Float} height height of the text box
+ * @param {Float} tx x of the tail target (optional)
+ * @param {Float} ty y of the tail target (optional)
+ * @param {Object} opts options with "bubblePadding" & "tailWidth"
+ * @return {Array} path commands as returned by "parsePath"
+ */
+function thoughtBubble(x, y, width, height, tx, ty, opts) {
+    var e = bubbleEllipse(x, y, width, height, opts);
+    var n = Math.max(6, Math.round(ellipseLength(e) / 40));
+    var ts = ellipseSpread(e, n);
+    var bump = ellipseLength(e) / n;
+    var p0 = ellipseAt(e, 0);
+    var cmds = [["M", p0.x, p0.y]];
+    // one cubic Bezier bump outwards between neighbouring points
+    for(var i = 0; i < n; i++) {
+        var p1 = ellipseAt(e, (i + 1 < n) ? ts[i+1] : 0);
+        var dx = p1.x - p0.x;
+        var dy = p1.y - p0.y;
+        // bumps vary in height, control points 4/3 of it out
+        var h = (0.55 + 0.15 * Math.sin(i * 2.3)) * 4 / 3;
+        cmds.push(["C", p0.x + dy * h - dx * 0.2, p0.y - dx * h - dy * 0.2,
+                        p1.x + dy * h + dx * 0.2, p1.y - dx * h + dy * 0.2,
+                        p1.x, p1.y]);
+        p0 = p1;
+    }
+    var t = tailAngle(e, tx, ty);
+    if(typeof t == "undefined") return cmds;
+    // trail of circles starting at the outside of the bumps
+    var nv = ellipseNormal(e, t);
+    var b = ellipseAt(e, t);
+    b = { x:b.x + nv.x * bump * 0.55, y:b.y + nv.y * bump * 0.55 };
+    var d = Math.sqrt(Math.pow(tx - b.x, 2) + Math.pow(ty - b.y, 2));
+    var trail = [[0.25, 0.5], [0.6, 0.35], [0.9, 0.22]]; // position & radius
+    for(var i = 0; i < trail.length; i++) {
+        var r = Math.min(opts.tailWidth * trail[i][1], d * 0.12);
+        cmds = cmds.concat(ellipseCmds({ x:b.x + (tx - b.x) * trail[i][0],
+                                         y:b.y + (ty - b.y) * trail[i][0], rx:r, ry:r }));
     }
+    return cmds;
+}
 
-    // ----------------------set drawing method-------------------------
-    // HTML5 Canvas context
-    if(libName == "canvas") {
-        path = function(x0, y0, cx, cy, x1, y1) {
-            this.moveTo(x0, y0);
-            this.quadraticCurveTo(cx, cy, x1, y1);
-            C.pathPos = { x:x1, y:y1 };
+/**
+ * @brief Path commands of a shout: a jagged burst around the text box
+ * with its spike closest to the target reaching out to it.
+ *
+ * @param {Float} x x upper left corner of the text box
+ * @param {Float} y y upper left corner of the text box
+ * @param {Float} width width of the text box
+ * @param {Float} height height of the text box
+ * @param {Float} tx x of the tail target (optional)
+ * @param {Float} ty y of the tail target (optional)
+ * @param {Object} opts options with "bubblePadding" & "tailWidth"
+ * @return {Array} path commands as returned by "parsePath"
+ */
+function shout(x, y, width, height, tx, ty, opts) {
+    var e = bubbleEllipse(x, y, width, height, opts);
+    var n = Math.max(8, Math.round(ellipseLength(e) / 30));
+    var ts = ellipseSpread(e, n * 2);
+    var spike = Math.max(10, (e.rx + e.ry) / 2 * 0.3);
+    var t = tailAngle(e, tx, ty);
+    var points = [];
+    var tail = -1;
+    for(var i = 0; i < ts.length; i++) {
+        var p = ellipseAt(e, ts[i]);
+        // every 2nd point is the tip of a spike of varying length
+        if(i % 2) {
+            var nv = ellipseNormal(e, ts[i]);
+            var l = spike * (1 + 0.4 * Math.sin(i * 1.7));
+            p = { x:p.x + nv.x * l, y:p.y + nv.y * l };
+            var dt = Math.abs(Math.atan2(Math.sin(ts[i] - t), Math.cos(ts[i] - t)));
+            if(tail < 0 || dt < Math.abs(Math.atan2(Math.sin(ts[tail] - t), Math.cos(ts[tail] - t)))) {
+                tail = i;
+            }
         }
-        finish = function() {
-            this.stroke();
-            return this;
-        };
-        begin = function() {
-            this.beginPath();
-            return this;
-        };
+        points.push(p);
     }
-    else {
-        // for all svg libs let "path" & "begin" be as below
-        path = function(x0, y0, cx, cy, x1, y1) {
-            x0 = round(x0); y0 = round(y0); cx = round(cx);
-            cy = round(cy); x1 = round(x1); y1 = round(y1);
-            // "move to" only required if (x0, y0) != current pos AND as first path cmd
-            if(C.pathPos.x != x0 || C.pathPos.y != y0 || pathStr.length == 0) {
-                pathStr = pathStr + ["M", x0, y0, "Q", cx, cy, x1, y1].join(' ');
-            }
-            else {
-                pathStr = pathStr + ["Q", cx, cy, x1, y1].join(' ');
-            }
-            C.pathPos = { x:x1, y:y1 };
-            return this;
-        };
-        begin = function() {
-            pathStr = "";
-            C.pathPos = { x:0, y:0 };
-            return this;
-        };
+    if(typeof t != "undefined") points[tail] = { x:tx, y:ty };
+    var cmds = [["M", points[0].x, points[0].y]];
+    for(var i = 1; i <= points.length; i++) {
+        var p = points[i % points.length];
+        cmds.push(["L", p.x, p.y]);
     }
-    // Raphael.js
-    if(libName == "raphael") {
-        finish = function() {
-            return this.path(pathStr);
-        };
+    return cmds;
+}
+
+/**
+ * @brief Path commands of a caption: a box around the text box with
+ * a pointed tail leaving the side facing the target.
+ *
+ * @param {Float} x x upper left corner of the text box
+ * @param {Float} y y upper left corner of the text box
+ * @param {Float} width width of the text box
+ * @param {Float} height height of the text box
+ * @param {Float} tx x of the tail target (optional)
+ * @param {Float} ty y of the tail target (optional)
+ * @param {Object} opts options with "bubblePadding" & "tailWidth"
+ * @return {Array} path commands as returned by "parsePath"
+ */
+function caption(x, y, width, height, tx, ty, opts) {
+    var pad = opts.bubblePadding;
+    var x0 = x - pad, y0 = y - pad;
+    var x1 = x + width + pad, y1 = y + height + pad;
+    var corners = [{ x:x0, y:y0 }, { x:x1, y:y0 }, { x:x1, y:y1 }, { x:x0, y:y1 }];
+    // side of the tail: top, right, bottom, left or none if target inside
+    var side = -1;
+    if(typeof tx == "number" && typeof ty == "number" &&
+       (tx < x0 || tx > x1 || ty < y0 || ty > y1)) {
+        var u = (tx - (x0 + x1) / 2) / (x1 - x0);
+        var v = (ty - (y0 + y1) / 2) / (y1 - y0);
+        side = (Math.abs(u) > Math.abs(v)) ? (u > 0 ? 1 : 3) : (v > 0 ? 2 : 0);
     }
-    // D3.js
-    if(libName == "d3") {
-        finish = function() {
-            return this.append("svg:path").attr("d", pathStr);
-        };
+    var cmds = [["M", x0, y0]];
+    for(var i = 0; i < 4; i++) {
+        var a = corners[i];
+        var b = corners[(i + 1) % 4];
+        if(i == side) {
+            var len = Math.abs(b.x - a.x) + Math.abs(b.y - a.y);
+            var ux = (b.x - a.x) / len;
+            var uy = (b.y - a.y) / len;
+            var w = Math.min(opts.tailWidth, len) / 2;
+            // tail base facing the target as far as the side reaches
+            var s = Math.max(w, Math.min(len - w, (tx - a.x) * ux + (ty - a.y) * uy));
+            cmds.push(["L", a.x + ux * (s - w), a.y + uy * (s - w)], ["L", tx, ty],
+                      ["L", a.x + ux * (s + w), a.y + uy * (s + w)]);
+        }
+        cmds.push(["L", b.x, b.y]);
     }
-    // SVG.js
-    if(libName == "svg") {
-        // draws path object from current pathStr on "this" & returns it
-        finish = function() {
-            return this.path(pathStr);
+    return cmds;
+}
+
+/**
+ * @brief Compute the frames of comic panels on a page.
+ *
+ * The page is split into rows and every row into panels. Sizes are given
+ * relative to the other rows & panels of the same row, the space between
+ * panels is "gutter" & around all panels "margin" pixels. Rows are given
+ * as numbers (of equal panels), arrays of panel widths or objects with
+ * "height", "panels", "slant" (horizontal offset in pixels between the
+ * top & bottom end of dividers between its panels) & "tilt" (vertical
+ * offset in pixels between the left & right end of the divider below it).
+ * Panels are given as width or objects with "width", "bleed" (extend to
+ * the page border in place of the margin) & "insets" (array of panels
+ * on top with "x", "y", "width" & "height" relative to the panel bounds).
+ * Instead of "rows", "columns" & "rows" numbers give a regular grid.
+ *
+ * e.g. { width: 800, height: 600, gutter: 12,
+ *        rows: [3, { height: 2, panels: [2, { bleed: true }], slant: 30 }] }
+ *
+ * @param {Object} spec layout with "x", "y", "width", "height" of the page,
+ * "gutter", "margin", "rows" & "columns"
+ * @return {Array} panels with "row", "col", "points" of the frame,
+ * bounding box "x", "y", "width" & "height" and "d" (path string for
+ * clipping), insets following their panel with "inset" set to true
+ */
+function panels(spec) {
+    spec = spec || {};
+    var px = spec.x || 0;
+    var py = spec.y || 0;
+    var pw = spec.width || 0;
+    var ph = spec.height || 0;
+    var gutter = (typeof spec.gutter == "number") ? spec.gutter : 10;
+    var margin = (typeof spec.margin == "number") ? spec.margin : gutter;
+    // normalize rows into objects with panel objects
+    var rows = spec.rows;
+    if(typeof rows != "object") {
+        rows = [];
+        for(var i = 0; i < (spec.rows || 1); i++) rows.push(spec.columns || 1);
+    }
+    rows = rows.map(function(row) {
+        row = (typeof row == "object" && ! (row instanceof Array)) ? row : { panels: row };
+        var cells = row.panels || 1;
+        if(typeof cells == "number") {
+            var n = cells;
+            cells = [];
+            for(var i = 0; i < n; i++) cells.push(1);
+        }
+        return {
+            height: row.height || 1,
+            slant: row.slant || 0,
+            tilt: row.tilt || 0,
+            panels: cells.map(function(p) {
+                return (typeof p == "object") ? p : { width: p };
+            })
         };
+    });
+    // lines are given as point "x", "y" & direction "dx", "dy"
+    var left = px + margin, right = px + pw - margin;
+    var top = py + margin, bottom = py + ph - margin;
+    var intersect = function(a, b) {
+        var cross = a.dx * b.dy - a.dy * b.dx;
+        var f = ((b.x - a.x) * b.dy - (b.y - a.y) * b.dx) / cross;
+        return { x:a.x + a.dx * f, y:a.y + a.dy * f };
+    };
+    // move line by d towards point c
+    var shift = function(l, d, c) {
+        var len = Math.sqrt(l.dx * l.dx + l.dy * l.dy);
+        var nx = -l.dy / len, ny = l.dx / len;
+        if((c.x - l.x) * nx + (c.y - l.y) * ny < 0) { nx = -nx; ny = -ny; }
+        return { x:l.x + nx * d, y:l.y + ny * d, dx:l.dx, dy:l.dy };
+    };
+    // the space between dividers is divided by relative size
+    var split = function(from, to, sizes) {
+        var total = 0;
+        for(var i = 0; i < sizes.length; i++) total += sizes[i];
+        var avail = to - from - gutter * (sizes.length - 1);
+        var res = [from];
+        var sum = 0;
+        for(var i = 0; i < sizes.length; i++) {
+            sum += sizes[i];
+            res.push(from + avail * sum / total + gutter * i);
+        }
+        return res; // start, ends of every row / panel
+    };
+    var rowEnds = split(top, bottom, rows.map(function(r) { return r.height; }));
+    var res = [];
+    for(var i = 0; i < rows.length; i++) {
+        var row = rows[i];
+        var y0 = rowEnds[i] + (i > 0 ? gutter : 0);
+        var y1 = rowEnds[i+1];
+        var colEnds = split(left, right, row.panels.map(function(p) { return p.width || 1; }));
+        for(var j = 0; j < row.panels.length; j++) {
+            var cell = row.panels[j];
+            var x0 = colEnds[j] + (j > 0 ? gutter : 0);
+            var x1 = colEnds[j+1];
+            var c = { x:(x0 + x1) / 2, y:(y0 + y1) / 2 };
+            var edges = [];
+            // top: page border or the divider above
+            edges.push((i == 0) ? { x:0, y:cell.bleed ? py : top, dx:1, dy:0 } :
+                       shift({ x:(left + right) / 2, y:y0 - gutter / 2,
+                               dx:right - left, dy:rows[i-1].tilt }, gutter / 2, c));
+            // right: page border or the divider on the right
+            edges.push((j == row.panels.length - 1) ?
+                       { x:cell.bleed ? px + pw : right, y:0, dx:0, dy:1 } :
+                       shift({ x:x1 + gutter / 2, y:(y0 + y1) / 2,
+                               dx:-row.slant, dy:y1 - y0 }, gutter / 2, c));
+            // bottom: page border or the divider below
+            edges.push((i == rows.length - 1) ?
+                       { x:0, y:cell.bleed ? py + ph : bottom, dx:1, dy:0 } :
+                       shift({ x:(left + right) / 2, y:y1 + gutter / 2,
+                               dx:right - left, dy:row.tilt }, gutter / 2, c));
+            // left: page border or the divider on the left
+            edges.push((j == 0) ? { x:cell.bleed ? px : left, y:0, dx:0, dy:1 } :
+                       shift({ x:x0 - gutter / 2, y:(y0 + y1) / 2,
+                               dx:-row.slant, dy:y1 - y0 }, gutter / 2, c));
+            var points = [intersect(edges[3], edges[0]), intersect(edges[0], edges[1]),
+                          intersect(edges[1], edges[2]), intersect(edges[2], edges[3])];
+            var panel = framePanel(points);
+            panel.row = i;
+            panel.col = j;
+            res.push(panel);
+            // insets on top, relative to the bounds of the panel
+            var insets = cell.insets || [];
+            for(var k = 0; k < insets.length; k++) {
+                var ix = panel.x + panel.width * (insets[k].x || 0);
+                var iy = panel.y + panel.height * (insets[k].y || 0);
+                var iw = panel.width * (insets[k].width || 0);
+                var ih = panel.height * (insets[k].height || 0);
+                var inset = framePanel([{ x:ix, y:iy }, { x:ix + iw, y:iy },
+                                        { x:ix + iw, y:iy + ih }, { x:ix, y:iy + ih }]);
+                inset.row = i;
+                inset.col = j;
+                inset.inset = true;
+                res.push(inset);
+            }
+        }
     }
+
+    return res;
 }
-C.bindTo = bindTo;
 
 /**
- * @brief Round to the precision defined in local scope.
+ * @brief Panel with the given frame, see "C.panels".
  *
- * @param {Float} x
- * @return {Float}
+ * @param {Array} points corners of the frame
+ * @return {Object} panel
  */
-function round(x) {
-    return Math.round(x * roundFactor) / roundFactor;
+function framePanel(points) {
+    var xs = points.map(function(p) { return p.x; });
+    var ys = points.map(function(p) { return p.y; });
+    var x = Math.min.apply(Math, xs);
+    var y = Math.min.apply(Math, ys);
+    return {
+        points: points,
+        x: x,
+        y: y,
+        width: Math.max.apply(Math, xs) - x,
+        height: Math.max.apply(Math, ys) - y,
+        d: "M " + points.map(function(p) {
+               return round(p.x) + " " + round(p.y);
+           }).join(" L ") + " Z"
+    };
 }
 
 /**
- * @brief Parse an svg path object and return commands
- * Parse an svg path object and generate an Array of path commands.
- * Each command is an Array of the form `[command, arg1, arg2, ...]`
- * NOTE: parsing is done via "pathSegList" which is faster and more
- * reliable than parsing the path string directly, but might not
- * work in old browsers.
+ * @brief Trace the edges of a bitmap as polylines.
  *
- * @author Balint Morvai <balint@morvai.de>
- * @license http://en.wikipedia.org/wiki/MIT_License MIT License
- * @param {Object} path object
- * @return {Array}
+ * The bitmap is scaled down to fit "imageSize" pixels and posterized to
+ * "imageLevels" levels of brightness, dropping noise & fine texture. The
+ * Sobel operator finds the edges between levels, whose pixels on the
+ * darker side are linked into polylines & simplified.
+ *
+ * @param {Object} pixels image data with "width", "height" & RGBA "data"
+ * @param {Object} opts options with "imageLevels" & "imageSize"
+ * @return {Array} polylines, each an array of points with "x" & "y"
+ * relative to width & height, from 0 to 1
  */
-function parsePath(path) {
-    // some browser bugs can make pathSegList go missing - a workaround
-    if(! path.pathSegList) {
-        var newPath = document.createElementNS("http://www.w3.org/2000/svg", 'path');
-        newPath.setAttribute('d', path.getAttribute('d'));
+function imageLines(pixels, opts) {
+    var scale = Math.min(1, opts.imageSize / Math.max(pixels.width, pixels.height));
+    var w = Math.max(1, Math.round(pixels.width * scale));
+    var h = Math.max(1, Math.round(pixels.height * scale));
+    var edges = sobelEdges(posterize(pixels, w, h, Math.max(2, opts.imageLevels)), w, h);
+    var lines = linkEdges(edges, w, h);
+    var res = [];
+    for(var i = 0; i < lines.length; i++) {
+        // specks are noise
+        if(lines[i].length < 5) continue;
+        res.push(simplifyLine(lines[i], 0.8).map(function(p) {
+            return { x:(p.x + 0.5) / w, y:(p.y + 0.5) / h };
+        }));
+    }
+    return res;
+}
+
+/**
+ * @brief Scale a bitmap to the given size, blur it slightly & reduce it
+ * to levels of brightness. Transparent pixels count as white.
+ *
+ * @param {Object} pixels image data with "width", "height" & RGBA "data"
+ * @param {Integer} w width to scale to
+ * @param {Integer} h height to scale to
+ * @param {Integer} n number of levels
+ * @return {Array} level from 0 (dark) to n - 1 (bright) of every pixel, row by row
+ */
+function posterize(pixels, w, h, n) {
+    var sum = [];
+    var count = [];
+    for(var i = 0; i < w * h; i++) {
+        sum.push(0);
+        count.push(0);
+    }
+    for(var y = 0; y < pixels.height; y++) {
+        var row = Math.min(h - 1, Math.floor(y * h / pixels.height)) * w;
+        for(var x = 0; x < pixels.width; x++) {
+            var k = (y * pixels.width + x) * 4;
+            var a = pixels.data[k+3] / 255;
+            var lum = 0.299 * pixels.data[k] + 0.587 * pixels.data[k+1] + 0.114 * pixels.data[k+2];
+            var j = row + Math.min(w - 1, Math.floor(x * w / pixels.width));
+            sum[j] += a * lum + (1 - a) * 255;
+            count[j]++;
+        }
     }
-    var list = path.pathSegList || newPath.pathSegList;
-    if(! list.length) list = list._list;
+    var lum = sum.map(function(v, j) { return v / (count[j] || 1); });
+    // blur a bit to get smooth edges between levels
     var res = [];
-    for(var i = 0; i < list.length; i++) {
-        var cmd = list[i].pathSegTypeAsLetter;
-        var sub = [];
-        switch(cmd) {
-            case "C":
-            case "c":
-                sub.unshift(list[i].y2); sub.unshift(list[i].x2);
-            case "Q":
-            case "q":
-                sub.unshift(list[i].y1); sub.unshift(list[i].x1);
-            case "M":
-            case "m":
-            case "L":
-            case "l":
-                sub.push(list[i].x); sub.push(list[i].y);
-                break;
-            case "A":
-            case "a":
-                sub.push(list[i].r1); sub.push(list[i].r2);
-                sub.push(list[i].angle);
-                sub.push(list[i].largeArcFlag);
-                sub.push(list[i].sweepFlag);
-                sub.push(list[i].x); sub.push(list[i].y);
-                break;
-            case "H":
-            case "h":
-                sub.push(list[i].x);
-                break;
-            case "V":
-            case "v":
-                sub.push(list[i].y);
-                break;
-            case "S":
-            case "s":
-                sub.push(list[i].x2); sub.push(list[i].y2);
-                sub.push(list[i].x); sub.push(list[i].y);
-                break;
-            case "T":
-            case "t":
-                sub.push(list[i].x); sub.push(list[i].y);
-                break;
+    for(var y = 0; y < h; y++) {
+        for(var x = 0; x < w; x++) {
+            var v = 0, c = 0;
+            for(var yy = Math.max(0, y - 1); yy <= Math.min(h - 1, y + 1); yy++) {
+                for(var xx = Math.max(0, x - 1); xx <= Math.min(w - 1, x + 1); xx++) {
+                    v += lum[yy * w + xx];
+                    c++;
+                }
+            }
+            res.push(Math.min(n - 1, Math.floor(v / c / 256 * n)));
         }
-        sub.unshift(cmd);
-        res.push(sub);
     }
     return res;
 }
 
-// set options
-C.init({
+/**
+ * @brief Find the edges of a posterized bitmap by the Sobel operator:
+ * pixels with a brighter neighbor in the direction of the gradient.
+ *
+ * @param {Array} levels level of every pixel, row by row
+ * @param {Integer} w width
+ * @param {Integer} h height
+ * @return {Array} true for every edge pixel, row by row
+ */
+function sobelEdges(levels, w, h) {
+    var at = function(x, y) {
+        return levels[Math.min(h - 1, Math.max(0, y)) * w + Math.min(w - 1, Math.max(0, x))];
+    };
+    var res = [];
+    for(var y = 0; y < h; y++) {
+        for(var x = 0; x < w; x++) {
+            var gx = at(x+1, y-1) + 2 * at(x+1, y) + at(x+1, y+1) -
+                     at(x-1, y-1) - 2 * at(x-1, y) - at(x-1, y+1);
+            var gy = at(x-1, y+1) + 2 * at(x, y+1) + at(x+1, y+1) -
+                     at(x-1, y-1) - 2 * at(x, y-1) - at(x+1, y-1);
+            var g = Math.sqrt(gx * gx + gy * gy);
+            res.push(g > 0 && at(x, y) < at(x + Math.round(gx / g), y + Math.round(gy / g)));
+        }
+    }
+    return res;
+}
+
+/**
+ * @brief Link neighboring edge pixels into polylines, following every
+ * line to both of its ends.
+ *
+ * @param {Array} edges true for every edge pixel, row by row
+ * @param {Integer} w width
+ * @param {Integer} h height
+ * @return {Array} polylines, each an array of pixels with "x" & "y"
+ */
+function linkEdges(edges, w, h) {
+    // direct neighbors first, diagonal ones after
+    var steps = [[1, 0], [0, 1], [-1, 0], [0, -1], [1, 1], [-1, 1], [-1, -1], [1, -1]];
+    var used = edges.map(function() { return false; });
+    var next = function(p) {
+        for(var i = 0; i < steps.length; i++) {
+            var x = p.x + steps[i][0];
+            var y = p.y + steps[i][1];
+            var j = y * w + x;
+            if(x >= 0 && y >= 0 && x < w && y < h && edges[j] && ! used[j]) {
+                used[j] = true;
+                return { x:x, y:y };
+            }
+        }
+        return undefined;
+    };
+    var res = [];
+    for(var j = 0; j < edges.length; j++) {
+        if(! edges[j] || used[j]) continue;
+        used[j] = true;
+        var line = [{ x:j % w, y:Math.floor(j / w) }];
+        for(var p = next(line[0]); p; p = next(p)) line.push(p);
+        for(var p = next(line[0]); p; p = next(p)) line.unshift(p);
+        res.push(line);
+    }
+    return res;
+}
+
+/**
+ * @brief Simplify a polyline by the Ramer-Douglas-Peucker algorithm.
+ *
+ * @param {Array} points points with "x" & "y"
+ * @param {Float} tolerance max distance of dropped points to the result
+ * @return {Array} points kept
+ */
+function simplifyLine(points, tolerance) {
+    var keep = points.map(function() { return false; });
+    keep[0] = keep[points.length - 1] = true;
+    var ranges = [[0, points.length - 1]];
+    while(ranges.length > 0) {
+        var r = ranges.pop();
+        var a = points[r[0]], b = points[r[1]];
+        var len = Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y));
+        var max = 0, at = -1;
+        for(var i = r[0] + 1; i < r[1]; i++) {
+            var p = points[i];
+            var d = (len > 0) ?
+                    Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / len :
+                    Math.sqrt((p.x - a.x) * (p.x - a.x) + (p.y - a.y) * (p.y - a.y));
+            if(d > max) {
+                max = d;
+                at = i;
+            }
+        }
+        if(max > tolerance) {
+            keep[at] = true;
+            ranges.push([r[0], at], [at, r[1]]);
+        }
+    }
+    return points.filter(function(p, i) { return keep[i]; });
+}
+
+/**
+ * @var object default options of every instance
+ */
+var defaults = {
     fsteps: fsteps,
     msteps: msteps,
     ff: ff,
     ffc: ffc,
     drunk: drunk,
+    passes: passes,
+    passDeviation: passDeviation,
+    overshoot: overshoot,
+    brush: brush,
+    brushWidth: brushWidth,
+    brushTaper: brushTaper,
+    brushNoise: brushNoise,
+    fill: fill,
+    fillAngle: fillAngle,
+    fillGap: fillGap,
+    fillStyle: fillStyle,
+    strokeStyle: strokeStyle,
+    fontSize: fontSize,
+    lettering: lettering,
+    textRotate: textRotate,
+    textShift: textShift,
+    textScale: textScale,
+    bubblePadding: bubblePadding,
+    tailWidth: tailWidth,
+    imageLevels: imageLevels,
+    imageSize: imageSize,
+    reveal: reveal,
+    revealDuration: revealDuration,
+    revealStagger: revealStagger,
+    revealEasing: revealEasing,
+    overlay: overlay,
+    seed: seed,
+    prng: prng,
     context: context
-});
+};
+
+// the default instance
+setup(C);
 
 // Raphael.js
 if(typeof Raphael != "undefined") {
     bindTo("raphael",   // library name
-           Raphael.fn); // root object to hook in to
+           Raphael.fn,  // root object to hook in to
+           C);          // instance to draw with
 }
 
 // SVG.js
 if(typeof SVG != "undefined") {
     var dummy = {};
-    bindTo("svg", dummy);
+    bindTo("svg", dummy, C);
     SVG.extend(SVG.Set, dummy);
     SVG.extend(SVG.Group, dummy);
     SVG.extend(SVG.Element, dummy);
@@ -1359,11 +5815,9 @@ if(typeof SVG != "undefined") {
 
 // D3.js
 if(typeof d3 != "undefined") {
-    bindTo("d3", d3.selection.prototype);
-    bindTo("d3", d3.selection.enter.prototype);
+    bindTo("d3", d3.selection.prototype, C);
+    bindTo("d3", d3.selection.enter.prototype, C);
 }
 
-// comic.js - bind to self
-bindTo("self", COMIC);
-
-})();
+return C;
+});
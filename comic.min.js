@@ -1 +1,2 @@
-COMIC={version:.961},function(){function t(t){return Math.round(t*p)/p}function a(t){if(!t.pathSegList){var a=document.createElementNS("http://www.w3.org/2000/svg","path");a.setAttribute("d",t.getAttribute("d"))}var e=t.pathSegList||a.pathSegList;e.length||(e=e._list);for(var n=[],i=0;i<e.length;i++){var s=e[i].pathSegTypeAsLetter,r=[];switch(s){case"C":case"c":r.unshift(e[i].y2),r.unshift(e[i].x2);case"Q":case"q":r.unshift(e[i].y1),r.unshift(e[i].x1);case"M":case"m":case"L":case"l":r.push(e[i].x),r.push(e[i].y);break;case"A":case"a":r.push(e[i].r1),r.push(e[i].r2),r.push(e[i].angle),r.push(e[i].largeArcFlag),r.push(e[i].sweepFlag),r.push(e[i].x),r.push(e[i].y);break;case"H":case"h":r.push(e[i].x);break;case"V":case"v":r.push(e[i].y);break;case"S":case"s":r.push(e[i].x2),r.push(e[i].y2),r.push(e[i].x),r.push(e[i].y);break;case"T":case"t":r.push(e[i].x),r.push(e[i].y)}r.unshift(s),n.push(r)}return n}var e=COMIC,n=5,i=3,s=8,r=5,h=!1,c=void 0,o=function(){},l=function(){},u=function(){},y="",x=10,p=Math.pow(10,x);e.pathPos={x:0,y:0},e.init=function(t){for(var a in t)t.hasOwnProperty(a)&&(e[a]=t[a],"fsteps"==a&&(e.fsteps*=10));return"object"==typeof t.context&&v("canvas",e.context),e},e.ctx=function(t){return e.init({context:t}),e};var v=function(n,i){i.cBezier3=function(t,a,e,n,i,r,h,c){return o.call(this),s.call(this,t,a,e,n,i,r,h,c),l.call(this)};var s=function(t,a,n,i,s,r,h,c){for(var o=3*N(t,a,h,c),l=Math.ceil(Math.pow(o/e.fsteps,.9)),f=.8*e.ff,y=[t,a],x=[n,i],p=[s,r],v=[h,c],d=[y,x,p,v],g=l;g>0;g--){var M=I(d,1/g),m=M[0],d=M[1];y=m[0],x=m[1],p=m[2],v=m[3],u.call(this,y[0],y[1],V((x[0]+p[0])/2,f),V((x[1]+p[1])/2,f),v[0],v[1])}return this};i.cBezier2=function(t,a,e,n,i,s){return o.call(this),r.call(this,t,a,e,n,i,s),l.call(this)};var r=function(t,a,n,i,s,r){for(var h=3*N(t,a,s,r),c=Math.ceil(Math.pow(h/e.fsteps,.9)),o=.8*e.ff,l=[t,a],f=[n,i],y=[s,r],x=[l,f,y],p=c;p>0;p--){var v=I(x,1/p),d=v[0],x=v[1];l=d[0],f=d[1],y=d[2],u.call(this,l[0],l[1],V(f[0],o),V(f[1],o),y[0],y[1])}return this};i.cEllipse=function(t,a,e,n,i,s,r){return o.call(this),h.call(this,t,a,e,n,i,s,r),l.call(this)};var h=function(t,a,n,i,s,r,h){var c=2*Math.PI;r="undefined"==typeof r?0:r,h="undefined"==typeof h?c:h,s="undefined"==typeof s?0:s;var o,l,f=Math.cos(s),y=Math.sin(s),x=e.msteps+(n+i)/2*e.fsteps/200,v=e.ffc*Math.pow(n,.5)*.3/Math.pow(x,.25),d=e.ffc*Math.pow(i,.5)*.3/Math.pow(x,.25),g=.95+.1*Math.random(),M=.95+.1*Math.random(),m=n*g,b=i*M,w=h-r,k=w/x,P=r,S=m*Math.cos(P),I=b*Math.sin(P),T=t+S*f-I*y,C=a+S*y+I*f;p.call(this,t+n*Math.cos(P)*f-i*Math.sin(P)*y,a+n*Math.cos(P)*y+i*Math.sin(P)*f,T,C);for(var N=1;x>=N;N++){P+=k;var o=T,l=C,S=m*Math.cos(P),I=b*Math.sin(P),T=t+S*f-I*y,C=a+S*y+I*f;u.call(this,o,l,V((o+T)/2,v),V((l+C)/2,d),T,C)}return p.call(this,T,C,t+n*Math.cos(h)*f-i*Math.sin(h)*y,a+n*Math.cos(h)*y+i*Math.sin(h)*f),this};i.cCircle=function(t,a,e,n,i){return o.call(this),c.call(this,t,a,e,n,i),l.call(this)};var c=function(t,a,n,i,s){var r=2*Math.PI;i="undefined"==typeof i?0:i,s="undefined"==typeof s?r:s;var h,c,o=e.msteps+n*e.fsteps/200,l=e.ffc*Math.pow(n,.5)*.3/Math.pow(o,.25),f=.975+.05*Math.random(),y=n*f,x=n*(2-f),v=s-i,d=v/o,g=i,M=t+Math.cos(g)*y,m=a+Math.sin(g)*x;p.call(this,t+Math.cos(g)*n,a+Math.sin(g)*n,M,m);for(var b=1;o>=b;b++)g+=d,h=M,c=m,M=t+Math.cos(g)*y,m=a+Math.sin(g)*x,u.call(this,h,c,V((h+M)/2,l),V((c+m)/2,l),M,m);return p.call(this,M,m,t+Math.cos(s)*n,a+Math.sin(s)*n),this};i.cTrian=function(t,a,e,n,i,s){return o.call(this),p.call(this,t,a,e,n),p.call(this,e,n,i,s),p.call(this,i,s,t,a),l.call(this)},i.cRect=function(t,a,e,n,i,s){return o.call(this),x.call(this,t,a,e,n,i,s),l.call(this)};var x=function(t,a,e,n,i,s){var r;i="undefined"==typeof i?0:Math.min(i,e/2),s="undefined"==typeof s?i:Math.min(s,n/2);var c=t+e,o=a+n;return p.call(this,t+i,a,c-i,a),i>0&&(r=Math.PI/2,h.call(this,c-i,a+s,i,s,0,3*r,2*Math.PI)),p.call(this,c,a+s,c,o-s),i>0&&h.call(this,c-i,o-s,i,s,0,0,r),p.call(this,c-i,o,t+i,o),i>0&&h.call(this,t+i,o-s,i,s,0,r,Math.PI),p.call(this,t,o-s,t,a+s),i>0&&h.call(this,t+i,a+s,i,s,0,Math.PI,3*r),this};i.cLine=function(t,a,e,n){return o.call(this),p.call(this,t,a,e,n),l.call(this)};var p=function(t,a,n,i){var s,r=function(t,a,e){if("undefined"!=typeof e){var n=Math.pow(e,3),i=n*e,r=i*e;s=15*i-6*r-10*n}return t+(t-a)*s},h=N(t,a,n,i),c=Math.ceil(h/e.fsteps);c<e.msteps&&(c=e.msteps),f=e.ff/(c==e.msteps?1.4:1);for(var o=r(t,n,0),l=r(a,i),y=1;c>=y;y++){t1=y/c;var x=o,p=l,o=r(t,n,t1),l=r(a,i);u.call(this,x,p,V((x+o)/2,f),V((p+l)/2,f),o,l)}return this},v=function(t){var a="error: no drawing element given";found=!1,tags=["svg","g"];var e=function(t){for(;t[0]&&"string"!=typeof t[0];)t=t[0];return t},n=function(t){return t.contentDocument&&(t=t.contentDocument),t},i=function(t){return"object"==typeof t.node&&"string"==typeof t.node.tagName&&(t=t.node),t},s=function(t){return"string"!=typeof t.tagName?!1:tags.indexOf(t.tagName)>=0};if(t=e(t),t=n(t),t=i(t),!(found=s(t))){if("object"==typeof t.children)for(var r=0;!found&&r<t.children.length;)eTmp=n(t.children[r]),eTmp=i(t.children[r]),(found=s(eTmp))&&(t=eTmp),r++;"object"!=typeof t.parent||found||(eTmp=n(t.children[r]),eTmp=i(t.children[r]),(found=s(eTmp))&&(t=eTmp))}if(!found)throw a;return t};i.magic=function(){return e.magic.call(this,this)},e.magic=function(t){if(t){t=t[0]?t:[t];for(var a=1;a<t.length;a++)e.magic.call(this,v(t[a]));var n=v(t[0]);return function i(t){for(var a=t.children,e=0;e<a.length;e++)a[e].hasOwnProperty("walked")||(a[e].walked=!0,["rect","circle","ellipse","line","polyline","polygon","path","g","svg"].indexOf(a[e].tagName)>=0&&i.call(this,a[e]));switch(o(),t.tagName){case"rect":g.call(this,t);break;case"circle":M.call(this,t);break;case"ellipse":m.call(this,t);break;case"line":b.call(this,t);break;case"polyline":w.call(this,t);break;case"polygon":k.call(this,t);break;case"path":P.call(this,t);break;case"g":break;case"svg":}var n=t;if(["rect","circle","ellipse","line","polyline","polygon"].indexOf(t.tagName)>=0){n=document.createElementNS("http://www.w3.org/2000/svg","path");for(var s=t.attributes,e=0;e<s.length;e++)["x","y","rx","ry","width","height","cx","cy","r","x1","y1","x2","y2","points"].indexOf(s[e].name)<0&&n.setAttribute(s[e].name,s[e].value);t.parentNode.replaceChild(n,t)}y.length>0&&n.setAttribute("d",y)}.call(this,n),n}};var d=function(t){return t.animVal.value},g=function(t){x.call(this,d(t.x),d(t.y),d(t.width),d(t.height),d(t.rx),d(t.ry))},M=function(t){c.call(this,d(t.cx),d(t.cy),d(t.r))},m=function(t){h.call(this,d(t.cx),d(t.cy),d(t.rx),d(t.ry))},b=function(t){p.call(this,d(t.x1),d(t.y1),d(t.x2),d(t.y2))},w=function(t){for(var a=t.points,e=a.getItem(0),n=1;n<a.length;n++){var i=a.getItem(n);p.call(this,e.x,e.y,i.x,i.y),e=i}},k=function(t){for(var a=t.points,e=a.getItem(0),n=1;n<a.length;n++){var i=a.getItem(n);p.call(this,e.x,e.y,i.x,i.y),e=i}e=a.getItem(0),p.call(this,i.x,i.y,e.x,e.y)},P=function(t){for(var e={x:0,y:0},n={x:0,y:0},i=void 0,c=void 0,o={x:0,y:-0},l=a(t),f=0;f<l.length;f++){var u=l[f],x=u.shift(),v=!1;0==f&&"m"==x&&(x="M",v=!0);var d=function(){o=x==x.toUpperCase()?{x:0,y:0}:{x:e.x,y:e.y}};switch(d(),x){case"M":case"m":for(i=void 0,c=void 0,e={x:o.x+u.shift(),y:o.y+u.shift()},n=e,x=v?"m":"M";u.length>1;){var g={x:o.x+u.shift(),y:o.y+u.shift()};p.call(this,e.x,e.y,g.x,g.y),e=g,d()}break;case"Q":case"q":for(i=void 0;u.length>3;){var M={x:o.x+u.shift(),y:o.y+u.shift()},m={x:o.x+u.shift(),y:o.y+u.shift()};r.call(this,e.x,e.y,M.x,M.y,m.x,m.y),e=m,c=M,d()}break;case"T":case"t":for(i=void 0;u.length>1;){var m={x:o.x+u.shift(),y:o.y+u.shift()},M="undefined"==typeof c?e:{x:2*e.x-c.x,y:2*e.y-c.y};r.call(this,e.x,e.y,M.x,M.y,m.x,m.y),e=m,c=M,d()}break;case"C":case"c":for(c=void 0;u.length>5;){var M={x:o.x+u.shift(),y:o.y+u.shift()},m={x:o.x+u.shift(),y:o.y+u.shift()},b={x:o.x+u.shift(),y:o.y+u.shift()};s.call(this,e.x,e.y,M.x,M.y,m.x,m.y,b.x,b.y),e=b,i=m,d()}break;case"S":case"s":for(c=void 0;u.length>3;){var m={x:o.x+u.shift(),y:o.y+u.shift()},b={x:o.x+u.shift(),y:o.y+u.shift()},M="undefined"==typeof i?e:{x:2*e.x-i.x,y:2*e.y-i.y};s.call(this,e.x,e.y,M.x,M.y,m.x,m.y,b.x,b.y),e=b,i=m,d()}break;case"A":case"a":for(i=void 0,c=void 0;u.length>6;){var w=Math.abs(u.shift()),k=Math.abs(u.shift()),P=u.shift()%360,I=!!u.shift(),T=!!u.shift(),M={x:o.x+u.shift(),y:o.y+u.shift()};if(!(M.x==e.x&&M.y==e.y||0==w&&0==k))if(0!=w&&0!=k){var C=S(e,M,w,k,P,I,T),V=C[0],N=C[1].x,O=C[1].y;h.call(this,V.x,V.y,w,k,P,N,O),e=M,d()}else M=0==k?{x:M.x,y:e.y}:{x:e.x,y:M.y},p.call(this,e.x,e.y,M.x,M.y),e=M,d()}break;case"L":case"l":for(i=void 0,c=void 0;u.length>1;){var M={x:o.x+u.shift(),y:o.y+u.shift()};p.call(this,e.x,e.y,M.x,M.y),e=M,d()}break;case"H":case"h":for(i=void 0,c=void 0;u.length>0;){var M={x:o.x+u.shift(),y:e.y};p.call(this,e.x,e.y,M.x,M.y),e=M,d()}break;case"V":case"v":for(i=void 0,c=void 0;u.length>0;){var M={x:e.x,y:o.y+u.shift()};p.call(this,e.x,e.y,M.x,M.y),e=M,d()}break;case"Z":case"z":i=void 0,c=void 0,p.call(this,e.x,e.y,n.x,n.y),y+="z",e=n}}},S=function(t,a,e,n,i,s,r){var h=function(t,a){var e=t.x*a.y-t.y*a.x>=0?1:-1;return 0==t.x&&0==t.y?0:e*Math.acos((t.x*a.x+t.y*a.y)/(Math.sqrt(t.x*t.x+t.y*t.y)*Math.sqrt(a.x*a.x+a.y*a.y)))};i%=360,e=Math.abs(e),n=Math.abs(n);var c=2*Math.PI,o=Math.cos(i),l=Math.sin(i),f=o*(t.x-a.x)/2+l*(t.y-a.y)/2,u=-1*l*(t.x-a.x)/2+o*(t.y-a.y)/2,y=e*e,x=n*n,p=f*f,v=u*u,d=(s==r?-1:1)*Math.sqrt(Math.abs(y*(x-v)-x*p)/(y*v+x*p)),g=d*e*u/n,M=-1*d*n*f/e,m=o*g-l*M+(t.x+a.x)/2,b=l*g+o*M+(t.y+a.y)/2,w={x:(f-g)/e,y:(u-M)/n},k=h({x:1,y:0},w),P=h(w,{x:(-f-g)/e,y:(-u-M)/n})%360,S=k+P+(!r&&P>0?-c:0)+(r&&0>P?c:0);return[{x:m,y:b},{x:k,y:S}]},I=function(t,a){for(var e=t.length-1,n=[],i=[],s=[],r=1-a,h=function(t,a){for(var e=[],n=0;n<t.length;n++)e.push(a*t[n]);return e},c=function(t,a){for(var e=[],n=0;n<Math.min(t.length,a.length);n++)e.push(t[n]+a[n]);return e},o=0;e>=o;o++)t[o]="object"==typeof t[o]?t[o]:[t[o]],n.push([t[o]]);for(var l=1;e>=l;l++)for(var o=0;e-l>=o;o++)n[o].push(c(h(n[o][l-1],r),h(n[o+1][l-1],a)));for(var l=0;e>=l;l++)i.push(n[0][l]),s.push(n[l][e-l]);return[i,s]},T=function(t,a){return++T.count>2&&(T.count=0,T.sign*=-1),t+a*(Math.random()/2+.5*T.sign)};T.count=0,T.sign=+new Date%2?1:-1;var C=function(t,a){var e=C.count,n=Math.random()-.5;2==++C.count&&(C.count=0);var i=t+a*(n-C.rnds[e]);return C.rnds[e]=n,i};C.count=0,C.rnds=[0,0];var V=function(t,a){return e.drunk?T(t,a):C(t,a)},N=function(t,a,e,n){var i=e-t,s=n-a;return Math.sqrt(i*i+s*s)};"canvas"==n?(u=function(t,a,n,i,s,r){this.moveTo(t,a),this.quadraticCurveTo(n,i,s,r),e.pathPos={x:s,y:r}},l=function(){return this.stroke(),this},o=function(){return this.beginPath(),this}):(u=function(a,n,i,s,r,h){return a=t(a),n=t(n),i=t(i),s=t(s),r=t(r),h=t(h),y+=e.pathPos.x!=a||e.pathPos.y!=n||0==y.length?["M",a,n,"Q",i,s,r,h].join(" "):["Q",i,s,r,h].join(" "),e.pathPos={x:r,y:h},this},o=function(){return y="",e.pathPos={x:0,y:0},this}),"raphael"==n&&(l=function(){return this.path(y)}),"d3"==n&&(l=function(){return this.append("svg:path").attr("d",y)}),"svg"==n&&(l=function(){return this.path(y)})};if(e.bindTo=v,e.init({fsteps:n,msteps:i,ff:s,ffc:r,drunk:h,context:c}),"undefined"!=typeof Raphael&&v("raphael",Raphael.fn),"undefined"!=typeof SVG){var d={};v("svg",d),SVG.extend(SVG.Set,d),SVG.extend(SVG.Group,d),SVG.extend(SVG.Element,d)}"undefined"!=typeof d3&&(v("d3",d3.selection.prototype),v("d3",d3.selection.enter.prototype)),v("self",COMIC)}();
+/*! comic.js | Balint Morvai | MIT License */
+!function(t,e){"object"==typeof module&&module.exports?module.exports=e():"function"==typeof define&&define.amd?define([],e):t.COMIC=e()}(this,function(){var t={version:.96},e=Math.pow(10,10),r=function(e){var r=n({version:t.version});return"object"==typeof e&&null!==e&&r.init(e),r},n=function(t){return t.pathPos={x:0,y:0},t.revealAt=0,t.init=function(e){for(var r in e)e.hasOwnProperty(r)&&a(t,r,e[r]);return(e.hasOwnProperty("seed")||e.hasOwnProperty("prng"))&&(t.random=i(t)),"object"==typeof e.context&&x("canvas",t.context,t),t},t.ctx=function(e){return t.init({context:e}),t},t.bindTo=function(e,r){x(e,r,t)},t.create=r,t.panels=Z,t.scene=g,t.init($),x("self",t,t),t.path={},x("string",t.path,t),t},a=function(t,e,r){t[e]=r},i=function(t){return void 0===t.seed||null===t.seed?Math.random:t.prng(t.seed)},o=function(t,e,r){if("object"!=typeof e||null===e)return r.call(this);var n={},o=t.random;for(var s in e)e.hasOwnProperty(s)&&(n[s]=t[s],a(t,s,e[s]));(e.hasOwnProperty("seed")||e.hasOwnProperty("prng"))&&(t.random=i(t));try{return r.call(this)}finally{for(var s in n)t[s]=n[s];t.random=o}},s=function(t){var e={};for(var r in $)"context"!=r&&(e[r]=t[r]);return e},l=function(t,e){var r={ff:t.ff*e,ffc:t.ffc*e,seed:void 0,reveal:!1};for(var n in t)r.hasOwnProperty(n)||(r[n]=t[n]);return r},h={linear:function(t){return t},"ease-in":function(t){return t*t},"ease-out":function(t){return t*(2-t)},"ease-in-out":function(t){return t<.5?2*t*t:1-2*(1-t)*(1-t)}},c=function(t){var e=Date.now(),r=Math.max(e,t.revealAt);t.revealAt=r+t.revealStagger;var n="function"==typeof t.revealEasing?t.revealEasing:h[t.revealEasing]||h.linear;return{delay:r-e,duration:t.revealDuration,easing:n}},u=function(t,e,r){if("function"==typeof t.animate){for(var n=r||"function"!=typeof t.getTotalLength?0:t.getTotalLength(),a=[],i=0;i<=20;i++){var o=i<20?e.easing(i/20):1;a.push(n>0?{offset:i/20,strokeDasharray:n+" "+n,strokeDashoffset:n*(1-o)}:{offset:i/20,opacity:o})}t.animate(a,{duration:e.duration,delay:e.delay,fill:"backwards"})}},f=function(t){t.save(),t.setTransform(1,0,0,1,0,0),t.clearRect(0,0,t.canvas.width,t.canvas.height),t.restore()},v=function(t,e){t.beginPath();for(var r=void 0,n=0;n<e.length;n++){var a=e[n];null!==a?((!r||Math.abs(r.x-a[0])>1e-6||Math.abs(r.y-a[1])>1e-6)&&t.moveTo(a[0],a[1]),t.quadraticCurveTo(a[2],a[3],a[4],a[5]),r={x:a[4],y:a[5]}):(r&&t.closePath(),r=void 0)}},d=function(t,e,r,n){var a=e.segs,i="number"==typeof e.hatchAt,o=i?e.hatchAt:a.length;r=r||0,n="number"==typeof n?n:a.length;var s=t.strokeStyle,l=function(r){e.fill?(t.fillStyle=r,t.fill()):(t.strokeStyle=r,t.stroke())};if(t.save(),r<o){var h=e.fillStyle&&!e.fill&&!i&&n>=o;v(t,a.slice(h?0:r,Math.min(n,o))),h&&(t.fillStyle=e.fillStyle,t.fill()),l(s)}n>o&&(v(t,a.slice(Math.max(r,o),n)),l(e.fillStyle||s)),t.restore()},p=function(t,e,r){var n=e.style.transform||[1,0,0,1,0,0];for(var a in t.save(),e.style)"transform"!=a&&(t[a]=e.style[a]);t.setTransform(n[0]*r,n[1]*r,n[2]*r,n[3]*r,n[4]*r,n[5]*r),d(t,e),t.restore()},y=function(t){var e=function(t){return String(t).replace(/&/g,"&amp;").replace(/"/g,"&quot;").replace(/</g,"&lt;")},r=function(t){return"string"==typeof t?t:"black"},n=function(r,n,a){for(var i=[],o=void 0,s=0;s<r.length;s++){var l=r[s];null!==l?((!o||Math.abs(o.x-l[0])>1e-6||Math.abs(o.y-l[1])>1e-6)&&i.push("M",m(l[0]),m(l[1])),i.push("Q",m(l[2]),m(l[3]),m(l[4]),m(l[5])),o={x:l[4],y:l[5]}):(i.push("Z"),o=void 0)}var h={d:i.join(" ")};t.style.transform&&(h.transform="matrix("+t.style.transform.join(" ")+")"),t.fill?(h.fill=n,h.stroke="none"):(h.fill=a||"none",h.stroke=n,h["stroke-width"]=t.style.lineWidth,h["stroke-linecap"]=t.style.lineCap,h["stroke-linejoin"]=t.style.lineJoin),h.opacity=t.style.globalAlpha;var c="<path";for(var u in h)void 0!==h[u]&&(c+=" "+u+'="'+e(h[u])+'"');return c+"/>"},a=r(t.style.strokeStyle);return"number"!=typeof t.hatchAt?n(t.segs,a,t.fillStyle&&r(t.fillStyle)):n(t.segs.slice(0,t.hatchAt),a)+n(t.segs.slice(t.hatchAt),t.fillStyle?r(t.fillStyle):a)},g=function(t,e){var r={shapes:(e="string"==typeof e?JSON.parse(e):e)&&e.shapes?e.shapes.slice():[],ratio:1,redraw:function(e){"number"==typeof e&&(r.ratio=e),f(t);for(var n=0;n<r.shapes.length;n++)p(t,r.shapes[n],r.ratio);return"number"==typeof e&&t.setTransform(e,0,0,e,0,0),r},clear:function(){return r.shapes=[],f(t),r},resize:function(e,n,a){a=a||("number"==typeof devicePixelRatio?devicePixelRatio:1);var i=t.canvas;return i.style&&(i.style.width=e+"px",i.style.height=n+"px"),i.width=Math.round(e*a),i.height=Math.round(n*a),r.redraw(a)},toSVG:function(){for(var e=t.canvas.width/r.ratio,n=t.canvas.height/r.ratio,a='<svg xmlns="http://www.w3.org/2000/svg" width="'+e+'" height="'+n+'" viewBox="0 0 '+e+" "+n+'">\n',i=0;i<r.shapes.length;i++)a+="  "+y(r.shapes[i])+"\n";return a+"</svg>\n"},toJSON:function(){return{shapes:r.shapes}}};return t.__comic__=t.__comic__||{},t.__comic__.scene=r,r.shapes.length>0&&r.redraw(),r},x=function(t,e,r){var n=function(){},a=function(){},i=function(){},h=function(){},v=void 0,p=function(t){return it.call(this,t),a.call(this)},y="",g=[],x=void 0,w=void 0,_={},A=function(t,e){var i=(e=Array.prototype.slice.call(e))[e.length-1],s="object"!=typeof i||null===i||ve(i)||"length"in i||"numberOfItems"in i||"getItem"in i?void 0:e.pop();return o.call(this,r,s,function(){this.__comic__&&this.__comic__.shapes&&this.__comic__.shapes.push(S.call(this,t,e));var i=this.__comic__?this.__comic__.scene:void 0;n.call(this);var o=r.reveal||i?nt():void 0;try{k.call(this,t,e)}finally{var s=o?at(o):void 0}if(i){var l=de(this);r.strokeStyle&&(l.strokeStyle=r.strokeStyle),l.transform&&(l.transform=l.transform.map(function(t){return t/i.ratio})),i.shapes.push({style:l,fill:r.brush,fillStyle:r.fillStyle,hatchAt:x,segs:s})}return r.reveal?p.call(this,s):(o&&it.call(this,s),a.call(this))})},k=function(t,e){return x=void 0,ot.call(this,function(){t.apply(this,e)}),t.outline&&r.fill&&(x=(w?w.segs:g).length,ot.call(this,function(){rt.call(this,t.outline.apply(this,e))})),this},S=function(t,e){var i=s(r),h=de(this);return function(s){return this.save(),pe(this,h),o.call(this,r,l(i,s),function(){n.call(this),k.call(this,t,e),a.call(this)}),this.restore(),this}};e.cBezier3=function(t,e,r,n,a,i,o,s,l){return A.call(this,P,arguments)};var P=function(t,e,n,a,o,s,l,h){for(var c=.8*r.ff,u=[t,e],f=[n,a],v=[o,s],d=[l,h],p=le(M=[u,f,v,d],10*r.fsteps),y=0;y<p.length;y++){var g=0==y?p[0]:(p[y]-p[y-1])/(1-p[y-1]),x=se(M,g),m=x[0],M=x[1];u=m[0],f=m[1],v=m[2],d=m[3],i.call(this,u[0],u[1],ue((f[0]+v[0])/2,c),ue((f[1]+v[1])/2,c),d[0],d[1])}return this};e.cBezier2=function(t,e,r,n,a,i,o){return A.call(this,I,arguments)};var I=function(t,e,n,a,o,s){for(var l=.8*r.ff,h=[t,e],c=[n,a],u=[o,s],f=le(g=[h,c,u],10*r.fsteps),v=0;v<f.length;v++){var d=0==v?f[0]:(f[v]-f[v-1])/(1-f[v-1]),p=se(g,d),y=p[0],g=p[1];h=y[0],c=y[1],u=y[2],i.call(this,h[0],h[1],ue(c[0],l),ue(c[1],l),u[0],u[1])}return this};e.cEllipse=function(t,e,r,n,a,i,o,s){return A.call(this,z,arguments)};var z=function(t,e,n,a,o,s,l){var h=2*Math.PI;s=void 0===s?0:s,l=void 0===l?h:l,o=void 0===o?0:o;var c=Math.cos(o),u=Math.sin(o),f=r.msteps+(n+a)/2*r.fsteps*10/200,v=r.ffc*Math.pow(n,.5)*.3/Math.pow(f,.25),d=r.ffc*Math.pow(a,.5)*.3/Math.pow(f,.25),p=n*(.95+.1*r.random()),y=a*(.95+.1*r.random()),g=(l-s)/f,x=s,m=t+(w=p*Math.cos(x))*c-(N=y*Math.sin(x))*u,M=e+w*u+N*c;B.call(this,t+n*Math.cos(x)*c-a*Math.sin(x)*u,e+n*Math.cos(x)*u+a*Math.sin(x)*c,m,M);for(var b=1;b<=f;b++){x+=g;var w,N,L=m,_=M;m=t+(w=p*Math.cos(x))*c-(N=y*Math.sin(x))*u,M=e+w*u+N*c;i.call(this,L,_,ue((L+m)/2,v),ue((_+M)/2,d),m,M)}return B.call(this,m,M,t+n*Math.cos(l)*c-a*Math.sin(l)*u,e+n*Math.cos(l)*u+a*Math.sin(l)*c),l-s>=h&&q.call(this),this};e.cCircle=function(t,e,r,n,a,i){return A.call(this,E,arguments)};var E=function(t,e,n,a,o){var s=2*Math.PI;a=void 0===a?0:a,o=void 0===o?s:o;var l,h,c=r.msteps+n*r.fsteps*10/200,u=r.ffc*Math.pow(n,.5)*.3/Math.pow(c,.25),f=.975+.05*r.random(),v=n*f,d=n*(2-f),p=(o-a)/c,y=a,g=t+Math.cos(y)*v,x=e+Math.sin(y)*d;B.call(this,t+Math.cos(y)*n,e+Math.sin(y)*n,g,x);for(var m=1;m<=c;m++)y+=p,l=g,h=x,g=t+Math.cos(y)*v,x=e+Math.sin(y)*d,i.call(this,l,h,ue((l+g)/2,u),ue((h+x)/2,u),g,x);return B.call(this,g,x,t+Math.cos(o)*n,e+Math.sin(o)*n),o-a>=s&&q.call(this),this};e.cTrian=function(t,e,r,n,a,i,o){return A.call(this,D,arguments)};var D=function(t,e,r,n,a,i){return B.call(this,t,e,r,n),B.call(this,r,n,a,i),B.call(this,a,i,t,e),q.call(this),this};e.cRect=function(t,e,r,n,a,i,o){return A.call(this,V,arguments)};var V=function(t,e,r,n,a,i){var o;a=void 0===a?0:Math.min(a,r/2),i=void 0===i?a:Math.min(i,n/2);var s=t+r,l=e+n;return B.call(this,t+a,e,s-a,e),a>0&&(o=Math.PI/2,z.call(this,s-a,e+i,a,i,0,3*o,2*Math.PI)),B.call(this,s,e+i,s,l-i),a>0&&z.call(this,s-a,l-i,a,i,0,0,o),B.call(this,s-a,l,t+a,l),a>0&&z.call(this,t+a,l-i,a,i,0,o,Math.PI),B.call(this,t,l-i,t,e+i),a>0&&z.call(this,t+a,e+i,a,i,0,Math.PI,3*o),q.call(this),this};e.cLine=function(t,e,r,n,a){return A.call(this,B,arguments)};var B=function(t,e,n,a){var o,s=function(t,e,r){if(void 0!==r){var n=Math.pow(r,3),a=n*r;o=15*a-6*(a*r)-10*n}return t+(t-e)*o},l=fe(t,e,n,a),h=Math.ceil(l/(10*r.fsteps));h<r.msteps&&(h=r.msteps);for(var c=r.ff/(h==r.msteps?1.4:1),u=s(t,n,0),f=s(e,a),v=1;v<=h;v++){var d=u,p=f;u=s(t,n,v/h),f=s(e,a);i.call(this,d,p,ue((d+u)/2,c),ue((p+f)/2,c),u,f)}return this},q=function(){return r.passes<=1&&!r.overshoot&&h.call(this),this},U=function(t,e){return function(){if(r.passes<=1&&!r.overshoot||U.active)return t.apply(this,arguments);U.active=!0;try{for(var n=0;n<Math.max(1,r.passes);n++)t.apply(this,e(Array.prototype.slice.call(arguments)))}finally{U.active=!1}return this}};U.active=!1;var J=function(t){return r.passes>1?t+r.passDeviation*(2*r.random()-1):t},Y=function(t){for(var e=0;e<t.length;e++)t[e]=J(t[e]);return t},X=function(t){var e=void 0===t[5]?0:t[5],n=void 0===t[6]?2*Math.PI:t[6],a=Math.max(t[2],t[3],1),i=r.overshoot*r.random()/a*(n<e?-1:1);return[J(t[0]),J(t[1]),Math.abs(J(t[2])),Math.abs(J(t[3])),t[4],e,n+i]};B=U(B,function(t){var e=fe(t[0],t[1],t[2],t[3])||1,n=(t[2]-t[0])/e,a=(t[3]-t[1])/e,i=r.overshoot*r.random(),o=r.overshoot*r.random();return[J(t[0]-n*i),J(t[1]-a*i),J(t[2]+n*o),J(t[3]+a*o)]}),I=U(I,Y),P=U(P,Y),z=U(z,X),E=U(E,function(t){var e=X([t[0],t[1],t[2],t[2],0,t[3],t[4]]);return[e[0],e[1],e[2],e[5],e[6]]}),z.outline=function(t,e,r,n,a,i,o){return[tt(t,e,r,n,a,i,o)]},E.outline=function(t,e,r,n,a){return[tt(t,e,r,r,0,n,a)]},D.outline=function(t,e,r,n,a,i){return[[{x:t,y:e},{x:r,y:n},{x:a,y:i}]]},V.outline=function(t,e,r,n,a,i){var o=Math.PI/2;a=void 0===a?0:Math.min(a,r/2),i=void 0===i?a:Math.min(i,n/2);var s=t+r,l=e+n;return a>0?[[].concat(tt(s-a,e+i,a,i,0,3*o,2*Math.PI),tt(s-a,l-i,a,i,0,0,o),tt(t+a,l-i,a,i,0,o,Math.PI),tt(t+a,e+i,a,i,0,Math.PI,3*o))]:[[{x:t,y:e},{x:s,y:e},{x:s,y:l},{x:t,y:l}]]};var K=function(t){var e=[],r=[],n=function(t,n){var a=r[r.length-1];a&&a.x==t&&a.y==n||(r.length>2&&e.push(r),r=[{x:t,y:n}])},a=function(t){n(t[0][0],t[0][1]);for(var e=1;e<=16;e++){var a=se(t.slice(),e/16)[1][0];r.push({x:a[0],y:a[1]})}};return ie(t,{line:function(t,e,a,i){n(t,e),r.push({x:a,y:i})},bezier2:function(t,e,r,n,i,o){a([[t,e],[r,n],[i,o]])},bezier3:function(t,e,r,n,i,o,s,l){a([[t,e],[r,n],[i,o],[s,l]])},ellipse:function(t,e,a,i,o,s,l){var h=tt(t,e,a,i,o*Math.PI/180,s,l);n(h[0].x,h[0].y),r=r.concat(h.slice(1))},close:function(){}}),r.length>2&&e.push(r),e},tt=function(t,e,r,n,a,i,o){i=void 0===i?0:i,o=void 0===o?2*Math.PI:o,a=void 0===a?0:a;for(var s=Math.cos(a),l=Math.sin(a),h=Math.min(360,Math.max(8,Math.ceil(Math.abs(o-i)*Math.max(r,n)/4))),c=[],u=0;u<=h;u++){var f=i+(o-i)*u/h,v=r*Math.cos(f),d=n*Math.sin(f);c.push({x:t+v*s-d*l,y:e+v*l+d*s})}return c},et=function(t,e,r){for(var n=e*Math.PI/180,a=Math.cos(n),i=Math.sin(n),o=[],s=1/0,l=-1/0,h=0;h<t.length;h++)for(var c=t[h],u=0;u<c.length;u++){var f=c[u],v=c[(u+1)%c.length],d=[f.x*a+f.y*i,-f.x*i+f.y*a,v.x*a+v.y*i,-v.x*i+v.y*a];o.push(d),s=Math.min(s,d[1]),l=Math.max(l,d[1])}for(var p=[],y=s+r/2;y<l;y+=r){var g=[];for(h=0;h<o.length;h++){((d=o[h])[1]<=y&&y<d[3]||d[3]<=y&&y<d[1])&&g.push(d[0]+(y-d[1])*(d[2]-d[0])/(d[3]-d[1]))}g.sort(function(t,e){return t-e});var x=[];for(h=0;h+1<g.length;h+=2)x.push([g[h]*a-y*i,g[h]*i+y*a,g[h+1]*a-y*i,g[h+1]*i+y*a]);x.length>0&&p.push(x)}return p},rt=function(t){var e=Math.max(.5,r.fillGap),n=[],a=function(t){for(var e=[],r=0;r<t.length;r++)for(var n=0;n<t[r].length;n++){var a=t[r][n];e.push([[a[0],a[1]],[a[2],a[3]]])}return e},i=function(t,e,r){for(var n=[],i=[],o=0;o<t.length;o++)if(t[o].length>1)n.push(i),n=n.concat(a([t[o]])),i=[];else for(var s=t[o][0],l=o%2?r:e,h=0;h<l.length;h++)i.push([s[2*l[h]],s[2*l[h]+1]]);return n.push(i),n};switch(r.fill){case"hachure":n=a(et(t,r.fillAngle,e));break;case"cross-hatch":n=a(et(t,r.fillAngle,e)).concat(a(et(t,r.fillAngle+90,e)));break;case"zigzag":n=i(et(t,r.fillAngle,e),[0],[1]);break;case"solid-scribble":n=i(et(t,r.fillAngle,e/4),[0,1],[1,0])}for(var o=0;o<n.length;o++)for(var s=n[o],l=1;l<s.length;l++)B.call(this,s[l-1][0],s[l-1][1],s[l][0],s[l][1]);return this},nt=function(){var t={segs:[],path:i,close:h,outer:w};return w=t,i=function(e,r,n,a,i,o){return t.segs.push([e,r,n,a,i,o]),this},h=function(){return t.segs.push(null),this},t},at=function(t){return i=t.path,h=t.close,w=t.outer,t.segs},it=function(t){for(var e=0;e<t.length;e++)null===t[e]?h.call(this):i.apply(this,t[e]);return this},ot=function(t){if(!r.brush)return t.call(this),this;var e=nt();try{t.call(this)}finally{var n=at(e)}return st.call(this,n)},st=function(t){for(var e=[],r=[],n=0;n<t.length;n++){var a=t[n],i=r[r.length-1];(null===a||i&&(Math.abs(i[4]-a[0])>1e-6||Math.abs(i[5]-a[1])>1e-6))&&(e.push(r),r=[]),null!==a&&r.push(a)}e.push(r);for(n=0;n<e.length;n++)e[n].length>0&&lt.call(this,e[n]);return this},lt=function(t){for(var e=[],n=0,a=0;a<t.length;a++)for(var o=t[a][0],s=t[a][1],l=t[a][2],c=t[a][3],u=t[a][4],f=t[a][5],v=0==a?0:1;v<=6;v++){var d=v/6,p=1-d,y={x:p*p*o+2*p*d*l+d*d*u,y:p*p*s+2*p*d*c+d*d*f},g=2*p*(l-o)+2*d*(u-l),x=2*p*(c-s)+2*d*(f-c),m=Math.sqrt(g*g+x*x),M=e[e.length-1];M&&(n+=fe(M.x,M.y,y.x,y.y)),y.nx=m>0?-x/m:M?M.nx:0,y.ny=m>0?g/m:M?M.ny:1,y.s=n,e.push(y)}if(0==n)return this;var b=[];for(a=0;a<=Math.ceil(n/10)+1;a++)b.push(r.random());var w=function(t){var e=Math.floor(t/10),r=t/10-e;return b[e]*(1-r)+b[e+1]*r},N=function(t){if(!(r.brushTaper>0))return 1;var e=Math.min(1,t/r.brushTaper,(1-t)/r.brushTaper);return Math.sin(e*Math.PI/2)},L=[],_=[];for(a=0;a<e.length;a++){y=e[a];var A=r.brushWidth*N(y.s/n)*(1-r.brushNoise*w(y.s))/2;L.push({x:y.x+y.nx*A,y:y.y+y.ny*A}),_.unshift({x:y.x-y.nx*A,y:y.y-y.ny*A})}var k=L.concat(_),S=k.length,Q=function(t){var e=k[t%S],r=k[(t+1)%S];return{x:(e.x+r.x)/2,y:(e.y+r.y)/2}},P=Q(S-1);for(a=0;a<S;a++){var O=Q(a);i.call(this,P.x,P.y,k[a].x,k[a].y,O.x,O.y),P=O}return h.call(this),this};e.cText=function(t,e,n,a){return(a&&void 0!==a.lettering?a.lettering:r.lettering)||!v?A.call(this,ht,arguments):o.call(this,r,a,function(){return v.call(this,t,e,ct(String(n)))})};var ht=function(t,e,n){var a=ct(String(n)),i=r.fontSize*O,s=Math.min(1,r.fontSize/64),l={ff:r.ff*s,ffc:r.ffc*s,passDeviation:r.passDeviation*s,overshoot:r.overshoot*s};return o.call(this,r,l,function(){for(var r=t,n=0;n<a.length;n++){for(var o=a[n],s=T(o.ch),l=Math.cos(o.rot)*i*o.scale,h=Math.sin(o.rot)*i*o.scale,c=e+o.shift,u=M(s[1]),f=0;f<u.length;f++)for(var v=1;v+1<u[f].length;v+=2){var d=u[f][v],p=u[f][v+1]-C;u[f][v]=r+l*d-h*p,u[f][v+1]=c+h*d+l*p}ft.call(this,u),r+=j(s)*i*o.scale}}),this},ct=function(t){for(var e=[],n=0;n<t.length;n++)e.push({ch:t.charAt(n),rot:(2*r.random()-1)*r.textRotate*Math.PI/180,shift:(2*r.random()-1)*r.textShift*r.fontSize,scale:1+(2*r.random()-1)*r.textScale});return e},ut=function(t,e,r){for(var n=t.ownerDocument||document,a=function(t){return Math.round(100*t)/100},i=0,o=[],s=0;s<e.length;s++){var l=e[s],h=s==e.length-1?0:l.shift,c=n.createElementNS("http://www.w3.org/2000/svg","tspan");c.setAttribute("rotate",a(180*l.rot/Math.PI)),c.setAttribute("dy",a(h-i)),c.setAttribute("font-size",a(100*l.scale)+"%"),c.textContent=l.ch,t.insertBefore(c,r||null),o.push(c),i=h}return o},ft=function(t){return ie.call(this,t,{line:B,bezier2:I,bezier3:P,ellipse:function(t,e,r,n,a,i,o){z.call(this,t,e,r,n,a*Math.PI/180,i,o)},close:h}),this};e.cSpeechBubble=function(t,e,r,n,a,i,o){return A.call(this,vt,arguments)};var vt=function(t,e,n,a,i,o){return ft.call(this,F(t,e,n,a,i,o,r))};e.cThoughtBubble=function(t,e,r,n,a,i,o){return A.call(this,dt,arguments)};var dt=function(t,e,n,a,i,o){return ft.call(this,G(t,e,n,a,i,o,r))};e.cShout=function(t,e,r,n,a,i,o){return A.call(this,pt,arguments)};var pt=function(t,e,n,a,i,o){return ft.call(this,R(t,e,n,a,i,o,r))};e.cCaption=function(t,e,r,n,a,i,o){return A.call(this,yt,arguments)};var yt=function(t,e,n,a,i,o){return ft.call(this,W(t,e,n,a,i,o,r))};vt.outline=function(t,e,n,a,i,o){return K(F(t,e,n,a,i,o,r))},dt.outline=function(t,e,n,a,i,o){return K(G(t,e,n,a,i,o,r))},pt.outline=function(t,e,n,a,i,o){return K(R(t,e,n,a,i,o,r))},yt.outline=function(t,e,n,a,i,o){return K(W(t,e,n,a,i,o,r))},e.cPolyline=function(t,e){return A.call(this,gt,arguments)};var gt=function(t){t=b(t);for(var e=1;e<t.length;e++)B.call(this,t[e-1].x,t[e-1].y,t[e].x,t[e].y);return this};e.cPolygon=function(t,e){return A.call(this,xt,arguments)};var xt=function(t){t=b(t);for(var e=0;e<t.length;e++){var r=t[e],n=t[(e+1)%t.length];B.call(this,r.x,r.y,n.x,n.y)}return q.call(this),this};xt.outline=function(t){return[b(t)]},e.cPath=function(t,e){return A.call(this,mt,arguments)};var mt=function(t){return ft.call(this,M(t))};mt.outline=function(t){return K(M(t))},e.cImage=function(t,e,r,n,a,i){return A.call(this,Mt,arguments.length>1?arguments:[t,0,0])};var Mt=function(t,e,n,a,i){e=e||0,n=n||0,a=a||t.width,i=i||t.height;for(var o=function(t,e){for(var r=Math.min(1,e.imageSize/Math.max(t.width,t.height)),n=Math.max(1,Math.round(t.width*r)),a=Math.max(1,Math.round(t.height*r)),i=function(t,e,r){for(var n=[[1,0],[0,1],[-1,0],[0,-1],[1,1],[-1,1],[-1,-1],[1,-1]],a=t.map(function(){return!1}),i=function(i){for(var o=0;o<n.length;o++){var s=i.x+n[o][0],l=i.y+n[o][1],h=l*e+s;if(s>=0&&l>=0&&s<e&&l<r&&t[h]&&!a[h])return a[h]=!0,{x:s,y:l}}},o=[],s=0;s<t.length;s++)if(t[s]&&!a[s]){a[s]=!0;for(var l=[{x:s%e,y:Math.floor(s/e)}],h=i(l[0]);h;h=i(h))l.push(h);for(h=i(l[0]);h;h=i(h))l.unshift(h);o.push(l)}return o}(function(t,e,r){for(var n=function(n,a){return t[Math.min(r-1,Math.max(0,a))*e+Math.min(e-1,Math.max(0,n))]},a=[],i=0;i<r;i++)for(var o=0;o<e;o++){var s=n(o+1,i-1)+2*n(o+1,i)+n(o+1,i+1)-n(o-1,i-1)-2*n(o-1,i)-n(o-1,i+1),l=n(o-1,i+1)+2*n(o,i+1)+n(o+1,i+1)-n(o-1,i-1)-2*n(o,i-1)-n(o+1,i-1),h=Math.sqrt(s*s+l*l);a.push(h>0&&n(o,i)<n(o+Math.round(s/h),i+Math.round(l/h)))}return a}(function(t,e,r,n){for(var a=[],i=[],o=0;o<e*r;o++)a.push(0),i.push(0);for(var s=0;s<t.height;s++)for(var l=Math.min(r-1,Math.floor(s*r/t.height))*e,h=0;h<t.width;h++){var c=4*(s*t.width+h),u=t.data[c+3]/255,f=.299*t.data[c]+.587*t.data[c+1]+.114*t.data[c+2],v=l+Math.min(e-1,Math.floor(h*e/t.width));a[v]+=u*f+255*(1-u),i[v]++}f=a.map(function(t,e){return t/(i[e]||1)});var d=[];for(s=0;s<r;s++)for(h=0;h<e;h++){for(var p=0,y=0,g=Math.max(0,s-1);g<=Math.min(r-1,s+1);g++)for(var x=Math.max(0,h-1);x<=Math.min(e-1,h+1);x++)p+=f[g*e+x],y++;d.push(Math.min(n-1,Math.floor(p/y/256*n)))}return d}(t,n,a,Math.max(2,e.imageLevels)),n,a),n,a),o=[],s=0;s<i.length;s++)i[s].length<5||o.push(H(i[s],.8).map(function(t){return{x:(t.x+.5)/n,y:(t.y+.5)/a}}));return o}(t,r),s=0;s<o.length;s++)for(var l=o[s].map(function(t){return{x:e+t.x*a,y:n+t.y*i}}),h=0;h+1<l.length;h++){var c=l[h-1]||l[h],u=l[h],f=l[h+1],v=l[h+2]||f;P.call(this,u.x,u.y,u.x+(f.x-c.x)/6,u.y+(f.y-c.y)/6,f.x-(v.x-u.x)/6,f.y-(v.y-u.y)/6,f.x,f.y)}return this};e.cPanels=function(t,e){return o.call(this,r,e,function(){for(var e=Z(t),r=0;r<e.length;r++)e[r].border=A.call(this,xt,[e[r].points]);return e})};var bt=["rect","circle","ellipse","line","polyline","polygon","path","image"],wt=["svg","g","a","switch","defs","symbol"],Nt=function(t){var e=t.getAttribute("href")||t.getAttribute("xlink:href")||"",r=t.ownerDocument||document;return"#"==e.charAt(0)?r.getElementById(e.substr(1)):null},Lt={},_t=function(t,e,n){if("undefined"!=typeof document&&e>0&&n>0){var a=Math.min(1,r.imageSize/Math.max(e,n)),i=document.createElement("canvas");i.width=Math.max(1,Math.round(e*a)),i.height=Math.max(1,Math.round(n*a));try{var o=i.getContext("2d");return o.drawImage(t,0,0,i.width,i.height),o.getImageData(0,0,i.width,i.height)}catch(t){return}}},At=function(t,e){var r=t.getAttribute("href")||t.getAttribute("xlink:href")||"",n=Lt[r];if(!n&&r&&"function"==typeof Image){n=Lt[r]={waiting:[]};var a=new Image;a.crossOrigin="anonymous",a.onload=function(){n.width=a.naturalWidth,n.height=a.naturalHeight,n.pixels=_t(a,n.width,n.height);var t=n.waiting;n.waiting=[];for(var e=0;e<t.length;e++)t[e]()},a.onerror=function(){n.waiting=[]},a.src=r}if(n)return!n.pixels&&e&&n.waiting.push(e),n.pixels?n:void 0},kt=function(t){return!!t&&"string"==typeof t.tagName&&!t.ownerSVGElement&&["img","canvas"].indexOf(t.tagName.toLowerCase())>=0},St=function(t,e){for(var r={},n=[],a=t;a&&1==a.nodeType;a=a.parentNode)n.push({e:a,style:qt(a)});for(var i=function(t,e){var r=n[t].style;if(r&&r.getPropertyValue){var a=r.getPropertyValue(e).trim(),i=n[t+1]?n[t+1].style:void 0,o=i&&i.getPropertyValue?i.getPropertyValue(e).trim():"";return""!=a&&a!=o?a:void 0}},o=Object.keys($).concat(["roughness","skip"]),s=0;s<o.length;s++)if("context"!=o[s]&&"prng"!=o[s]){for(var l=o[s].replace(/[A-Z]/g,function(t){return"-"+t.toLowerCase()}),h=void 0,c=0;c<n.length&&void 0===h;c++){var u=n[c].e;h=u.hasAttribute&&u.hasAttribute("data-comic-"+l)?u.getAttribute("data-comic-"+l):i(c,"--comic-"+l)}void 0!==h&&(h=h.trim(),r[o[s]]=""==h||"true"==h||"false"!=h&&(isNaN(h)?h:parseFloat(h)))}return"number"==typeof r.roughness&&(void 0===r.ff&&(r.ff=e.ff*r.roughness),void 0===r.ffc&&(r.ffc=e.ffc*r.roughness)),delete r.roughness,r},Qt=function(t){for(var e={},r=0;r<t.attributes.length;r++)e[t.attributes[r].name]=t.attributes[r].value;return e},Pt=function(t,e){var r=Object.keys(t);if(r.length!=Object.keys(e).length)return!1;for(var n=0;n<r.length;n++)if(t[r[n]]!==e[r[n]])return!1;return!0},Ot=function(t){var e=t.__comic__;return!Pt(e.sig,Qt(t))||t.textContent!==e.sigText||e.node!==t&&(!Pt(e.atts,Qt(e.node))||e.node.textContent!==e.text)},Ct=function(t,e){for(var r=function(t,r){for(var n=r?e.addEventListener:e.removeEventListener,a=0;a<t.length;a++)n.call(e,t[a].type,t[a].listener,void 0!==t[a].options?t[a].options:t[a].capture)},n=function(t,e){return t.filter(function(t){return e.indexOf(t)<0})},a=Object.keys(t),i=Object.getPrototypeOf(t);i;i=Object.getPrototypeOf(i))a=a.concat(Object.getOwnPropertyNames(i).filter(function(t){return/^on/.test(t)}));for(var o=0;o<a.length;o++){var s=a[o],l=t[s];if(l&&"object"==typeof l&&l.node===t&&(l.node=e),"__comic__"!=s&&e[s]!==l)if(t.hasOwnProperty(s)){if(!/^__transition/.test(s)){if("__on"==s&&ve(l)){var h=ve(e.__on)?e.__on:[];r(n(h,l),!1),r(n(l,h),!0),l=l.slice()}else if(/^__on./.test(s)&&"function"==typeof l){var c=s.slice(4).split(".")[0];"function"==typeof e[s]&&e.removeEventListener(c,e[s],e[s]._),e.addEventListener(c,l,l._)}e[s]=l}}else"function"==typeof l&&(e[s]=l)}},Tt=function(t,e){var r=t.__comic__,n=Qt(t);delete t.__comic__;for(var a=0;a<r.extra.length;a++){var i=r.extra[a];i.parentNode&&i.parentNode.removeChild(i)}for(a=0;a<r.texts.length;a++){var o=r.texts[a].glyphs;o[0].parentNode&&o[0].parentNode.insertBefore(r.texts[a].node,o[0]);for(var s=0;s<o.length;s++)o[s].parentNode&&o[s].parentNode.removeChild(o[s])}var l=r.node;if(l!==t&&(Ct(t,l),t.parentNode&&t.parentNode.replaceChild(l,t)),l===t){var h=Object.keys(n);for(a=0;a<h.length;a++)r.atts.hasOwnProperty(h[a])||l.removeAttribute(h[a]);for(var c in r.atts)l.setAttribute(c,r.atts[c])}if(e)for(h=Object.keys(r.sig).concat(Object.keys(n)),a=0;a<h.length;a++){c=h[a];r.sig[c]!==n[c]&&("d"==c&&"path"!=l.tagName||(n.hasOwnProperty(c)?l.setAttribute(c,n[c]):l.removeAttribute(c)))}return l},jt=function(t){var e,r=!1,n=wt,a=function(t){return t.contentDocument&&(t=t.contentDocument),t},i=function(t){return"object"==typeof t.node&&"string"==typeof t.node.tagName&&(t=t.node),t},o=function(t){return"string"==typeof t.tagName&&n.indexOf(t.tagName)>=0};if(!(r=o(t=i(t=a(t=function(t){for(;t[0]&&"string"!=typeof t[0];)t=t[0];return t}(t)))))){if("object"==typeof t.children)for(var s=0;!r&&s<t.children.length;)e=a(t.children[s]),(r=o(e=i(t.children[s])))&&(t=e),s++;"object"!=typeof t.parent||r||(e=a(t.children[s]),(r=o(e=i(t.children[s])))&&(t=e))}if(!r)throw"error: no drawing element given";return t};e.magic=function(t){return r.magic.call(this,this,t)},_.magic=function(t,e){if(t)return o.call(this,r,e,function(){return It.call(this,t)})};var It=function(t){t=t[0]?t:[t];for(var e=1;e<t.length;e++)It.call(this,kt(t[e])?t[e]:jt(t[e]));var n=t[0],a=this,i=s(r),l=function(){r.magic.call(a,n,i)};if(kt(n)){var h=function(t,e){var n="canvas"==t.tagName.toLowerCase();if(n||t.complete&&t.naturalWidth>0){var a=n?t.width:t.naturalWidth,i=n?t.height:t.naturalHeight,o=_t(t,a,i);if(o){var l=n?t.toDataURL():t.currentSrc||t.src;Lt[l]={pixels:o,width:a,height:i,waiting:[]};for(var h=t.ownerDocument.createElementNS("http://www.w3.org/2000/svg","svg"),c=t.attributes,u=0;u<c.length;u++)["src","srcset","sizes","alt","width","height","crossorigin","loading","decoding","usemap","ismap","referrerpolicy"].indexOf(c[u].name)<0&&h.setAttribute(c[u].name,c[u].value);h.setAttribute("width",t.clientWidth||t.width),h.setAttribute("height",t.clientHeight||t.height),h.setAttribute("viewBox",[0,0,a,i].join(" ")),h.setAttribute("preserveAspectRatio","none");var f=t.ownerDocument.createElementNS("http://www.w3.org/2000/svg","image");return f.setAttribute("href",l),f.setAttribute("width",a),f.setAttribute("height",i),h.appendChild(f),Ct(t,h),t.parentNode&&t.parentNode.replaceChild(h,t),h.__comic__={node:t,atts:Qt(t),text:t.textContent,extra:[],texts:[],opts:s(r),sig:Qt(h),sigText:""},h}}else{var v=function(){t.removeEventListener("load",v),e()};t.addEventListener("load",v)}}(n,l);if(!h)return n;n=h}n=jt(n);var f={ff:r.ff,ffc:r.ffc},v=[],d=function(t){for(var e={},r=(t.ownerDocument||document).getElementsByTagName("use"),n=0;n<r.length;n++){var a=r[n].getAttribute("href")||r[n].getAttribute("xlink:href")||"";"#"==a.charAt(0)&&(e[a.substr(1)]=!0)}return e}(n);return function t(e){var n=St(e,f);n.skip||(delete n.skip,o.call(this,r,n,function(){if("use"!=e.tagName){for(var n=Array.prototype.slice.call(e.children),a=0;a<n.length;a++){(w=n[a].__comic__?n[a].__comic__.owner:void 0)?n[a].parentNode==e&&w.parentNode!=e&&e.removeChild(n[a]):bt.concat(wt,["use","text"]).indexOf(n[a].tagName)>=0&&t.call(this,n[a])}if(!(bt.indexOf(e.tagName)<0&&"text"!=e.tagName)){if(e.__comic__){if(!Ot(e))return;e=Tt(e,!0)}if("image"!=e.tagName||At(e,l)){var i={node:e,atts:Qt(e),text:e.textContent,extra:[],texts:[]},o="text"==e.tagName?Ft(e):void 0,h="text"==e.tagName?o:"image"==e.tagName?Gt(e)||"black":Gt(e),f=d.hasOwnProperty(e.getAttribute("id")),p=r.brush&&!f?h:void 0,y=r.fill&&!f?Ft(e):void 0;"text"!=e.tagName||r.lettering||ee.call(this,e,i.texts);var g=Zt.call(this,e,p,y),x=g.shape,m=g.ink,M=g.hatch,b=e,w=e,N=["x","y","rx","ry","width","height","cx","cy","r","x1","y1","x2","y2","points","dx","dy","rotate","textLength","lengthAdjust","href","xlink:href","preserveAspectRatio","crossorigin"];if(r.overlay&&x.length>0&&!f){b=e.ownerDocument.createElementNS("http://www.w3.org/2000/svg","path");var L=e.attributes;for(a=0;a<L.length;a++)N.concat(["d","id","class"]).indexOf(L[a].name)<0&&!/^on/.test(L[a].name)&&b.setAttribute(L[a].name,L[a].value);var _=qt(e);if(_){var A=Object.keys(zt).concat(["opacity"]);for(a=0;a<A.length;a++){var k=_.getPropertyValue(A[a]);k&&Wt(b,A[a],k)}}"text"!=e.tagName&&"image"!=e.tagName||(Wt(b,"stroke",h||"none"),Wt(b,"fill","none")),Wt(b,"pointer-events","none"),"image"!=e.tagName&&Wt(e,"opacity","0"),b.__comic__={owner:e},i.extra.push(b),i.overlay=b,e.parentNode.insertBefore(b,e.nextSibling)}else if(bt.indexOf(e.tagName)>=0&&"path"!=e.tagName||"text"==e.tagName&&x.length>0){w=b=e.ownerDocument.createElementNS("http://www.w3.org/2000/svg","path");for(L=e.attributes,a=0;a<L.length;a++)N.indexOf(L[a].name)<0&&b.setAttribute(L[a].name,L[a].value);if(Ct(e,b),"text"!=e.tagName)for(a=0;a<e.children.length;a++)["title","desc"].indexOf(e.children[a].tagName)>=0&&b.appendChild(e.children[a].cloneNode(!0));e.parentNode.replaceChild(b,e),"text"!=e.tagName&&"image"!=e.tagName||(Wt(b,"stroke",h||"none"),Wt(b,"fill","none"))}if(x.length>0&&b.setAttribute("d",x),M.length>0){var S=b.cloneNode(!1);S.removeAttribute("id"),S.setAttribute("d",M),Rt(S,y),Wt(b,"fill","none"),S.__comic__={owner:w},i.extra.push(S),i.hatch=S,b.parentNode.insertBefore(S,b)}if(m.length>0){var Q=b.cloneNode(!1);Q.removeAttribute("id"),Q.setAttribute("d",m),Rt(Q,p),Wt(b,"stroke","none"),Q.__comic__={owner:w},i.extra.push(Q),i.ink=Q,b.parentNode.insertBefore(Q,b.nextSibling)}r.reveal&&(x.length>0&&0==m.length&&u(b,c(r),!1),M.length>0&&u(S,c(r),r.brush),m.length>0&&u(Q,c(r),!0)),i.opts=s(r),i.sig=Qt(w),i.sigText=w.textContent,w.__comic__=i}}}else{var P=Nt(e);P&&v.indexOf(P)<0&&bt.concat(wt,["text"]).indexOf(P.tagName)>=0&&(v.push(P),t.call(this,P))}}))}.call(this,n),n};e.unmagic=function(){return r.unmagic.call(this,this)},_.unmagic=function(t){if(t){t=t[0]?t:[t];for(var e=1;e<t.length;e++)r.unmagic.call(this,jt(t[e]));var n=jt(t[0]),a=[];return function t(e){if("use"!=e.tagName){for(var r=Array.prototype.slice.call(e.children),n=0;n<r.length;n++)r[n].parentNode==e&&t(r[n]);var i=e.__comic__;i&&(i.owner?e.parentNode.removeChild(e):Tt(e,!1))}else{var o=Nt(e);o&&a.indexOf(o)<0&&(a.push(o),t(o))}}(n),n}},e.observe=function(t){return r.observe.call(this,this,t)},_.observe=function(t,e){if(t){var n=this,a=e&&"number"==typeof e.delay?e.delay:50,i={};for(var o in e)e.hasOwnProperty(o)&&"delay"!=o&&(i[o]=e[o]);t=t[0]?t:[t];for(var s=[],l=0;l<t.length;l++)s.push(jt(t[l]));var h,c={attributes:!0,characterData:!0,childList:!0,subtree:!0},u=function(){h=void 0,r.magic.call(n,s,i);for(var t=function(e){var r=e.__comic__;r&&r.node&&r.node!==e&&f.observe(r.node,c);for(var n=0;n<e.children.length;n++)t(e.children[n])},e=0;e<s.length;e++)t(s[e]);f.takeRecords()},f=new MutationObserver(function(t){for(var e=0;e<t.length;e++){var r=t[e].target.__comic__;if("attributes"!=t[e].type||!r||!r.owner&&Ot(t[e].target))return clearTimeout(h),void(h=setTimeout(u,a))}});for(l=0;l<s.length;l++)f.observe(s[l],c);return u(),{disconnect:function(){clearTimeout(h),f.disconnect()}}}},e.boil=function(t){return r.boil.call(this,this,t)},_.boil=function(t,e){if(t){var r,n=e&&e.fps>0?e.fps:8,a=e&&"number"==typeof e.amplitude?e.amplitude:1;if("function"==typeof t.quadraticCurveTo){var i=t.__comic__=t.__comic__||{};i.shapes=i.shapes||[],r=function(){f(t);for(var e=0;e<i.shapes.length;e++)i.shapes[e].call(t,a)}}else{for(var o=t[0]?t:[t],s=[],l=0;l<o.length;l++)s.push(jt(o[l]));var h=function(t){var e=t.__comic__;e&&!e.owner&&Vt.call(this,t,a);for(var r=0;r<t.children.length;r++)h.call(this,t.children[r])};r=function(){for(var t=0;t<s.length;t++)h.call(this,s[t])}}var c,u=this,v={start:function(){return c||(c=setInterval(function(){r.call(u)},1e3/n)),v},stop:function(){return clearInterval(c),c=void 0,v}};return v.start()}},e.paint=function(t){return r.paint.call(this,t,this),this},_.paint=function(t,e){if(!e)return t;e=e[0]?e:[e];for(var r=0;r<e.length;r++)Et.call(this,t,jt(e[r]),zt);return t};var zt={fill:"black","fill-opacity":"1","fill-rule":"nonzero",stroke:"none","stroke-opacity":"1","stroke-width":"1","stroke-linecap":"butt","stroke-linejoin":"miter"},Et=function(t,e,r){var n=qt(e),a=function(t){return n?n.getPropertyValue(t):e.style&&e.style[t]||e.getAttribute(t)};if("none"!=a("display")){var i={};for(var o in zt)i[o]=a(o)||r[o];var s=function(t){for(var e,r=[1,0,0,1,0,0],n=/(\w+)\s*\(([^)]*)\)/g;null!==(e=n.exec(t||""));){for(var a=e[2].match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g)||[],i=0;i<a.length;i++)a[i]=parseFloat(a[i]);var o,s=a[0]*Math.PI/180;switch(e[1]){case"matrix":o=a;break;case"translate":o=[1,0,0,1,a[0],a[1]||0];break;case"scale":o=[a[0],0,0,a.length>1?a[1]:a[0],0,0];break;case"rotate":var l=Math.cos(s),h=Math.sin(s),c=a[1]||0,u=a[2]||0;o=[l,h,-h,l,c-l*c+h*u,u-h*c-l*u];break;case"skewX":o=[1,0,Math.tan(s),1,0,0];break;case"skewY":o=[1,Math.tan(s),0,1,0,0];break;default:continue}r=[r[0]*o[0]+r[2]*o[1],r[1]*o[0]+r[3]*o[1],r[0]*o[2]+r[2]*o[3],r[1]*o[2]+r[3]*o[3],r[0]*o[4]+r[2]*o[5]+r[4],r[1]*o[4]+r[3]*o[5]+r[5]]}return r}(e.getAttribute("transform")),l=parseFloat(a("opacity"));if(t.save(),t.transform(s[0],s[1],s[2],s[3],s[4],s[5]),isNaN(l)||(t.globalAlpha*=l),"path"==e.tagName)Dt.call(this,t,e.getAttribute("d")||"",i);else if("use"==e.tagName){var h=Nt(e);t.translate(parseFloat(e.getAttribute("x"))||0,parseFloat(e.getAttribute("y"))||0),h&&Et.call(this,t,h,i)}else if(["svg","g","a","switch"].indexOf(e.tagName)>=0){"svg"==e.tagName&&e.ownerSVGElement&&t.translate(parseFloat(e.getAttribute("x"))||0,parseFloat(e.getAttribute("y"))||0);for(var c=0;c<e.children.length;c++)Et.call(this,t,e.children[c],i)}t.restore()}},Dt=function(t,e,r){var n={x:NaN,y:NaN},a=function(e,r){n.x==e&&n.y==r||t.moveTo(e,r)};t.beginPath(),ie.call(this,M(e),{line:function(e,r,i,o){a(e,r),t.lineTo(i,o),n={x:i,y:o}},bezier2:function(e,r,i,o,s,l){a(e,r),t.quadraticCurveTo(i,o,s,l),n={x:s,y:l}},bezier3:function(e,r,i,o,s,l,h,c){a(e,r),t.bezierCurveTo(i,o,s,l,h,c),n={x:h,y:c}},ellipse:function(e,r,a,i,o,s,l){o=o*Math.PI/180,t.ellipse(e,r,a,i,o,s,l,l<s),n={x:e+a*Math.cos(l)*Math.cos(o)-i*Math.sin(l)*Math.sin(o),y:r+a*Math.cos(l)*Math.sin(o)+i*Math.sin(l)*Math.cos(o)}},close:function(){t.closePath(),n={x:NaN,y:NaN}}});var i=t.globalAlpha;"none"!=r.fill&&r.fill.indexOf("url(")<0&&(t.fillStyle=r.fill,t.globalAlpha=i*parseFloat(r["fill-opacity"]),t.fill(r["fill-rule"])),"none"!=r.stroke&&r.stroke.indexOf("url(")<0&&(t.strokeStyle=r.stroke,t.globalAlpha=i*parseFloat(r["stroke-opacity"]),t.lineWidth=parseFloat(r["stroke-width"]),t.lineCap=r["stroke-linecap"],t.lineJoin=r["stroke-linejoin"],t.stroke()),t.globalAlpha=i},Vt=function(t,e){var n=t.__comic__,a=n.overlay||t;"path"==a.tagName&&(o.call(this,r,l(n.opts,e),function(){var e=n.node;e===a&&(e=a.cloneNode(!1)).setAttribute("d",n.atts.d||"");var r=Zt.call(this,e,n.ink,n.hatch,t);r.shape.length>0&&a.setAttribute("d",r.shape),n.hatch&&n.hatch.setAttribute("d",r.hatch),n.ink&&n.ink.setAttribute("d",r.ink)}),n.sig=Qt(t))},Bt=function(t){return t.animVal.value},qt=function(t){var e=t.ownerDocument&&t.ownerDocument.defaultView;return e&&"function"==typeof e.getComputedStyle?e.getComputedStyle(t):"function"==typeof getComputedStyle?getComputedStyle(t):void 0},Ft=function(t){var e=qt(t),r=e?e.fill:t.getAttribute("fill")||"black";return r&&"none"!=r&&"transparent"!=r?r:void 0},Gt=function(t){var e=qt(t),r=e?e.stroke:t.getAttribute("stroke");return r&&"none"!=r&&"transparent"!=r?r:void 0},Rt=function(t,e){Wt(t,r.brush?"fill":"stroke",e),Wt(t,r.brush?"stroke":"fill","none")},Wt=function(t,e,r){if(t.setAttribute(e,r),t.style)t.style[e]=r;else if(t.hasAttribute("style")){var n=new RegExp("(^|;)\\s*"+e+"\\s*:[^;]*","g");t.setAttribute("style",t.getAttribute("style").replace(n,"$1"+e+": "+r))}},Zt=function(t,e,a,i){n();var o=r.brush?nt():void 0;switch(t.tagName){case"rect":Ut.call(this,t);break;case"circle":Ht.call(this,t);break;case"ellipse":$t.call(this,t);break;case"line":Jt.call(this,t);break;case"polyline":Yt.call(this,t);break;case"polygon":Xt.call(this,t);break;case"path":ae.call(this,t);break;case"image":Kt.call(this,t);break;case"text":r.lettering&&re.call(this,t,i)}var s={shape:y,ink:"",hatch:""};if(o){var l=at(o);it.call(this,l),s.shape=y,e&&(n(),st.call(this,l),s.ink=y)}var h=a?ne(t):[];return h.length>0&&(n(),ot.call(this,function(){rt.call(this,h)}),s.hatch=y),y=s.shape,s},Ut=function(t){V.call(this,Bt(t.x),Bt(t.y),Bt(t.width),Bt(t.height),Bt(t.rx),Bt(t.ry))},Ht=function(t){E.call(this,Bt(t.cx),Bt(t.cy),Bt(t.r))},$t=function(t){z.call(this,Bt(t.cx),Bt(t.cy),Bt(t.rx),Bt(t.ry))},Jt=function(t){B.call(this,Bt(t.x1),Bt(t.y1),Bt(t.x2),Bt(t.y2))},Yt=function(t){gt.call(this,t.points)},Xt=function(t){xt.call(this,t.points)},Kt=function(t){var e=At(t);if(e){var r=Bt(t.x),n=Bt(t.y),a=Bt(t.width)||e.width,i=Bt(t.height)||e.height;if(!/^\s*none/.test(t.getAttribute("preserveAspectRatio")||"")){var o=Math.min(a/e.width,i/e.height);r+=(a-e.width*o)/2,n+=(i-e.height*o)/2,a=e.width*o,i=e.height*o}Mt.call(this,e.pixels,r,n,a,i)}},te=function(t,e){var r=e.replace(/-(\w)/g,function(t,e){return e.toUpperCase()}),n=qt(t);return n?n[r]:t.getAttribute(e)||void 0},ee=function(t,e){for(var r=Array.prototype.slice.call(t.childNodes),n=0;n<r.length;n++){var a=r[n];if(3==a.nodeType&&/\S/.test(a.data)){var i=ut(t,ct(a.data.replace(/\s+/g," ")),a);t.removeChild(a),e.push({node:a,glyphs:i})}else 1==a.nodeType&&["tspan","textPath","a"].indexOf(a.tagName)>=0&&ee.call(this,a,e)}},re=function(t,e){var n=t.textContent.replace(/\s+/g," ").replace(/^ | $/g,""),a=parseFloat(t.getAttribute("x"))||0,i=parseFloat(t.getAttribute("y"))||0;e=e||t;var s=parseFloat(te(e,"font-size"))||r.fontSize;o.call(this,r,{fontSize:s},function(){var t=te(e,"text-anchor"),r=function(t){for(var e=0,r=0;r<t.length;r++)e+=j(T(t.charAt(r)));return Math.max(0,e-2)}(n)*s*O;"middle"==t&&(a-=r/2),"end"==t&&(a-=r),ht.call(this,a,i,n)})},ne=function(t){switch(t.tagName){case"rect":return V.outline(Bt(t.x),Bt(t.y),Bt(t.width),Bt(t.height),Bt(t.rx),Bt(t.ry));case"circle":return E.outline(Bt(t.cx),Bt(t.cy),Bt(t.r));case"ellipse":return z.outline(Bt(t.cx),Bt(t.cy),Bt(t.rx),Bt(t.ry));case"polygon":return xt.outline(t.points);case"path":return K(M(t));default:return[]}},ae=function(t){ft.call(this,M(t))},ie=function(t,e){for(var r={x:0,y:0},n={x:0,y:0},a=void 0,i=void 0,o={x:0,y:-0},s=0;s<t.length;s++){var l=t[s].slice(),h=l.shift(),c=!1;0==s&&"m"==h&&(h="M",c=!0);var u=function(){o=h==h.toUpperCase()?{x:0,y:0}:{x:r.x,y:r.y}};switch(u(),h){case"M":case"m":for(a=void 0,i=void 0,n=r={x:o.x+l.shift(),y:o.y+l.shift()},h=c?"m":"M";l.length>1;){var f={x:o.x+l.shift(),y:o.y+l.shift()};e.line.call(this,r.x,r.y,f.x,f.y),r=f,u()}break;case"Q":case"q":for(a=void 0;l.length>3;){var v={x:o.x+l.shift(),y:o.y+l.shift()},d={x:o.x+l.shift(),y:o.y+l.shift()};e.bezier2.call(this,r.x,r.y,v.x,v.y,d.x,d.y),r=d,i=v,u()}break;case"T":case"t":for(a=void 0;l.length>1;){d={x:o.x+l.shift(),y:o.y+l.shift()},v=void 0===i?r:{x:2*r.x-i.x,y:2*r.y-i.y};e.bezier2.call(this,r.x,r.y,v.x,v.y,d.x,d.y),r=d,i=v,u()}break;case"C":case"c":for(i=void 0;l.length>5;){v={x:o.x+l.shift(),y:o.y+l.shift()},d={x:o.x+l.shift(),y:o.y+l.shift()};var p={x:o.x+l.shift(),y:o.y+l.shift()};e.bezier3.call(this,r.x,r.y,v.x,v.y,d.x,d.y,p.x,p.y),r=p,a=d,u()}break;case"S":case"s":for(i=void 0;l.length>3;){d={x:o.x+l.shift(),y:o.y+l.shift()},p={x:o.x+l.shift(),y:o.y+l.shift()},v=void 0===a?r:{x:2*r.x-a.x,y:2*r.y-a.y};e.bezier3.call(this,r.x,r.y,v.x,v.y,d.x,d.y,p.x,p.y),r=p,a=d,u()}break;case"A":case"a":for(a=void 0,i=void 0;l.length>6;){var y=Math.abs(l.shift()),g=Math.abs(l.shift()),x=l.shift()%360,m=!!l.shift(),M=!!l.shift();if(((v={x:o.x+l.shift(),y:o.y+l.shift()}).x!=r.x||v.y!=r.y)&&(0!=y||0!=g))if(0!=y&&0!=g){var b=oe(r,v,y,g,x,m,M),w=b[0],N=b[1].x,L=b[1].y,_=b[2];e.ellipse.call(this,w.x,w.y,_.x,_.y,x,N,L),r=v,u()}else v=0==g?{x:v.x,y:r.y}:{x:r.x,y:v.y},e.line.call(this,r.x,r.y,v.x,v.y),r=v,u()}break;case"L":case"l":for(a=void 0,i=void 0;l.length>1;){v={x:o.x+l.shift(),y:o.y+l.shift()};e.line.call(this,r.x,r.y,v.x,v.y),r=v,u()}break;case"H":case"h":for(a=void 0,i=void 0;l.length>0;){v={x:o.x+l.shift(),y:r.y};e.line.call(this,r.x,r.y,v.x,v.y),r=v,u()}break;case"V":case"v":for(a=void 0,i=void 0;l.length>0;){v={x:r.x,y:o.y+l.shift()};e.line.call(this,r.x,r.y,v.x,v.y),r=v,u()}break;case"Z":case"z":a=void 0,i=void 0,e.line.call(this,r.x,r.y,n.x,n.y),e.close.call(this),r=n}}},oe=function(t,e,r,n,a,i,o){var s=function(t,e){var r=t.x*e.y-t.y*e.x>=0?1:-1;if(0==t.x&&0==t.y)return 0;var n=(t.x*e.x+t.y*e.y)/(Math.sqrt(t.x*t.x+t.y*t.y)*Math.sqrt(e.x*e.x+e.y*e.y));return r*Math.acos(Math.max(-1,Math.min(1,n)))},l=a%360*Math.PI/180;r=Math.abs(r),n=Math.abs(n);var h=2*Math.PI,c=Math.cos(l),u=Math.sin(l),f=c*(t.x-e.x)/2+u*(t.y-e.y)/2,v=-1*u*(t.x-e.x)/2+c*(t.y-e.y)/2,d=f*f/(r*r)+v*v/(n*n);d>1&&(r*=Math.sqrt(d),n*=Math.sqrt(d));var p=r*r,y=n*n,g=f*f,x=v*v,m=(i==o?-1:1)*Math.sqrt(Math.max(0,p*y-p*x-y*g)/(p*x+y*g)),M=m*r*v/n,b=-1*m*n*f/r,w=c*M-u*b+(t.x+e.x)/2,N=u*M+c*b+(t.y+e.y)/2,L={x:(f-M)/r,y:(v-b)/n},_=s({x:1,y:0},L),A=s(L,{x:(-f-M)/r,y:(-v-b)/n})%h;return[{x:w,y:N},{x:_,y:_+A+(!o&&A>0?-h:0)+(o&&A<0?h:0)},{x:r,y:n}]},se=function(t,e){for(var r=t.length-1,n=[],a=[],i=[],o=1-e,s=function(t,e){for(var r=[],n=0;n<t.length;n++)r.push(e*t[n]);return r},l=function(t,e){for(var r=[],n=0;n<Math.min(t.length,e.length);n++)r.push(t[n]+e[n]);return r},h=0;h<=r;h++)t[h]="object"==typeof t[h]?t[h]:[t[h]],n.push([t[h]]);for(var c=1;c<=r;c++)for(h=0;h<=r-c;h++)n[h].push(l(s(n[h][c-1],o),s(n[h+1][c-1],e)));for(c=0;c<=r;c++)a.push(n[0][c]),i.push(n[c][r-c]);return[a,i]},le=function(t,e){for(var r=t.length-1,n=[],a=0;a<r;a++)n.push([r*(t[a+1][0]-t[a][0]),r*(t[a+1][1]-t[a][1])]);for(var i=function(t){for(var e=n.map(function(t){return t.slice()}),r=e.length-1;r>0;r--)for(var a=0;a<r;a++)e[a][0]+=(e[a+1][0]-e[a][0])*t,e[a][1]+=(e[a+1][1]-e[a][1])*t;return Math.sqrt(e[0][0]*e[0][0]+e[0][1]*e[0][1])},o=[0,-.5384693101056831,.5384693101056831,-.906179845938664,.906179845938664],s=[.5688888888888889,.4786286704993665,.4786286704993665,.2369268850561891,.2369268850561891],l=[0],h=0;h<16;h++){var c=0;for(a=0;a<o.length;a++)c+=s[a]*i((h+(o[a]+1)/2)/16);l.push(l[h]+c/2/16)}var u=l[16],f=Math.max(1,Math.ceil(u/e-1e-9)),v=[],d=1;for(h=0;d<f;d++){for(var p=u*d/f;l[h+1]<p;)h++;v.push((h+(p-l[h])/(l[h+1]-l[h]))/16)}return v.push(1),v},he=function(t,e){return he.random!==r.random&&(he.random=r.random,he.count=0,he.sign=r.random()<.5?1:-1),++he.count>2&&(he.count=0,he.sign*=-1),t+e*(r.random()/2+.5*he.sign)};he.random=void 0;var ce=function(t,e){ce.random!==r.random&&(ce.random=r.random,ce.count=0,ce.rnds=[0,0]);var n=ce.count,a=r.random()-.5;2==++ce.count&&(ce.count=0);var i=t+e*(a-ce.rnds[n]);return ce.rnds[n]=a,i};ce.random=void 0;var ue=function(t,e){return r.drunk?he(t,e):ce(t,e)},fe=function(t,e,r,n){var a=r-t,i=n-e;return Math.sqrt(a*a+i*i)},ve=function(t){return"[object Array]"===Object.prototype.toString.call(t)},de=function(t){for(var e={},r=["strokeStyle","fillStyle","lineWidth","lineCap","lineJoin","globalAlpha","globalCompositeOperation"],n=0;n<r.length;n++)e[r[n]]=t[r[n]];if("function"==typeof t.getTransform){var a=t.getTransform();e.transform=[a.a,a.b,a.c,a.d,a.e,a.f]}return e},pe=function(t,e){for(var r in e)"transform"==r?t.setTransform.apply(t,e[r]):t[r]=e[r]};if("canvas"==t?(i=function(t,e,n,a,i,o){return g.push([t,e,n,a,i,o]),r.pathPos={x:i,y:o},this},h=function(){return g.push(null),this},a=function(){return this.save(),r.strokeStyle&&(this.strokeStyle=r.strokeStyle),d(this,{segs:g,fill:r.brush,fillStyle:r.fillStyle,hatchAt:x}),this.restore(),this},n=function(){return g=[],r.pathPos={x:NaN,y:NaN},this},v=function(t,e,r){for(var n=0;n<r.length;n++){var a=r[n];this.save(),this.translate(t,e+a.shift),this.rotate(a.rot),this.scale(a.scale,a.scale),this.fillText(a.ch,0,0),this.restore(),t+=this.measureText(a.ch).width*a.scale}return this},p=function(t){var e=this,n=c(r),a={segs:t,fill:r.brush,fillStyle:r.fillStyle,hatchAt:x},i=de(e);r.strokeStyle&&(i.strokeStyle=r.strokeStyle);var o=0,s=function(r){for(var n=Math.round(r*t.length);a.fill&&n>0&&n<t.length&&null!==t[n-1];)n++;n<=o||(e.save(),pe(e,i),d(e,a,o,n),e.restore(),o=n)};if("function"!=typeof requestAnimationFrame||!(n.duration>0))return s(1),this;var l=Date.now()+n.delay,h=function(){var t=Math.min(1,(Date.now()-l)/n.duration);t>=0&&s(t<1?n.easing(t):1),t<1&&requestAnimationFrame(h)};return requestAnimationFrame(h),this}):(i=function(t,e,n,a,i,o){return t=m(t),e=m(e),n=m(n),a=m(a),i=m(i),o=m(o),r.pathPos.x!=t||r.pathPos.y!=e||0==y.length?y+=["M",t,e,"Q",n,a,i,o].join(" "):y+=["Q",n,a,i,o].join(" "),r.pathPos={x:i,y:o},this},h=function(){return y+="z",this},n=function(){return y="",r.pathPos={x:0,y:0},this},p=function(t){it.call(this,t);var e=a.call(this),n=e&&"function"==typeof e.node?e.node():e&&e.node;return n&&u(n,c(r),r.brush),e}),"raphael"==t&&(a=function(){return this.path(y)},v=function(t,e,r){for(var n=this.set(),a=0;a<r.length;a++){var i=r[a],o=e+i.shift,s=this.text(t,o,i.ch).attr({"text-anchor":"start"});s.transform("r"+[180*i.rot/Math.PI,t,o].join(",")+"s"+[i.scale,i.scale,t,o].join(",")),t+=s.getBBox(!0).width*i.scale,n.push(s)}return n}),"d3"==t&&(a=function(){return this.append("svg:path").attr("d",y)},v=function(t,e,r){var n=this.append("svg:text").attr("x",t).attr("y",e);return ut(n.node(),r),n}),"svg"==t&&(a=function(){return this.path(y)},v=function(t,e,r){var n=this.plain("").attr({x:t,y:e});return ut(n.node,r),n}),"string"==t){a=function(){return y},e.fromD=e.cPath,e.line=e.cLine,e.rect=e.cRect,e.trian=e.cTrian,e.polyline=e.cPolyline,e.polygon=e.cPolygon,e.image=e.cImage,e.circle=e.cCircle,e.ellipse=e.cEllipse,e.bezier2=e.cBezier2,e.bezier3=e.cBezier3,e.text=e.cText,e.speechBubble=e.cSpeechBubble,e.thoughtBubble=e.cThoughtBubble,e.shout=e.cShout,e.caption=e.cCaption;var ye=["title","desc","metadata","style","script","linearGradient","radialGradient","pattern","clipPath","mask","marker","filter","font","font-face","color-profile","view","cursor","animate","animateMotion","animateTransform","set","use"],ge=function(t,e,r){for(var n=t.children,a=0;a<n.length;a++){var i=n[a].tagName;if((!n[a].__comic__||!n[a].__comic__.owner)&&!(St(n[a],e).skip||i.indexOf(":")>=0)){var o=void 0;wt.indexOf(i)>=0?ge(n[a],e,r):bt.indexOf(i)>=0||"text"==i?n[a].__comic__||(o="image"==i?"image not loaded":"not drawn"):ye.indexOf(i)<0&&(o="unknown element"),o&&r.push({tagName:i,id:n[a].getAttribute("id")||void 0,reason:o})}}return r};r.magicString=function(t,e,n){var a=function(t){var e,r=Object.create(N,{nodeType:{value:9},atts:{value:{}},childNodes:{value:[],writable:!0},parentNode:{value:null,writable:!0},ownerDocument:{value:null}}),n={lt:"<",gt:">",amp:"&",quot:'"',apos:"'"},a=function(t){return t.replace(/&(#x[0-9a-fA-F]+|#\d+|[A-Za-z][\w.-]*);/g,function(t,e){if("#"==e.charAt(0)){var r="x"==e.charAt(1)?parseInt(e.slice(2),16):parseInt(e.slice(1),10);return r<=1114111?String.fromCodePoint(r):t}return n.hasOwnProperty(e)?n[e]:t})},i=/(<!--[\s\S]*?-->)|<!\[CDATA\[([\s\S]*?)\]\]>|(<!DOCTYPE(?:[^\[>]|\[[\s\S]*?\])*>)|(<\?[\s\S]*?\?>)|<\/\s*([^\s>]+)\s*>|<([^\s\/>!?]+)((?:\s+[^\s=\/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+|<)/g,o=/([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g,s=r;for(;null!==(e=i.exec(t));){if(e[3])for(var l,h=/<!ENTITY\s+([^\s%]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g;null!==(l=h.exec(e[3]));)n[l[1]]=a("string"==typeof l[2]?l[2]:l[3]);if(e[1]||e[3]||e[4])s.appendChild(L(r,e[1]?8:e[3]?10:7,void 0,e[0]));else if("string"==typeof e[2])s.appendChild(L(r,4,void 0,e[2]));else if(e[5]){for(var c=s;c!==r&&c.tagName!=e[5];c=c.parentNode);c!==r&&(s=c.parentNode)}else if(e[6]){var u;c=s.appendChild(L(r,1,e[6]));for(o.lastIndex=0;null!==(u=o.exec(e[7]));){var f="string"==typeof u[2]?u[2]:"string"==typeof u[3]?u[3]:u[4]||"";c.atts[u[1]]=a(f)}e[8]||(s=c)}else s.appendChild(L(r,3,void 0,a(e[9])))}return r}(String(t)),i=a.documentElement;if(!i||"svg"!=i.tagName)throw"error: no svg document given";return o.call(this,r,e,function(){It.call(this,i),n&&ge(i,{ff:r.ff,ffc:r.ffc},n)}),Q(a)}}if("self"==t)for(var xe in _)r[xe]=_[xe]};function m(t){return Math.round(t*e)/e}function M(t){var e="string"==typeof t?t:t.getAttribute("d");e=e||"";var r={M:2,L:2,H:1,V:1,C:6,S:4,Q:4,T:2,A:7,Z:0},n=/[MLHVCSQTAZ]/i,a=/[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/y,i=/[01]/y,o=/[\s,]*/y,s=0,l=function(t){t.lastIndex=s;var r=t.exec(e);return r&&(s=t.lastIndex),r?r[0]:null},h=[],c=void 0;for(l(o);s<e.length;){var u=e.charAt(s);if(n.test(u))c=u,s++;else{if(void 0===c||0==r[c.toUpperCase()])break;"M"!=c&&"m"!=c||(c="M"==c?"L":"l")}for(var f=[c],v=r[c.toUpperCase()],d=0;d<v;d++){l(o);var p=l(!("A"!=c&&"a"!=c||3!=d&&4!=d)?i:a);if(null===p)return h;f.push(parseFloat(p))}h.push(f),l(o)}return h}function b(t){var e=[];if("string"==typeof t){for(var r=t.match(/[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/g)||[],n=0;n+1<r.length;n+=2)e.push({x:parseFloat(r[n]),y:parseFloat(r[n+1])});return e}var a="number"==typeof t.numberOfItems?t.numberOfItems:t.length;for(n=0;n<a;n++){var i="function"==typeof t.getItem?t.getItem(n):t[n];e.push("number"==typeof i.x?{x:i.x,y:i.y}:{x:i[0],y:i[1]})}return e}var w={appendChild:function(t){return this.insertBefore(t,null)},insertBefore:function(t,e){t.parentNode&&t.parentNode.removeChild(t);var r=e?this.childNodes.indexOf(e):-1;return r<0?this.childNodes.push(t):this.childNodes.splice(r,0,t),t.parentNode=this,t},removeChild:function(t){var e=this.childNodes.indexOf(t);return e>=0&&this.childNodes.splice(e,1),t.parentNode=null,t},replaceChild:function(t,e){return this.insertBefore(t,e),this.removeChild(e)},cloneNode:function(t){var e=L(this.ownerDocument,this.nodeType,this.tagName,this.data);for(var r in this.atts)e.atts[r]=this.atts[r];for(var n=0;t&&n<this.childNodes.length;n++)e.appendChild(this.childNodes[n].cloneNode(!0));return e},getElementsByTagName:function(t){for(var e=[],r=0;r<this.childNodes.length;r++){var n=this.childNodes[r];1==n.nodeType&&(n.tagName!=t&&"*"!=t||e.push(n),e=e.concat(n.getElementsByTagName(t)))}return e},getAttribute:function(t){return this.atts.hasOwnProperty(t)?this.atts[t]:null},setAttribute:function(t,e){this.atts[t]=String(e)},hasAttribute:function(t){return this.atts.hasOwnProperty(t)},removeAttribute:function(t){delete this.atts[t]}};Object.defineProperties(w,{attributes:{get:function(){var t=this.atts;return Object.keys(t).map(function(e){return{name:e,value:t[e]}})}},children:{get:function(){return this.childNodes.filter(function(t){return 1==t.nodeType})}},textContent:{get:function(){return 3==this.nodeType||4==this.nodeType?this.data:this.childNodes.map(function(t){return 1==t.nodeType||3==t.nodeType||4==t.nodeType?t.textContent:""}).join("")},set:function(t){if(3!=this.nodeType&&4!=this.nodeType){for(;this.childNodes.length>0;)this.removeChild(this.childNodes[0]);this.appendChild(L(this.ownerDocument,3,void 0,String(t)))}else this.data=String(t)}},nextSibling:{get:function(){return this.parentNode&&this.parentNode.childNodes[this.parentNode.childNodes.indexOf(this)+1]||null}},ownerSVGElement:{get:function(){for(var t=this.parentNode;t&&1==t.nodeType;t=t.parentNode)if("svg"==t.tagName)return t;return null}},points:{get:function(){return this.getAttribute("points")||""}}}),["x","y","width","height","rx","ry","cx","cy","r","x1","y1","x2","y2"].forEach(function(t){Object.defineProperty(w,t,{get:function(){return{animVal:{value:S(this,t)}}}})});var N=Object.create(w,{documentElement:{get:function(){return this.children[0]||null}},defaultView:{get:function(){return{getComputedStyle:k}}}});function L(t,e,r,n){return Object.create(w,{nodeType:{value:e},tagName:{value:r},data:{value:n,writable:!0},atts:{value:{},writable:!0},childNodes:{value:[],writable:!0},parentNode:{value:null,writable:!0},ownerDocument:{value:t,writable:!0}})}N.createElementNS=function(t,e){return L(this,1,e)},N.createTextNode=function(t){return L(this,3,void 0,String(t))},N.getElementById=function(t){var e=function(r){if(1==r.nodeType&&r.getAttribute("id")===t)return r;for(var n=0;n<r.childNodes.length;n++){var a=e(r.childNodes[n]);if(a)return a}return null};return e(this)};var _=["fill","fill-opacity","fill-rule","stroke","stroke-opacity","stroke-width","stroke-linecap","stroke-linejoin","stroke-dasharray","font-size","font-family","font-weight","text-anchor","visibility"],A={fill:"black","fill-opacity":"1","fill-rule":"nonzero",stroke:"none","stroke-opacity":"1","stroke-width":"1","stroke-linecap":"butt","stroke-linejoin":"miter","stroke-dasharray":"none","font-size":"16px","font-family":"serif","font-weight":"normal","text-anchor":"start",visibility:"visible",opacity:"1",display:"inline"};function k(t){var e=t.parentNode&&1==t.parentNode.nodeType?k(t.parentNode):void 0,r={};for(var n in A)t.hasAttribute(n)&&(r[n]=t.getAttribute(n));for(var a=(t.getAttribute("style")||"").split(";"),i=0;i<a.length;i++){var o=a[i].indexOf(":");o>0&&(r[a[i].slice(0,o).trim()]=a[i].slice(o+1).replace(/!important/,"").trim())}var s={},l=Object.keys(A).concat(Object.keys(r),e?e.names:[]);for(i=0;i<l.length;i++){n=l[i];var h=_.indexOf(n)>=0||/^--/.test(n),c=r[n];void 0!==c&&"inherit"!=c||(c=e&&(h||"inherit"==c)?e.getPropertyValue(n):A[n]),s[n]=c}var u=e?parseFloat(e.getPropertyValue("font-size")):16,f=/^\s*([-+\d.eE]+)(em|%)\s*$/.exec(s["font-size"]||"");f&&(s["font-size"]=parseFloat(f[1])*u/("%"==f[2]?100:1)+"px");var v={names:Object.keys(s).filter(function(t){return/^--/.test(t)}),getPropertyValue:function(t){return s.hasOwnProperty(t)&&s[t]||""}};for(var n in s)/^--/.test(n)||(v[n.replace(/-(\w)/g,function(t,e){return e.toUpperCase()})]=s[n]);return v}function S(t,e){var r=/^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*([a-zA-Z%]*)\s*$/.exec(t.getAttribute(e)||"");if(!r)return 0;var n=parseFloat(r[1]),a=r[2].toLowerCase(),i={"":1,px:1,pt:4/3,pc:16,mm:96/25.4,cm:96/2.54,in:96};if(i.hasOwnProperty(a))return n*i[a];if("em"==a||"ex"==a)return n*parseFloat(k(t).getPropertyValue("font-size"))/("ex"==a?2:1);if("%"!=a)return n;var o={width:300,height:150},s=t.ownerSVGElement;if(s){var l=(s.getAttribute("viewBox")||"").trim().split(/[\s,]+/).map(parseFloat);o=4==l.length&&l[2]>0&&l[3]>0?{width:l[2],height:l[3]}:{width:s.hasAttribute("width")?S(s,"width"):300,height:s.hasAttribute("height")?S(s,"height"):150}}return n*(/^(x|cx|x1|x2|width|rx)$/.test(e)?o.width:/^(y|cy|y1|y2|height|ry)$/.test(e)?o.height:Math.sqrt((o.width*o.width+o.height*o.height)/2))/100}function Q(t){var e=function(t,e){return t=t.replace(/&/g,"&amp;").replace(/</g,"&lt;"),e?t.replace(/"/g,"&quot;"):t.replace(/>/g,"&gt;")};switch(t.nodeType){case 1:var r="<"+t.tagName;for(var n in t.atts)r+=" "+n+'="'+e(t.atts[n],!0)+'"';return 0==t.childNodes.length?r+"/>":r+">"+t.childNodes.map(Q).join("")+"</"+t.tagName+">";case 3:return e(t.data,!1);case 4:return"<![CDATA["+t.data+"]]>";case 9:return t.childNodes.map(Q).join("");default:return t.data}}var P={A:[6,"M0 10 L3 0 L6 10 M1 6.5 L5 6.5"],B:[6.5,"M0 10 L0 0 L3.5 0 Q6 0 6 2.5 Q6 5 3.5 5 L0 5 M3.5 5 Q6.5 5 6.5 7.5 Q6.5 10 3.5 10 L0 10"],C:[6,"M6 1.5 Q5 0 3.2 0 Q0 0 0 5 Q0 10 3.2 10 Q5 10 6 8.5"],D:[6.5,"M0 0 L0 10 L3 10 Q6.5 10 6.5 5 Q6.5 0 3 0 L0 0"],E:[6,"M6 0 L0 0 L0 10 L6 10 M0 5 L4.5 5"],F:[6,"M6 0 L0 0 L0 10 M0 5 L4.5 5"],G:[6,"M6 1.5 Q5 0 3.2 0 Q0 0 0 5 Q0 10 3.2 10 Q6 10 6 6 L6 5.5 L3.5 5.5"],H:[6,"M0 0 L0 10 M6 0 L6 10 M0 5 L6 5"],I:[4,"M0 0 L4 0 M2 0 L2 10 M0 10 L4 10"],J:[6,"M1.5 0 L6 0 M4.5 0 L4.5 7 Q4.5 10 2.2 10 Q0 10 0 7.5"],K:[6,"M0 0 L0 10 M6 0 L0 6 M2 4.2 L6 10"],L:[5.5,"M0 0 L0 10 L5.5 10"],M:[7,"M0 10 L0 0 L3.5 6 L7 0 L7 10"],N:[6,"M0 10 L0 0 L6 10 L6 0"],O:[6.5,"M3.25 0 C7.6 0 7.6 10 3.25 10 C-1.1 10 -1.1 0 3.25 0"],P:[6.5,"M0 10 L0 0 L3.5 0 Q6.5 0 6.5 2.75 Q6.5 5.5 3.5 5.5 L0 5.5"],Q:[7,"M3.25 0 C7.6 0 7.6 10 3.25 10 C-1.1 10 -1.1 0 3.25 0 M4 7 L7 10.5"],R:[6.5,"M0 10 L0 0 L3.5 0 Q6.5 0 6.5 2.75 Q6.5 5.5 3.5 5.5 L0 5.5 M3 5.5 L6.5 10"],S:[6,"M6 1.5 Q5 0 3 0 Q0 0 0 2.5 Q0 4.5 3 5 Q6 5.5 6 7.5 Q6 10 3 10 Q1 10 0 8.5"],T:[6,"M0 0 L6 0 M3 0 L3 10"],U:[6,"M0 0 L0 7 Q0 10 3 10 Q6 10 6 7 L6 0"],V:[6,"M0 0 L3 10 L6 0"],W:[8,"M0 0 L2 10 L4 3 L6 10 L8 0"],X:[6,"M0 0 L6 10 M6 0 L0 10"],Y:[6,"M0 0 L3 5 L6 0 M3 5 L3 10"],Z:[6,"M0 0 L6 0 L0 10 L6 10"],0:[6,"M3 0 C7 0 7 10 3 10 C-1 10 -1 0 3 0 M5 2 L1 8"],1:[5,"M1 2 L3 0 L3 10 M1 10 L5 10"],2:[6,"M0 2 Q1 0 3 0 Q6 0 6 3 Q6 5 0 10 L6 10"],3:[6,"M0 1 Q1 0 3 0 Q6 0 6 2.5 Q6 5 3 5 Q6 5 6 7.5 Q6 10 3 10 Q1 10 0 9"],4:[6,"M4.5 10 L4.5 0 L0 7 L6 7"],5:[6,"M6 0 L1 0 L0.5 4.5 Q2 4 3 4 Q6 4 6 7 Q6 10 3 10 Q1 10 0 9"],6:[6,"M5.5 0.5 Q4.5 0 3.5 0 Q0 0 0 6 Q0 10 3 10 Q6 10 6 7 Q6 4 3 4 Q0 4 0 6.5"],7:[6,"M0 0 L6 0 L2 10"],8:[6,"M3 5 Q0 5 0 2.5 Q0 0 3 0 Q6 0 6 2.5 Q6 5 3 5 Q0 5 0 7.5 Q0 10 3 10 Q6 10 6 7.5 Q6 5 3 5"],9:[6,"M6 3.5 Q6 6 3 6 Q0 6 0 3 Q0 0 3 0 Q6 0 6 4 Q6 10 2.5 10 Q1.5 10 0.5 9.5"]," ":[4,""],".":[2,"M1 9.4 L1 10"],",":[2,"M1.2 9 L0.5 11.5"],":":[2,"M1 2.9 L1 3.5 M1 9.4 L1 10"],";":[2,"M1.2 2.9 L1.2 3.5 M1.2 9 L0.5 11.5"],"!":[2,"M1 0 L1 7 M1 9.4 L1 10"],"?":[6,"M0 2 Q0.5 0 3 0 Q6 0 6 2.5 Q6 4.5 3 5.5 L3 7 M3 9.4 L3 10"],"'":[2,"M1 0 L1 3"],'"':[3,"M0.5 0 L0.5 3 M2.5 0 L2.5 3"],"-":[4,"M0 5.5 L4 5.5"],_:[6,"M0 10 L6 10"],"+":[5,"M0 5 L5 5 M2.5 2.5 L2.5 7.5"],"=":[5,"M0 3.5 L5 3.5 M0 6.5 L5 6.5"],"*":[5,"M2.5 1 L2.5 6 M0.5 2.2 L4.5 4.8 M4.5 2.2 L0.5 4.8"],"/":[5,"M0 10 L5 0"],"(":[3.5,"M3 0 Q0 5 3 10"],")":[3.5,"M0 0 Q3 5 0 10"],"<":[5,"M5 1 L0 5 L5 9"],">":[5,"M0 1 L5 5 L0 9"],"#":[6,"M2 1 L1 9 M5 1 L4 9 M0 3.5 L6 3.5 M0 6.5 L6 6.5"],$:[6,"M6 1.5 Q5 0 3 0 Q0 0 0 2.5 Q0 4.5 3 5 Q6 5.5 6 7.5 Q6 10 3 10 Q1 10 0 8.5 M3 -1 L3 11"],"%":[6,"M1.2 0 Q2.4 0 2.4 1.5 Q2.4 3 1.2 3 Q0 3 0 1.5 Q0 0 1.2 0 M0.5 10 L5.5 0 M4.8 7 Q6 7 6 8.5 Q6 10 4.8 10 Q3.6 10 3.6 8.5 Q3.6 7 4.8 7"],"&":[6,"M6 10 L1.5 3 Q0.5 1 2.5 0 Q4.5 0 4.5 2 Q4.5 3.5 2 5 Q0 6.5 0 8 Q0 10 2.5 10 Q4.5 10 6 6.5"]},O=.07,C=10;function T(t){return P[t]||P[t.toUpperCase()]||P["?"]}function j(t){return t[0]+2}function I(t,e){return{x:t.x+t.rx*Math.cos(e),y:t.y+t.ry*Math.sin(e)}}function z(t,e){var r=t.ry*Math.cos(e),n=t.rx*Math.sin(e),a=Math.sqrt(r*r+n*n)||1;return{x:r/a,y:n/a}}function E(t){var e=t.rx,r=t.ry;return Math.PI*(3*(e+r)-Math.sqrt((3*e+r)*(e+3*r)))}function D(t,e){for(var r=360,n=[0],a=I(t,0),i=1;i<=r;i++){var o=I(t,2*Math.PI*i/r);n.push(n[i-1]+Math.sqrt(Math.pow(o.x-a.x,2)+Math.pow(o.y-a.y,2))),a=o}var s=[],l=0;for(i=0;i<e;i++){for(var h=n[r]*i/e;n[l+1]<h;)l++;var c=n[l+1]>n[l]?(h-n[l])/(n[l+1]-n[l]):0;s.push(2*Math.PI*(l+c)/r)}return s}function V(t){return[["M",t.x+t.rx,t.y],["A",t.rx,t.ry,0,1,1,t.x-t.rx,t.y],["A",t.rx,t.ry,0,1,1,t.x+t.rx,t.y]]}function B(t,e,r,n,a){return{x:t+r/2,y:e+n/2,rx:r/2*Math.SQRT2+a.bubblePadding,ry:n/2*Math.SQRT2+a.bubblePadding}}function q(t,e,r){if("number"==typeof e&&"number"==typeof r){var n=(e-t.x)/t.rx,a=(r-t.y)/t.ry;return n*n+a*a>1?Math.atan2(a,n):void 0}}function F(t,e,r,n,a,i,o){var s=B(t,e,r,n,o),l=q(s,a,i);if(void 0===l)return V(s);var h=Math.sqrt(Math.pow(s.rx*Math.sin(l),2)+Math.pow(s.ry*Math.cos(l),2)),c=Math.min(.6,o.tailWidth/2/h),u=I(s,l-c),f=I(s,l+c),v=.15*(s.y-i),d=.15*(a-s.x);return[["M",f.x,f.y],["A",s.rx,s.ry,0,1,1,u.x,u.y],["Q",(u.x+a)/2+v,(u.y+i)/2+d,a,i],["Q",(f.x+a)/2+v,(f.y+i)/2+d,f.x,f.y]]}function G(t,e,r,n,a,i,o){for(var s=B(t,e,r,n,o),l=Math.max(6,Math.round(E(s)/40)),h=D(s,l),c=E(s)/l,u=I(s,0),f=[["M",u.x,u.y]],v=0;v<l;v++){var d=I(s,v+1<l?h[v+1]:0),p=d.x-u.x,y=d.y-u.y,g=4*(.55+.15*Math.sin(2.3*v))/3;f.push(["C",u.x+y*g-.2*p,u.y-p*g-.2*y,d.x+y*g+.2*p,d.y-p*g+.2*y,d.x,d.y]),u=d}var x=q(s,a,i);if(void 0===x)return f;var m=z(s,x),M=I(s,x);M={x:M.x+m.x*c*.55,y:M.y+m.y*c*.55};var b=Math.sqrt(Math.pow(a-M.x,2)+Math.pow(i-M.y,2)),w=[[.25,.5],[.6,.35],[.9,.22]];for(v=0;v<w.length;v++){var N=Math.min(o.tailWidth*w[v][1],.12*b);f=f.concat(V({x:M.x+(a-M.x)*w[v][0],y:M.y+(i-M.y)*w[v][0],rx:N,ry:N}))}return f}function R(t,e,r,n,a,i,o){for(var s=B(t,e,r,n,o),l=D(s,2*Math.max(8,Math.round(E(s)/30))),h=Math.max(10,(s.rx+s.ry)/2*.3),c=q(s,a,i),u=[],f=-1,v=0;v<l.length;v++){var d=I(s,l[v]);if(v%2){var p=z(s,l[v]),y=h*(1+.4*Math.sin(1.7*v));d={x:d.x+p.x*y,y:d.y+p.y*y};var g=Math.abs(Math.atan2(Math.sin(l[v]-c),Math.cos(l[v]-c)));(f<0||g<Math.abs(Math.atan2(Math.sin(l[f]-c),Math.cos(l[f]-c))))&&(f=v)}u.push(d)}void 0!==c&&(u[f]={x:a,y:i});var x=[["M",u[0].x,u[0].y]];for(v=1;v<=u.length;v++){d=u[v%u.length];x.push(["L",d.x,d.y])}return x}function W(t,e,r,n,a,i,o){var s=o.bubblePadding,l=t-s,h=e-s,c=t+r+s,u=e+n+s,f=[{x:l,y:h},{x:c,y:h},{x:c,y:u},{x:l,y:u}],v=-1;if("number"==typeof a&&"number"==typeof i&&(a<l||a>c||i<h||i>u)){var d=(a-(l+c)/2)/(c-l),p=(i-(h+u)/2)/(u-h);v=Math.abs(d)>Math.abs(p)?d>0?1:3:p>0?2:0}for(var y=[["M",l,h]],g=0;g<4;g++){var x=f[g],m=f[(g+1)%4];if(g==v){var M=Math.abs(m.x-x.x)+Math.abs(m.y-x.y),b=(m.x-x.x)/M,w=(m.y-x.y)/M,N=Math.min(o.tailWidth,M)/2,L=Math.max(N,Math.min(M-N,(a-x.x)*b+(i-x.y)*w));y.push(["L",x.x+b*(L-N),x.y+w*(L-N)],["L",a,i],["L",x.x+b*(L+N),x.y+w*(L+N)])}y.push(["L",m.x,m.y])}return y}function Z(t){var e=(t=t||{}).x||0,r=t.y||0,n=t.width||0,a=t.height||0,i="number"==typeof t.gutter?t.gutter:10,o="number"==typeof t.margin?t.margin:i,s=t.rows;if("object"!=typeof s){s=[];for(var l=0;l<(t.rows||1);l++)s.push(t.columns||1)}s=s.map(function(t){var e=(t="object"!=typeof t||t instanceof Array?{panels:t}:t).panels||1;if("number"==typeof e){var r=e;e=[];for(var n=0;n<r;n++)e.push(1)}return{height:t.height||1,slant:t.slant||0,tilt:t.tilt||0,panels:e.map(function(t){return"object"==typeof t?t:{width:t}})}});var h=e+o,c=e+n-o,u=r+o,f=r+a-o,v=function(t,e){var r=t.dx*e.dy-t.dy*e.dx,n=((e.x-t.x)*e.dy-(e.y-t.y)*e.dx)/r;return{x:t.x+t.dx*n,y:t.y+t.dy*n}},d=function(t,e,r){var n=Math.sqrt(t.dx*t.dx+t.dy*t.dy),a=-t.dy/n,i=t.dx/n;return(r.x-t.x)*a+(r.y-t.y)*i<0&&(a=-a,i=-i),{x:t.x+a*e,y:t.y+i*e,dx:t.dx,dy:t.dy}},p=function(t,e,r){for(var n=0,a=0;a<r.length;a++)n+=r[a];var o=e-t-i*(r.length-1),s=[t],l=0;for(a=0;a<r.length;a++)l+=r[a],s.push(t+o*l/n+i*a);return s},y=p(u,f,s.map(function(t){return t.height})),g=[];for(l=0;l<s.length;l++)for(var x=s[l],m=y[l]+(l>0?i:0),M=y[l+1],b=p(h,c,x.panels.map(function(t){return t.width||1})),w=0;w<x.panels.length;w++){var N=x.panels[w],L=b[w]+(w>0?i:0),_=b[w+1],A={x:(L+_)/2,y:(m+M)/2},k=[];k.push(0==l?{x:0,y:N.bleed?r:u,dx:1,dy:0}:d({x:(h+c)/2,y:m-i/2,dx:c-h,dy:s[l-1].tilt},i/2,A)),k.push(w==x.panels.length-1?{x:N.bleed?e+n:c,y:0,dx:0,dy:1}:d({x:_+i/2,y:(m+M)/2,dx:-x.slant,dy:M-m},i/2,A)),k.push(l==s.length-1?{x:0,y:N.bleed?r+a:f,dx:1,dy:0}:d({x:(h+c)/2,y:M+i/2,dx:c-h,dy:x.tilt},i/2,A)),k.push(0==w?{x:N.bleed?e:h,y:0,dx:0,dy:1}:d({x:L-i/2,y:(m+M)/2,dx:-x.slant,dy:M-m},i/2,A));var S=U([v(k[3],k[0]),v(k[0],k[1]),v(k[1],k[2]),v(k[2],k[3])]);S.row=l,S.col=w,g.push(S);for(var Q=N.insets||[],P=0;P<Q.length;P++){var O=S.x+S.width*(Q[P].x||0),C=S.y+S.height*(Q[P].y||0),T=S.width*(Q[P].width||0),j=S.height*(Q[P].height||0),I=U([{x:O,y:C},{x:O+T,y:C},{x:O+T,y:C+j},{x:O,y:C+j}]);I.row=l,I.col=w,I.inset=!0,g.push(I)}}return g}function U(t){var e=t.map(function(t){return t.x}),r=t.map(function(t){return t.y}),n=Math.min.apply(Math,e),a=Math.min.apply(Math,r);return{points:t,x:n,y:a,width:Math.max.apply(Math,e)-n,height:Math.max.apply(Math,r)-a,d:"M "+t.map(function(t){return m(t.x)+" "+m(t.y)}).join(" L ")+" Z"}}function H(t,e){var r=t.map(function(){return!1});r[0]=r[t.length-1]=!0;for(var n=[[0,t.length-1]];n.length>0;){for(var a=n.pop(),i=t[a[0]],o=t[a[1]],s=Math.sqrt((o.x-i.x)*(o.x-i.x)+(o.y-i.y)*(o.y-i.y)),l=0,h=-1,c=a[0]+1;c<a[1];c++){var u=t[c],f=s>0?Math.abs((o.x-i.x)*(i.y-u.y)-(i.x-u.x)*(o.y-i.y))/s:Math.sqrt((u.x-i.x)*(u.x-i.x)+(u.y-i.y)*(u.y-i.y));f>l&&(l=f,h=c)}l>e&&(r[h]=!0,n.push([a[0],h],[h,a[1]]))}return t.filter(function(t,e){return r[e]})}var $={fsteps:5,msteps:3,ff:8,ffc:5,drunk:!1,passes:1,passDeviation:1.5,overshoot:0,brush:!1,brushWidth:4,brushTaper:.25,brushNoise:.3,fill:void 0,fillAngle:-41,fillGap:8,fillStyle:void 0,strokeStyle:void 0,fontSize:16,lettering:!1,textRotate:5,textShift:.06,textScale:.08,bubblePadding:8,tailWidth:16,imageLevels:4,imageSize:200,reveal:!1,revealDuration:1e3,revealStagger:100,revealEasing:"linear",overlay:!1,seed:void 0,prng:function(t){var e=0;t=String(t);for(var r=0;r<t.length;r++)e=Math.imul(e^t.charCodeAt(r),2654435761);return function(){e=e+1831565813|0;var t=Math.imul(e^e>>>15,1|e);return(((t=t+Math.imul(t^t>>>7,61|t)^t)^t>>>14)>>>0)/4294967296}},context:void 0};if(n(t),"undefined"!=typeof Raphael&&x("raphael",Raphael.fn,t),"undefined"!=typeof SVG){var J={};x("svg",J,t),SVG.extend(SVG.Set,J),SVG.extend(SVG.Group,J),SVG.extend(SVG.Element,J)}return"undefined"!=typeof d3&&(x("d3",d3.selection.prototype,t),x("d3",d3.selection.enter.prototype,t)),t});
\ No newline at end of file
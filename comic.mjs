@@ -0,0 +1,18 @@
+/**
+ * @brief ES module version of comic.js for Node.js.
+ *
+ * Loads comic.js as CommonJS module, thus without setting any globals,
+ * and exports the "COMIC" object as default export. Browsers & bundlers
+ * get the UMD comic.js itself, "createRequire" being Node.js only.
+ *
+ * @author Balint Morvai <balint@morvai.de>
+ * @license http://en.wikipedia.org/wiki/MIT_License MIT License
+ */
+import { createRequire } from "module";
+
+const COMIC = createRequire(import.meta.url)("./comic.js");
+
+export default COMIC;
+export const path = COMIC.path;
+export const create = COMIC.create;
+export const magicString = COMIC.magicString;
@@ -0,0 +1,55 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+
+/**
+ * Draw a cubic Bezier curve without fuzz & get the end points of the
+ * pieces it is drawn in.
+ */
+var pieces = function(curve) {
+    var out = COMIC.path.bezier3.apply(null, curve.concat([{ ff: 0, ffc: 0 }]));
+    return out.split("Q").map(function(seg) {
+        return seg.trim().split(" ").slice(-2).map(Number);
+    });
+};
+
+/**
+ * Arc length of a cubic Bezier curve, summing many short chords.
+ */
+var arcLength = function(c) {
+    var at = function(t) {
+        var u = 1 - t;
+        return [u*u*u * c[0] + 3*u*u*t * c[2] + 3*u*t*t * c[4] + t*t*t * c[6],
+                u*u*u * c[1] + 3*u*u*t * c[3] + 3*u*t*t * c[5] + t*t*t * c[7]];
+    };
+    var length = 0;
+    var p = at(0);
+    for(var i = 1; i <= 10000; i++) {
+        var q = at(i / 10000);
+        length += Math.sqrt((q[0] - p[0]) * (q[0] - p[0]) + (q[1] - p[1]) * (q[1] - p[1]));
+        p = q;
+    }
+    return length;
+};
+
+// steps of lines & curves are "fsteps" times 10 long
+var step = COMIC.fsteps * 10;
+
+test("short curves are drawn in one piece", function() {
+    var ps = pieces([0, 0, 0, 10, 10, 10, 10, 0]);
+    assert.deepStrictEqual(ps, [[0, 0], [10, 0]]);
+});
+
+test("long curves are drawn in pieces of even length as long as steps", function() {
+    var curve = [0, 0, 100, 300, 300, 300, 420, 0];
+    var length = arcLength(curve);
+    var ps = pieces(curve);
+    assert.strictEqual(ps.length - 1, Math.ceil(length / step));
+    assert.deepStrictEqual(ps[ps.length - 1], [420, 0]);
+    // chords of even arcs, a bit shorter where the curve bends
+    var even = length / (ps.length - 1);
+    for(var i = 1; i < ps.length; i++) {
+        var chord = Math.sqrt(Math.pow(ps[i][0] - ps[i - 1][0], 2) + Math.pow(ps[i][1] - ps[i - 1][1], 2));
+        assert.ok(Math.abs(chord - even) < even * 0.05, "piece " + i + ": " + chord + " of " + even);
+    }
+});
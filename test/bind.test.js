@@ -0,0 +1,54 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+
+/**
+ * Minimal 2d canvas context, drawing nothing.
+ */
+var fakeContext = function() {
+    var ctx = {};
+    ["save", "restore", "beginPath", "closePath", "moveTo", "lineTo", "quadraticCurveTo",
+     "stroke", "fill", "setTransform"].forEach(function(name) {
+        ctx[name] = function() {};
+    });
+    ctx.getTransform = function() {
+        return { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+    };
+    return ctx;
+};
+
+test("binding a canvas context keeps the svg entry points", function() {
+    var inst = COMIC.create();
+    var names = ["magic", "unmagic", "observe", "boil", "paint", "magicString"];
+    var before = names.map(function(name) { return inst[name]; });
+    inst.ctx(fakeContext());
+    inst.bindTo("svg", {});
+    names.forEach(function(name, i) {
+        assert.strictEqual(inst[name], before[i], name);
+    });
+});
+
+/**
+ * Minimal svg point list, as "points" of polylines & polygons.
+ */
+var pointList = function(points) {
+    return {
+        numberOfItems: points.length,
+        getItem: function(i) { return { x: points[i][0], y: points[i][1] }; }
+    };
+};
+
+test("svg point lists alone are points, not per call options", function() {
+    var inst = COMIC.create({ seed: 1 });
+    var points = [[0, 0], [100, 0], [100, 50]];
+    var line = inst.path.polyline(pointList(points));
+    assert.match(line, /^M 0 0 Q /);
+    assert.strictEqual(inst.create({ seed: 1 }).path.polyline(points), line);
+    assert.match(inst.path.polygon(pointList(points)), /z$/);
+    var ctx = fakeContext();
+    inst.ctx(ctx);
+    assert.doesNotThrow(function() {
+        ctx.cPolyline(pointList(points));
+        ctx.cPolygon(pointList(points));
+    });
+});
@@ -0,0 +1,85 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var light = require("./lightDom.js");
+var COMIC = light.COMIC;
+
+/**
+ * Split the "d" of a hand drawn path into the points on it & the
+ * control points of its quadratic curves.
+ */
+var split = function(d) {
+    var on = [], control = [];
+    d.replace(/Q ([-\d.e]+) ([-\d.e]+) ([-\d.e]+) ([-\d.e]+)/g, function(m, cx, cy, x, y) {
+        control.push(cx + " " + cy);
+        on.push(x + " " + y);
+    });
+    return { on: on, control: control };
+};
+
+/**
+ * 2d canvas context recording the calls of its methods.
+ */
+var recordingContext = function() {
+    var ctx = { canvas: { width: 100, height: 100 }, calls: [] };
+    ["save", "restore", "beginPath", "closePath", "moveTo", "lineTo", "quadraticCurveTo",
+     "stroke", "fill", "setTransform", "clearRect"].forEach(function(name) {
+        ctx[name] = function() {
+            ctx.calls.push({ name: name, args: Array.prototype.slice.call(arguments) });
+        };
+    });
+    ctx.getTransform = function() {
+        return { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+    };
+    ctx.take = function(name) {
+        var res = ctx.calls.filter(function(call) { return call.name == name; });
+        ctx.calls = [];
+        return res.map(function(call) { return call.args; });
+    };
+    return ctx;
+};
+
+test("boiling svgs draws the paths of magic again, keeping their geometry", function(t) {
+    t.mock.timers.enable({ apis: ["setInterval"] });
+    var doc = light.parse('<svg><rect width="50" height="50"/><circle r="20"/></svg>');
+    COMIC.magic(doc.documentElement, { seed: 1 });
+    var paths = doc.documentElement.children;
+    var before = [paths[0].getAttribute("d"), paths[1].getAttribute("d")];
+    var boiler = COMIC.boil(doc.documentElement, { fps: 10 });
+    t.mock.timers.tick(100);
+    var after = [paths[0].getAttribute("d"), paths[1].getAttribute("d")];
+    assert.notStrictEqual(after[0], before[0]);
+    assert.notStrictEqual(after[1], before[1]);
+    // corners stay, circles keep their radius
+    assert.deepStrictEqual(split(after[0]).on, split(before[0]).on);
+    split(after[1]).on.forEach(function(p) {
+        var xy = p.split(" ").map(Number);
+        var r = Math.sqrt(xy[0] * xy[0] + xy[1] * xy[1]);
+        assert.ok(r > 18 && r < 22, p);
+    });
+    boiler.stop();
+    var stopped = light.serialize(doc);
+    t.mock.timers.tick(1000);
+    assert.strictEqual(light.serialize(doc), stopped);
+});
+
+test("boiling canvas contexts draws the shapes drawn after again, at the given rate", function(t) {
+    t.mock.timers.enable({ apis: ["setInterval"] });
+    var ctx = recordingContext();
+    var inst = COMIC.create({ seed: 1 }).ctx(ctx);
+    inst.cLine(0, 0, 10, 10); // drawn before, not kept
+    var boiler = inst.boil(ctx, { fps: 4 });
+    ctx.cRect(10, 10, 100, 50);
+    var drawn = ctx.take("quadraticCurveTo");
+    t.mock.timers.tick(249);
+    assert.strictEqual(ctx.calls.length, 0);
+    t.mock.timers.tick(1);
+    var names = ctx.calls.map(function(call) { return call.name; });
+    assert.ok(names.indexOf("clearRect") >= 0 &&
+              names.indexOf("clearRect") < names.indexOf("quadraticCurveTo"), "cleared first");
+    var redrawn = ctx.take("quadraticCurveTo");
+    assert.strictEqual(redrawn.length, drawn.length);
+    assert.notDeepStrictEqual(redrawn, drawn);
+    boiler.stop();
+    t.mock.timers.tick(1000);
+    assert.strictEqual(ctx.calls.length, 0);
+});
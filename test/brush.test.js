@@ -0,0 +1,62 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+
+var opts = function(more) {
+    var res = { ff: 0, ffc: 0, seed: 1, brush: true };
+    for(var name in more) res[name] = more[name];
+    return res;
+};
+
+/**
+ * Get the points of a path string, both on the curve & control points.
+ */
+var points = function(d) {
+    var nums = d.replace(/[MQz]/g, " ").trim().split(/\s+/).map(Number);
+    var res = [];
+    for(var i = 0; i < nums.length; i += 2) res.push({ x: nums[i], y: nums[i + 1] });
+    return res;
+};
+
+var count = function(d, re) {
+    return (d.match(re) || []).length;
+};
+
+test("brush strokes are closed outlines as wide as brushWidth", function() {
+    var d = COMIC.path.line(0, 0, 100, 0, opts({ brushWidth: 6, brushNoise: 0, brushTaper: 0 }));
+    assert.strictEqual(count(d, /M/g), 1);
+    assert.match(d, /z$/);
+    var ps = points(d);
+    var ys = ps.map(function(p) { return Math.abs(p.y); });
+    assert.ok(Math.max.apply(null, ys) <= 3 + 1e-6);
+    // both sides of the line, full width along it
+    assert.ok(ps.some(function(p) { return p.x > 40 && p.x < 60 && Math.abs(p.y - 3) < 1e-6; }));
+    assert.ok(ps.some(function(p) { return p.x > 40 && p.x < 60 && Math.abs(p.y + 3) < 1e-6; }));
+});
+
+test("brush strokes taper to a point at their ends", function() {
+    var ps = points(COMIC.path.line(0, 0, 100, 0, opts({ brushWidth: 6, brushNoise: 0, brushTaper: 0.25 })));
+    var widthAt = function(x0, x1) {
+        return Math.max.apply(null, ps.filter(function(p) {
+            return p.x >= x0 && p.x <= x1;
+        }).map(function(p) { return Math.abs(p.y); }));
+    };
+    assert.ok(widthAt(-1, 2) < 0.5, "start " + widthAt(-1, 2));
+    assert.ok(widthAt(98, 101) < 0.5, "end " + widthAt(98, 101));
+    assert.ok(Math.abs(widthAt(40, 60) - 3) < 1e-6);
+});
+
+test("brush noise makes strokes thinner, never wider", function() {
+    var ps = points(COMIC.path.line(0, 0, 100, 0, opts({ brushWidth: 6, brushNoise: 1, brushTaper: 0 })));
+    var ys = ps.map(function(p) { return Math.abs(p.y); });
+    assert.ok(Math.max.apply(null, ys) <= 3 + 1e-6);
+    assert.ok(Math.min.apply(null, ys.filter(function(y, i) {
+        return ps[i].x > 10 && ps[i].x < 90;
+    })) < 2.5);
+});
+
+test("every run of connected segments is one brush stroke", function() {
+    // closed shapes are one stroke, strokes of several passes are not connected
+    assert.strictEqual(count(COMIC.path.rect(0, 0, 50, 50, opts({})), /z/g), 1);
+    assert.strictEqual(count(COMIC.path.line(0, 0, 100, 0, opts({ passes: 2 })), /z/g), 2);
+});
@@ -0,0 +1,76 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+
+var opts = { ff: 0, ffc: 0, seed: 1 };
+
+/**
+ * Get the points of a path string drawn by "COMIC.path".
+ */
+var points = function(d) {
+    var nums = d.replace(/[MQz]/g, " ").trim().split(/\s+/).map(Number);
+    var res = [];
+    for(var i = 0; i < nums.length; i += 2) res.push({ x: nums[i], y: nums[i + 1] });
+    return res;
+};
+
+var hasPoint = function(d, x, y) {
+    return points(d).some(function(p) {
+        return Math.abs(p.x - x) < 1e-6 && Math.abs(p.y - y) < 1e-6;
+    });
+};
+
+/**
+ * Tell whether all points of the path are within the given box.
+ */
+var within = function(d, x0, y0, x1, y1) {
+    return points(d).every(function(p) {
+        return p.x >= x0 && p.x <= x1 && p.y >= y0 && p.y <= y1;
+    });
+};
+
+test("speech bubbles reach the target with their tail only", function() {
+    var d = COMIC.path.speechBubble(0, 0, 100, 40, 50, 120, opts);
+    assert.ok(hasPoint(d, 50, 120));
+    var plain = COMIC.path.speechBubble(0, 0, 100, 40, opts);
+    assert.ok(within(plain, -35, -25, 135, 65));
+    assert.ok(! hasPoint(plain, 50, 120));
+});
+
+test("speech bubbles have no tail for targets inside", function() {
+    var inside = COMIC.path.speechBubble(0, 0, 100, 40, 50, 20, opts);
+    var plain = COMIC.path.speechBubble(0, 0, 100, 40, opts);
+    assert.strictEqual(points(inside).length, points(plain).length);
+});
+
+test("thought bubbles lead to the target with a trail of circles", function() {
+    var subpaths = function(d) {
+        return d.split("M").length - 1;
+    };
+    assert.strictEqual(subpaths(COMIC.path.thoughtBubble(0, 0, 100, 40, opts)), 1);
+    var d = COMIC.path.thoughtBubble(0, 0, 100, 40, 50, 200, opts);
+    assert.strictEqual(subpaths(d), 4);
+    // the trail ends short of the target
+    assert.ok(within(d, -100, -100, 200, 200));
+    assert.ok(! hasPoint(d, 50, 200));
+});
+
+test("shouts reach the target with one of their spikes", function() {
+    var d = COMIC.path.shout(0, 0, 100, 40, 300, 20, opts);
+    assert.ok(hasPoint(d, 300, 20));
+    var plain = COMIC.path.shout(0, 0, 100, 40, opts);
+    assert.ok(within(plain, -150, -150, 250, 190));
+});
+
+test("captions are boxes with the padding & a tail on the side facing the target", function() {
+    var pad = COMIC.bubblePadding;
+    var plain = COMIC.path.caption(0, 0, 100, 40, opts);
+    assert.ok(hasPoint(plain, -pad, -pad) && hasPoint(plain, 100 + pad, 40 + pad));
+    assert.ok(within(plain, -pad, -pad, 100 + pad, 40 + pad));
+    var d = COMIC.path.caption(0, 0, 100, 40, 50, 120, opts);
+    assert.ok(hasPoint(d, 50, 120));
+    // all other points on the box
+    points(d).forEach(function(p) {
+        if(p.y > 40 + pad) assert.ok(Math.abs(p.x - 50) < COMIC.tailWidth, p.x + "," + p.y);
+    });
+});
@@ -0,0 +1,94 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+
+/**
+ * 2d canvas context recording the calls of its methods as names, curves
+ * in a row as "Q*", "fill" & "stroke" with the style they use.
+ */
+var recordingContext = function() {
+    var ctx = { canvas: { width: 200, height: 100 }, calls: [], stack: [],
+                strokeStyle: "black", fillStyle: "black", lineWidth: 2 };
+    ["beginPath", "closePath", "moveTo", "lineTo", "setTransform", "clearRect"].forEach(function(name) {
+        ctx[name] = function() {
+            ctx.calls.push(name);
+        };
+    });
+    ctx.quadraticCurveTo = function() {
+        if(ctx.calls[ctx.calls.length - 1] != "Q*") ctx.calls.push("Q*");
+    };
+    ctx.fill = function() {
+        ctx.calls.push("fill " + ctx.fillStyle);
+    };
+    ctx.stroke = function() {
+        ctx.calls.push("stroke " + ctx.strokeStyle);
+    };
+    ctx.save = function() {
+        ctx.stack.push([ctx.strokeStyle, ctx.fillStyle]);
+    };
+    ctx.restore = function() {
+        var styles = ctx.stack.pop();
+        ctx.strokeStyle = styles[0];
+        ctx.fillStyle = styles[1];
+    };
+    ctx.getTransform = function() {
+        return { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+    };
+    ctx.take = function() {
+        var calls = ctx.calls;
+        ctx.calls = [];
+        return calls;
+    };
+    return ctx;
+};
+
+test("closed shapes are one closed subpath, filled & stroked in the styles given", function() {
+    var ctx = recordingContext();
+    COMIC.create({ seed: 1 }).ctx(ctx);
+    ctx.cRect(10, 10, 50, 30, { fillStyle: "red", strokeStyle: "blue" });
+    assert.deepStrictEqual(ctx.take(), ["beginPath", "moveTo", "Q*", "closePath", "fill red", "stroke blue"]);
+    assert.deepStrictEqual([ctx.strokeStyle, ctx.fillStyle], ["black", "black"]);
+    ctx.cCircle(50, 50, 20, { fillStyle: "red" });
+    assert.deepStrictEqual(ctx.take(), ["beginPath", "moveTo", "Q*", "closePath", "fill red", "stroke black"]);
+});
+
+test("open shapes are not closed, filled only given a fill style as in svg", function() {
+    var ctx = recordingContext();
+    COMIC.create({ seed: 1 }).ctx(ctx);
+    ctx.cLine(0, 0, 50, 0);
+    assert.deepStrictEqual(ctx.take(), ["beginPath", "moveTo", "Q*", "stroke black"]);
+    ctx.cBezier2(0, 0, 25, 25, 50, 0, { fillStyle: "red" });
+    assert.deepStrictEqual(ctx.take(), ["beginPath", "moveTo", "Q*", "fill red", "stroke black"]);
+});
+
+test("hatched shapes stroke their fill lines in the fill style", function() {
+    var ctx = recordingContext();
+    COMIC.create({ seed: 1 }).ctx(ctx);
+    ctx.cRect(10, 10, 50, 30, { fill: "hachure", fillStyle: "green" });
+    var calls = ctx.take();
+    assert.deepStrictEqual(calls.slice(0, 6), ["beginPath", "moveTo", "Q*", "closePath", "stroke black", "beginPath"]);
+    assert.strictEqual(calls[calls.length - 1], "stroke green");
+    assert.strictEqual(calls.indexOf("fill green"), -1);
+});
+
+test("scenes export their shapes as svg & JSON, drawn again from JSON", function() {
+    var ctx = recordingContext();
+    COMIC.create({ seed: 1 }).ctx(ctx);
+    var scene = COMIC.scene(ctx);
+    ctx.cRect(10, 10, 50, 30, { fillStyle: "red", strokeStyle: "blue" });
+    ctx.cLine(0, 0, 50, 0, { brush: true });
+    var svg = scene.toSVG();
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="200" height="100" viewBox="0 0 200 100">\n/);
+    var paths = svg.match(/<path [^>]*\/>/g);
+    assert.strictEqual(paths.length, 2);
+    assert.match(paths[0], /^<path d="M [^"]* Z" transform="matrix\(1 0 0 1 0 0\)" fill="red" stroke="blue" stroke-width="2"/);
+    // brush strokes are filled in stroke color
+    assert.match(paths[1], / fill="black" stroke="none"/);
+
+    var copy = recordingContext();
+    COMIC.create({ seed: 2 }).ctx(copy);
+    var again = COMIC.scene(copy, JSON.stringify(scene));
+    assert.strictEqual(again.toSVG(), svg);
+    var calls = copy.take();
+    assert.ok(calls.indexOf("fill red") >= 0 && calls.indexOf("stroke blue") >= 0);
+});
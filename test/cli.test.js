@@ -0,0 +1,21 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var path = require("path");
+var execFileSync = require("child_process").execFileSync;
+
+var cli = path.join(__dirname, "..", "bin", "comic-js");
+
+test("comic-js is the bin of the package", function() {
+    var pkg = require("../package.json");
+    assert.strictEqual(pkg.bin["comic-js"], "bin/comic-js");
+});
+
+test("comic-js cartoonizes stdin to stdout, the same for the same seed", function() {
+    var svg = '<svg><rect width="20" height="10"/></svg>';
+    var run = function() {
+        return execFileSync(process.execPath, [cli, "--seed", "42", "--ff", "6"], { input: svg }).toString();
+    };
+    var out = run();
+    assert.match(out, /^<svg><path d="M /);
+    assert.strictEqual(run(), out);
+});
@@ -0,0 +1,74 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+
+var opts = { ff: 0, ffc: 0, seed: 1 };
+
+/**
+ * Image data of the given size, RGBA by the given function of x & y.
+ */
+var pixels = function(width, height, rgba) {
+    var data = [];
+    for(var y = 0; y < height; y++) {
+        for(var x = 0; x < width; x++) data.push.apply(data, rgba(x, y));
+    }
+    return { width: width, height: height, data: data };
+};
+
+/**
+ * Image data of a black square from 10 to 30 on the given background.
+ */
+var square = function(background) {
+    return pixels(40, 40, function(x, y) {
+        return (x >= 10 && x < 30 && y >= 10 && y < 30) ? [0, 0, 0, 255] : background;
+    });
+};
+
+/**
+ * The points of a path of "M" & "Q" commands.
+ */
+var points = function(d) {
+    var nums = d.replace(/[MQz]/g, " ").trim().split(/\s+/).map(Number);
+    var res = [];
+    for(var i = 0; i < nums.length; i += 2) res.push({ x: nums[i], y: nums[i + 1] });
+    return res;
+};
+
+test("the edges of bitmaps are traced, scaled to the box given", function() {
+    var ps = points(COMIC.path.image(square([255, 255, 255, 255]), 0, 0, 80, 80, opts));
+    assert.ok(ps.length > 8);
+    // the square is from 20 to 60 in the box
+    var near = function(v, to) {
+        return Math.abs(v - to) <= 4;
+    };
+    ps.forEach(function(p) {
+        var onSide = (near(p.x, 20) || near(p.x, 60)) && p.y >= 16 && p.y <= 64 ||
+                     (near(p.y, 20) || near(p.y, 60)) && p.x >= 16 && p.x <= 64;
+        assert.ok(onSide, p.x + "," + p.y);
+    });
+    [[20, 40], [60, 40], [40, 20], [40, 60]].forEach(function(side) {
+        assert.ok(ps.some(function(p) {
+            return Math.abs(p.x - side[0]) + Math.abs(p.y - side[1]) < 8;
+        }), "side at " + side);
+    });
+});
+
+test("the box defaults to the size of the bitmap at the origin", function() {
+    var ps = points(COMIC.path.image(square([255, 255, 255, 255]), opts));
+    ps.forEach(function(p) {
+        assert.ok(p.x >= 6 && p.x <= 34 && p.y >= 6 && p.y <= 34, p.x + "," + p.y);
+    });
+});
+
+test("transparent pixels count as white", function() {
+    assert.strictEqual(COMIC.path.image(square([0, 0, 0, 0]), 0, 0, 80, 80, opts),
+                       COMIC.path.image(square([255, 255, 255, 255]), 0, 0, 80, 80, opts));
+});
+
+test("plain bitmaps & specks have no edges", function() {
+    assert.strictEqual(COMIC.path.image(pixels(40, 40, function() { return [200, 200, 200, 255]; }), opts), "");
+    var speck = pixels(40, 40, function(x, y) {
+        return (x == 20 && y == 20) ? [0, 0, 0, 255] : [255, 255, 255, 255];
+    });
+    assert.strictEqual(COMIC.path.image(speck, opts), "");
+});
@@ -0,0 +1,20 @@
+/**
+ * Loads a copy of comic.js giving access to its light svg DOM, as used by
+ * "magicString", to run the entry points working on svg elements without
+ * a browser: "parse" an svg string to a light document, "serialize" it.
+ */
+var fs = require("fs");
+var path = require("path");
+
+var src = fs.readFileSync(path.join(__dirname, "..", "comic.js"), "utf8");
+var end = /return C;\s*\}\);\s*$/;
+if(! end.test(src)) throw new Error("comic.js does not end returning C");
+src = src.replace(end, "C.parseSVG = parseSVG;\nC.serializeSVG = serializeSVG;\nreturn C;\n});");
+var mod = { exports: {} };
+new Function("module", src)(mod);
+
+module.exports = {
+    COMIC: mod.exports,
+    parse: mod.exports.parseSVG,
+    serialize: mod.exports.serializeSVG
+};
@@ -0,0 +1,72 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+
+/**
+ * Cartoonize an svg with a group holding the given text, which is left
+ * as it is since "magic" walks groups only.
+ */
+var roundTrip = function(text) {
+    var out = COMIC.magicString('<svg><desc>' + text + '</desc><g data-x="' + text + '"/></svg>');
+    return out.replace(/^<svg><desc>|<\/desc>.*$/g, "");
+};
+
+test("decimal character references are decoded as decimal", function() {
+    assert.strictEqual(roundTrip("&#169; &#233;"), "© é");
+});
+
+test("hex character references are decoded as hex", function() {
+    assert.strictEqual(roundTrip("&#xA9; &#xe9;"), "© é");
+});
+
+test("astral character references are decoded to surrogate pairs", function() {
+    assert.strictEqual(roundTrip("&#128512; &#x1F600;"), "😀 😀");
+});
+
+test("literal ampersands stay escaped in text & attributes", function() {
+    var out = COMIC.magicString('<svg><desc>AT&amp;T; &amp;lt;</desc><g data-x="AT&amp;T;"/></svg>');
+    assert.strictEqual(out, '<svg><desc>AT&amp;T; &amp;lt;</desc><g data-x="AT&amp;T;"/></svg>');
+});
+
+test("shapes become paths, keeping their other attributes", function() {
+    var out = COMIC.magicString('<svg><rect id="r" width="1in" height="10" fill="red"/></svg>', { seed: 1 });
+    assert.match(out, /^<svg><path id="r" fill="red" d="M 0 0 Q [^"]*z"\/><\/svg>$/);
+    assert.match(out, / 96 /);
+});
+
+test("overlays leave shapes instanced by use visible, replacing them", function() {
+    var out = COMIC.magicString('<svg><defs><rect id="r" width="10" height="10"/></defs>' +
+                                '<use href="#r"/><rect id="s" width="10" height="10"/></svg>',
+                                { seed: 1, overlay: true });
+    assert.match(out, /<defs><path id="r" d="[^"]*"\/><\/defs>/);
+    assert.match(out, /<rect id="s" width="10" height="10" opacity="0"\/><path [^>]*pointer-events="none"/);
+});
+
+test("shapes instanced by use keep their fill & stroke, without hatch or brush paths", function() {
+    var out = COMIC.magicString('<svg><defs><rect id="r2" width="50" height="50" fill="red" stroke="blue"/>' +
+                                '</defs><use href="#r2" x="5"/></svg>',
+                                { seed: 1, fill: "hachure", brush: true });
+    assert.match(out, /^<svg><defs><path id="r2" fill="red" stroke="blue" d="[^"]*"\/><\/defs><use href="#r2" x="5"\/><\/svg>$/);
+});
+
+/**
+ * Get the "d" of the paths in the given svg text.
+ */
+var paths = function(svgText) {
+    return svgText.match(/ d="[^"]*"/g);
+};
+
+test("options declared on the nearest ancestor win, as attribute or CSS property", function() {
+    var rect = '<rect width="50" height="50"/>';
+    var run = function(svg) {
+        return paths(COMIC.magicString(svg, { seed: 1 }));
+    };
+    // attribute nearer than an inherited CSS property
+    assert.deepStrictEqual(run('<svg style="--comic-ff: 20"><g data-comic-ff="0">' + rect + '</g></svg>'),
+                           run('<svg><g data-comic-ff="0">' + rect + '</g></svg>'));
+    // CSS property nearer than an attribute
+    assert.deepStrictEqual(run('<svg data-comic-ff="0"><g style="--comic-ff: 20">' + rect + '</g></svg>'),
+                           run('<svg><g data-comic-ff="20">' + rect + '</g></svg>'));
+    assert.notDeepStrictEqual(run('<svg><g data-comic-ff="0">' + rect + '</g></svg>'),
+                              run('<svg><g data-comic-ff="20">' + rect + '</g></svg>'));
+});
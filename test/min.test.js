@@ -0,0 +1,11 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+var MIN = require("../comic.min.js");
+
+test("comic.min.js is built from comic.js", function() {
+    assert.strictEqual(MIN.version, COMIC.version);
+    assert.deepStrictEqual(Object.keys(MIN).sort(), Object.keys(COMIC).sort());
+    assert.strictEqual(MIN.path.rect(0, 0, 80, 40, { seed: 7, fill: "hachure" }),
+                       COMIC.path.rect(0, 0, 80, 40, { seed: 7, fill: "hachure" }));
+});
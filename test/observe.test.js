@@ -0,0 +1,91 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var light = require("./lightDom.js");
+var COMIC = light.COMIC;
+
+/**
+ * Mutation observer calling back only when told to by "notify".
+ */
+var observers = [];
+global.MutationObserver = function(callback) {
+    this.callback = callback;
+    this.targets = [];
+    observers.push(this);
+};
+MutationObserver.prototype.observe = function(target) {
+    this.targets.push(target);
+};
+MutationObserver.prototype.disconnect = function() {
+    this.targets = [];
+};
+MutationObserver.prototype.takeRecords = function() {
+    return [];
+};
+MutationObserver.prototype.notify = function(mutations) {
+    this.callback.call(this, mutations, this);
+};
+
+var rect = function(doc, id) {
+    var e = doc.createElementNS("http://www.w3.org/2000/svg", "rect");
+    e.setAttribute("id", id);
+    e.setAttribute("width", "10");
+    e.setAttribute("height", "10");
+    return e;
+};
+
+test("observe cartoonizes at once & again after changes, once they stop for delay", function(t) {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    var doc = light.parse('<svg><rect id="a" width="50" height="50"/></svg>');
+    var svg = doc.documentElement;
+    var original = doc.getElementById("a");
+    var watch = COMIC.observe(svg, { seed: 1, delay: 50 });
+    var observer = observers[observers.length - 1];
+    assert.strictEqual(doc.getElementById("a").tagName, "path");
+    // the svg & the originals of replaced shapes are watched
+    assert.ok(observer.targets.indexOf(svg) >= 0);
+    assert.ok(observer.targets.indexOf(original) >= 0);
+
+    svg.appendChild(rect(doc, "b"));
+    observer.notify([{ type: "childList", target: svg }]);
+    t.mock.timers.tick(30);
+    svg.appendChild(rect(doc, "c"));
+    observer.notify([{ type: "childList", target: svg }]);
+    t.mock.timers.tick(30);
+    assert.strictEqual(doc.getElementById("b").tagName, "rect");
+    t.mock.timers.tick(20);
+    assert.strictEqual(doc.getElementById("b").tagName, "path");
+    assert.strictEqual(doc.getElementById("c").tagName, "path");
+    watch.disconnect();
+});
+
+test("observe ignores paths drawn again by boil", function(t) {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    var doc = light.parse('<svg><rect id="a" width="50" height="50"/></svg>');
+    var svg = doc.documentElement;
+    var watch = COMIC.observe(svg, { seed: 1, fill: "hachure", delay: 50 });
+    var observer = observers[observers.length - 1];
+    var path = doc.getElementById("a");
+    var hatch = svg.children[0];
+    assert.ok(hatch.__comic__.owner);
+    // a changed path would be redrawn by "magic", unchanged ones are not
+    svg.appendChild(rect(doc, "b"));
+    observer.notify([{ type: "attributes", target: path, attributeName: "d" },
+                     { type: "attributes", target: hatch, attributeName: "d" }]);
+    t.mock.timers.tick(100);
+    assert.strictEqual(doc.getElementById("b").tagName, "rect");
+    watch.disconnect();
+});
+
+test("disconnect stops watching & drops pending reruns", function(t) {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    var doc = light.parse('<svg><rect id="a" width="50" height="50"/></svg>');
+    var svg = doc.documentElement;
+    var watch = COMIC.observe(svg, { seed: 1 });
+    var observer = observers[observers.length - 1];
+    svg.appendChild(rect(doc, "b"));
+    observer.notify([{ type: "childList", target: svg }]);
+    watch.disconnect();
+    assert.strictEqual(observer.targets.length, 0);
+    t.mock.timers.tick(1000);
+    assert.strictEqual(doc.getElementById("b").tagName, "rect");
+});
@@ -0,0 +1,19 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+var pkg = require("../package.json");
+
+test("browsers & bundlers get the UMD build, Node.js the ES module", function() {
+    var entry = pkg.exports["."];
+    assert.strictEqual(entry["default"], "./comic.js");
+    assert.strictEqual(entry.node.require, "./comic.js");
+    assert.strictEqual(entry.node.import, "./comic.mjs");
+    assert.strictEqual(pkg.module, undefined);
+});
+
+test("importing the package in Node.js gives the CommonJS object", async function() {
+    var mod = await import("comic.js");
+    assert.strictEqual(mod["default"], COMIC);
+    assert.strictEqual(mod.path, COMIC.path);
+    assert.strictEqual(require("comic.js"), COMIC);
+});
@@ -0,0 +1,64 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+
+/**
+ * 2d canvas context recording the calls of its methods.
+ */
+var recordingContext = function() {
+    var ctx = { calls: [], globalAlpha: 1 };
+    ["save", "restore", "transform", "translate", "beginPath", "closePath", "moveTo",
+     "lineTo", "quadraticCurveTo", "bezierCurveTo", "ellipse", "fill", "stroke"].forEach(function(name) {
+        ctx[name] = function() {
+            ctx.calls.push({ name: name, args: Array.prototype.slice.call(arguments) });
+        };
+    });
+    ctx.called = function(name) {
+        return ctx.calls.filter(function(call) { return call.name == name; });
+    };
+    return ctx;
+};
+
+/**
+ * Minimal svg element with the given attributes & children.
+ */
+var element = function(tagName, attrs, children) {
+    return {
+        tagName: tagName,
+        style: {},
+        children: children || [],
+        getAttribute: function(name) {
+            return attrs.hasOwnProperty(name) ? attrs[name] : null;
+        }
+    };
+};
+
+/**
+ * Point of an ellipse as painted by "ctx.ellipse" at the given angle.
+ */
+var ellipsePoint = function(args, angle) {
+    var x = args[0], y = args[1], rh = args[2], rv = args[3], rot = args[4];
+    return {
+        x: x + rh * Math.cos(angle) * Math.cos(rot) - rv * Math.sin(angle) * Math.sin(rot),
+        y: y + rh * Math.cos(angle) * Math.sin(rot) + rv * Math.sin(angle) * Math.cos(rot)
+    };
+};
+
+var assertNear = function(p, x, y) {
+    assert.ok(Math.abs(p.x - x) < 1e-6 && Math.abs(p.y - y) < 1e-6, p.x + "," + p.y);
+};
+
+test("paint draws rotated arcs from their start to their end point", function() {
+    var ctx = recordingContext();
+    var svg = element("svg", {}, [
+        element("path", { d: "M0 0 A50 20 90 0 1 0 100", fill: "none", stroke: "black" })
+    ]);
+    COMIC.paint(ctx, svg);
+    var ellipses = ctx.called("ellipse");
+    assert.strictEqual(ellipses.length, 1);
+    var args = ellipses[0].args;
+    assert.ok(Math.abs(args[4] - Math.PI / 2) < 1e-9, "rotation in radians");
+    assertNear(ellipsePoint(args, args[5]), 0, 0);
+    assertNear(ellipsePoint(args, args[6]), 0, 100);
+    assert.strictEqual(ctx.called("stroke").length, 1);
+});
@@ -0,0 +1,51 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+
+test("a row without panels has one panel", function() {
+    var res = COMIC.panels({ width: 400, height: 300, rows: [{ height: 2 }, 3] });
+    assert.deepStrictEqual(res.map(function(p) { return [p.row, p.col]; }),
+                           [[0, 0], [1, 0], [1, 1], [1, 2]]);
+});
+
+test("rows given as numbers have as many equal panels", function() {
+    var res = COMIC.panels({ width: 400, height: 300, margin: 0, gutter: 0, rows: [2] });
+    assert.strictEqual(res.length, 2);
+    assert.strictEqual(Math.round(res[0].width), 200);
+});
+
+var near = function(a, b) {
+    return Math.abs(a - b) < 1e-6;
+};
+
+test("slanted dividers are offset by the slant, a gutter apart", function() {
+    var res = COMIC.panels({ width: 400, height: 300, gutter: 10, rows: [{ panels: 2, slant: 30 }] });
+    var a = res[0].points, b = res[1].points;
+    // top & bottom right corner of the left panel
+    assert.ok(near(a[1].x - a[2].x, 30));
+    assert.ok(near(b[0].x - b[3].x, 30));
+    // gutter measured across the divider
+    var h = a[2].y - a[1].y;
+    assert.ok(near((b[0].x - a[1].x) * h / Math.sqrt(h * h + 30 * 30), 10));
+    // outer edges stay within the margin
+    assert.ok(near(a[0].x, 10) && near(a[3].x, 10) && near(b[1].x, 390) && near(b[2].x, 390));
+});
+
+test("bleeding panels reach the page border in place of the margin", function() {
+    var res = COMIC.panels({ x: 5, y: 5, width: 400, height: 300, gutter: 10,
+                             rows: [[{ bleed: true }, 1], [1, { bleed: true }]] });
+    assert.deepStrictEqual([res[0].x, res[0].y], [5, 5]);
+    assert.deepStrictEqual([res[1].x + res[1].width, res[1].y], [395, 15]);
+    assert.deepStrictEqual([res[2].x, res[2].y + res[2].height], [15, 295]);
+    assert.deepStrictEqual([res[3].x + res[3].width, res[3].y + res[3].height], [405, 305]);
+});
+
+test("insets follow their panel, relative to its bounds", function() {
+    var res = COMIC.panels({ width: 400, height: 300, margin: 0, gutter: 0,
+                             rows: [[{ insets: [{ x: 0.5, y: 0.25, width: 0.25, height: 0.5 }] }, 1]] });
+    assert.deepStrictEqual(res.map(function(p) { return [p.col, !! p.inset]; }),
+                           [[0, false], [0, true], [1, false]]);
+    var inset = res[1];
+    assert.deepStrictEqual([inset.x, inset.y, inset.width, inset.height], [100, 75, 50, 150]);
+    assert.strictEqual(inset.d, "M 100 75 L 150 75 L 150 225 L 100 225 Z");
+});
@@ -0,0 +1,86 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+
+/**
+ * Draw the given path data without fuzz & get the end points of all
+ * segments drawn.
+ */
+var points = function(d) {
+    var out = COMIC.path.fromD(d, { ff: 0, ffc: 0, seed: 1 });
+    return out.split(/[MQ]/).filter(function(seg) {
+        return seg.trim() != "";
+    }).map(function(seg) {
+        var nums = seg.replace(/z/g, "").trim().split(/\s+/).map(Number);
+        return { x: nums[nums.length - 2], y: nums[nums.length - 1] };
+    });
+};
+
+/**
+ * Tell whether the given point is on the given point list.
+ */
+var hasPoint = function(list, x, y) {
+    return list.some(function(p) {
+        return Math.abs(p.x - x) < 1e-6 && Math.abs(p.y - y) < 1e-6;
+    });
+};
+
+var last = function(list) {
+    return list[list.length - 1];
+};
+
+test("compact numbers without separators are parsed", function() {
+    var ps = points("M0 0L10-5.5.5e1 20");
+    assert.ok(hasPoint(ps, 10, -5.5));
+    assert.deepStrictEqual(last(ps), { x: 5, y: 20 });
+});
+
+test("relative & absolute commands are parsed", function() {
+    var ps = points("m1 1l10 0 0 10h-5v5zM0 0H3");
+    [[11, 1], [11, 11], [6, 11], [6, 16], [1, 1], [0, 0]].forEach(function(p) {
+        assert.ok(hasPoint(ps, p[0], p[1]), p.join(","));
+    });
+    assert.deepStrictEqual(last(ps), { x: 3, y: 0 });
+});
+
+test("implicit repeats of commands are parsed", function() {
+    // "move to" repeats as "line to", curves repeat as themselves
+    var ps = points("M0 0 10 0 10 10C10 20 20 20 20 10 20 0 30 0 30 10");
+    assert.ok(hasPoint(ps, 10, 0));
+    assert.ok(hasPoint(ps, 20, 10));
+    assert.deepStrictEqual(last(ps), { x: 30, y: 10 });
+});
+
+test("arcs with compact flags & radii too small end at their end point", function() {
+    var ps = points("M0 0a1 1 0 0010 10");
+    var end = last(ps);
+    assert.ok(Math.abs(end.x - 10) < 1e-6 && Math.abs(end.y - 10) < 1e-6);
+    // radii get scaled up to a half circle around (5, 5)
+    var r = Math.sqrt(50);
+    ps.forEach(function(p) {
+        var dist = Math.sqrt((p.x - 5) * (p.x - 5) + (p.y - 5) * (p.y - 5));
+        assert.ok(Math.abs(dist - r) < r * 0.1, p.x + "," + p.y);
+    });
+    // sweep flag 0 goes counterclockwise, left of the chord
+    assert.ok(ps.some(function(p) { return p.x < 0; }));
+});
+
+test("rotated arcs take their rotation in degrees", function() {
+    var ps = points("M0 0 A50 20 90 0 1 0 100");
+    var end = last(ps);
+    assert.ok(Math.abs(end.x) < 1e-6 && Math.abs(end.y - 100) < 1e-6);
+    // the vertical major axis makes the arc 20 wide
+    var maxX = Math.max.apply(null, ps.map(function(p) { return p.x; }));
+    assert.ok(maxX > 17 && maxX < 23, "width " + maxX);
+});
+
+test("hatching of rotated arcs stays within the arc", function() {
+    var out = COMIC.path.fromD("M0 0 A50 20 90 0 1 0 100Z", { ff: 0, ffc: 0, seed: 1, fill: "hachure" });
+    var plain = COMIC.path.fromD("M0 0 A50 20 90 0 1 0 100Z", { ff: 0, ffc: 0, seed: 1 });
+    assert.ok(out.length > plain.length, "hatched");
+    var nums = out.replace(/[MQz]/g, " ").trim().split(/\s+/).map(Number);
+    for(var i = 0; i < nums.length; i += 2) {
+        assert.ok(nums[i] > -3 && nums[i] < 23 && nums[i + 1] > -3 && nums[i + 1] < 103,
+                  nums[i] + "," + nums[i + 1]);
+    }
+});
@@ -0,0 +1,53 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+
+var opts = function(more) {
+    var res = { ff: 0, ffc: 0, seed: 1 };
+    for(var name in more) res[name] = more[name];
+    return res;
+};
+
+/**
+ * Split a path string into its sub paths, each as array of points.
+ */
+var subpaths = function(d) {
+    return d.split("M").slice(1).map(function(sub) {
+        var nums = sub.replace(/[Qz]/g, " ").trim().split(/\s+/).map(Number);
+        var res = [];
+        for(var i = 0; i < nums.length; i += 2) res.push({ x: nums[i], y: nums[i + 1] });
+        return res;
+    });
+};
+
+test("lines are drawn in as many strokes as passes, deviating by up to passDeviation", function() {
+    var strokes = subpaths(COMIC.path.line(0, 0, 100, 0, opts({ passes: 3, passDeviation: 2 })));
+    assert.strictEqual(strokes.length, 3);
+    strokes.forEach(function(s) {
+        var first = s[0], last = s[s.length - 1];
+        assert.ok(Math.abs(first.x) <= 2 && Math.abs(first.y) <= 2, first.x + "," + first.y);
+        assert.ok(Math.abs(last.x - 100) <= 2 && Math.abs(last.y) <= 2, last.x + "," + last.y);
+    });
+    assert.notDeepStrictEqual(strokes[0], strokes[1]);
+});
+
+test("line ends overshoot along the line by up to overshoot", function() {
+    var strokes = subpaths(COMIC.path.line(0, 0, 100, 0, opts({ overshoot: 10 })));
+    assert.strictEqual(strokes.length, 1);
+    var s = strokes[0];
+    assert.ok(s[0].x <= 0 && s[0].x >= -10 && s[0].y == 0);
+    assert.ok(s[s.length - 1].x >= 100 && s[s.length - 1].x <= 110 && s[s.length - 1].y == 0);
+});
+
+test("primitives drawn by others are drawn once per pass of the outer one", function() {
+    assert.strictEqual(subpaths(COMIC.path.circle(0, 0, 50, opts({}))).length, 1);
+    assert.strictEqual(subpaths(COMIC.path.circle(0, 0, 50, opts({ passes: 2 }))).length, 2);
+    // rectangles are drawn of four lines
+    assert.strictEqual(subpaths(COMIC.path.rect(0, 0, 50, 50, opts({ passes: 2 }))).length, 8);
+});
+
+test("shapes of unconnected strokes are not closed", function() {
+    assert.match(COMIC.path.rect(0, 0, 50, 50, opts({})), /z$/);
+    assert.doesNotMatch(COMIC.path.rect(0, 0, 50, 50, opts({ passes: 2 })), /z/);
+    assert.doesNotMatch(COMIC.path.rect(0, 0, 50, 50, opts({ overshoot: 5 })), /z/);
+});
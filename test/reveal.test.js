@@ -0,0 +1,100 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var light = require("./lightDom.js");
+var COMIC = light.COMIC;
+
+/**
+ * Animation frames run only when told to by "runFrames".
+ */
+var frames = [];
+global.requestAnimationFrame = function(callback) {
+    frames.push(callback);
+};
+var runFrames = function() {
+    var now = frames;
+    frames = [];
+    for(var i = 0; i < now.length; i++) now[i]();
+};
+
+/**
+ * 2d canvas context counting the curves drawn on it.
+ */
+var countingContext = function() {
+    var ctx = { canvas: { width: 100, height: 100 }, curves: 0 };
+    ["save", "restore", "beginPath", "closePath", "moveTo", "lineTo",
+     "stroke", "fill", "setTransform"].forEach(function(name) {
+        ctx[name] = function() {};
+    });
+    ctx.quadraticCurveTo = function() {
+        ctx.curves++;
+    };
+    ctx.getTransform = function() {
+        return { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+    };
+    return ctx;
+};
+
+test("canvas shapes are drawn bit by bit over their duration, staggered", function(t) {
+    t.mock.timers.enable({ apis: ["Date"], now: 1000 });
+    var plain = countingContext();
+    COMIC.create({ seed: 1 }).ctx(plain);
+    plain.cLine(0, 0, 300, 0);
+    var total = plain.curves;
+    assert.ok(total > 4);
+
+    var ctx = countingContext();
+    COMIC.create({ seed: 1, reveal: true, revealDuration: 100, revealStagger: 100 }).ctx(ctx);
+    ctx.cLine(0, 0, 300, 0);
+    ctx.cLine(0, 0, 300, 0);
+    assert.strictEqual(ctx.curves, 0);
+    t.mock.timers.tick(50);
+    runFrames();
+    assert.ok(ctx.curves > 0 && ctx.curves < total, ctx.curves + " of " + total);
+    t.mock.timers.tick(50);
+    runFrames();
+    // the first line is done, the second one starts
+    assert.strictEqual(ctx.curves, total);
+    t.mock.timers.tick(100);
+    runFrames();
+    assert.strictEqual(ctx.curves, 2 * total);
+    assert.strictEqual(frames.length, 0);
+});
+
+test("canvas shapes are drawn at once without animation frames", function() {
+    var raf = global.requestAnimationFrame;
+    delete global.requestAnimationFrame;
+    try {
+        var ctx = countingContext();
+        COMIC.create({ seed: 1, reveal: true }).ctx(ctx);
+        ctx.cLine(0, 0, 300, 0);
+        assert.ok(ctx.curves > 0);
+    }
+    finally {
+        global.requestAnimationFrame = raf;
+    }
+});
+
+test("magic animates the dash offset of paths, staggered & eased", function(t) {
+    t.mock.timers.enable({ apis: ["Date"], now: 1000 });
+    var doc = light.parse('<svg><path id="a" d="M0 0L100 0"/><path id="b" d="M0 10L100 10"/></svg>');
+    var animations = [];
+    ["a", "b"].forEach(function(id) {
+        var e = doc.getElementById(id);
+        e.getTotalLength = function() { return 100; };
+        e.animate = function(keyframes, timing) {
+            animations.push({ id: id, keyframes: keyframes, timing: timing });
+        };
+    });
+    COMIC.magic(doc.documentElement, { seed: 1, reveal: true, revealDuration: 400,
+                                       revealStagger: 150, revealEasing: "ease-in" });
+    assert.deepStrictEqual(animations.map(function(a) { return [a.id, a.timing.delay, a.timing.duration]; }),
+                           [["a", 0, 400], ["b", 150, 400]]);
+    var keyframes = animations[0].keyframes;
+    assert.strictEqual(keyframes[0].strokeDashoffset, 100);
+    assert.strictEqual(keyframes[keyframes.length - 1].strokeDashoffset, 0);
+    // eased in: a quarter of the path at half the time
+    var half = keyframes.filter(function(k) { return k.offset == 0.5; })[0];
+    assert.strictEqual(half.strokeDashoffset, 75);
+    // the attributes stay as they are
+    assert.strictEqual(doc.getElementById("a").getAttribute("stroke-dasharray"), null);
+});
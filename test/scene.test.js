@@ -0,0 +1,39 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+
+/**
+ * Minimal 2d canvas context, keeping its transform & the transforms
+ * set on it.
+ */
+var fakeContext = function() {
+    var ctx = { canvas: { width: 100, height: 100 }, m: [1, 0, 0, 1, 0, 0], set: [] };
+    ["save", "restore", "beginPath", "closePath", "moveTo", "lineTo", "quadraticCurveTo",
+     "stroke", "fill", "clearRect"].forEach(function(name) {
+        ctx[name] = function() {};
+    });
+    ctx.setTransform = function() {
+        ctx.m = Array.prototype.slice.call(arguments);
+        ctx.set.push(ctx.m);
+    };
+    ctx.getTransform = function() {
+        return { a: ctx.m[0], b: ctx.m[1], c: ctx.m[2], d: ctx.m[3], e: ctx.m[4], f: ctx.m[5] };
+    };
+    return ctx;
+};
+
+test("resize leaves the context scaled, shapes drawn after are kept unscaled", function() {
+    var ctx = fakeContext();
+    var inst = COMIC.create({ seed: 1 }).ctx(ctx);
+    var scene = inst.scene(ctx);
+    ctx.cRect(10, 10, 20, 20);
+    scene.resize(100, 100, 2);
+    assert.deepStrictEqual(ctx.m, [2, 0, 0, 2, 0, 0]);
+    assert.strictEqual(ctx.canvas.width, 200);
+    ctx.cRect(10, 10, 20, 20);
+    assert.deepStrictEqual(scene.shapes[0].style.transform, [1, 0, 0, 1, 0, 0]);
+    assert.deepStrictEqual(scene.shapes[1].style.transform, [1, 0, 0, 1, 0, 0]);
+    ctx.set = [];
+    scene.redraw();
+    assert.deepStrictEqual(ctx.set.filter(function(m) { return m[0] == 2; }).length, 2);
+});
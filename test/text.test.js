@@ -0,0 +1,67 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var COMIC = require("../comic.js");
+
+var opts = { fontSize: 20, ff: 0, ffc: 0, seed: 1 };
+
+/**
+ * Split a path string into its sub paths, each as array of points.
+ */
+var subpaths = function(d) {
+    return d.split("M").slice(1).map(function(sub) {
+        var nums = sub.replace(/[Qz]/g, " ").trim().split(/\s+/).map(Number);
+        var res = [];
+        for(var i = 0; i < nums.length; i += 2) res.push({ x: nums[i], y: nums[i + 1] });
+        return res;
+    });
+};
+
+var bounds = function(strokes) {
+    var ps = [].concat.apply([], strokes);
+    var xs = ps.map(function(p) { return p.x; });
+    var ys = ps.map(function(p) { return p.y; });
+    return { x0: Math.min.apply(null, xs), x1: Math.max.apply(null, xs),
+             y0: Math.min.apply(null, ys), y1: Math.max.apply(null, ys) };
+};
+
+test("hand lettering draws the strokes of the glyphs above the baseline", function() {
+    var strokes = subpaths(COMIC.path.text(10, 50, "HI", opts));
+    // three strokes each
+    assert.strictEqual(strokes.length, 6);
+    var b = bounds(strokes);
+    assert.ok(b.x0 > 8 && b.x1 < 10 + 2 * 20, b.x0 + " - " + b.x1);
+    assert.ok(b.y0 > 50 - 20 && b.y1 < 50 + 2, b.y0 + " - " + b.y1);
+});
+
+test("spaces advance without strokes", function() {
+    var tight = subpaths(COMIC.path.text(10, 50, "HI", opts));
+    var spaced = subpaths(COMIC.path.text(10, 50, "H I", opts));
+    assert.strictEqual(spaced.length, tight.length);
+    assert.ok(bounds(spaced.slice(3)).x0 > bounds(tight.slice(3)).x0 + 2);
+    assert.strictEqual(COMIC.path.text(10, 50, " ", opts), "");
+});
+
+test("magic jitters every glyph of texts in a tspan of its own, back on the baseline", function() {
+    var out = COMIC.magicString('<svg><text x="5" y="20">Hi!</text></svg>', { seed: 1, textRotate: 5 });
+    var tspans = out.match(/<tspan [^>]*>[^<]*<\/tspan>/g);
+    assert.deepStrictEqual(tspans.map(function(t) { return t.replace(/<[^>]*>/g, ""); }), ["H", "i", "!"]);
+    var dy = 0;
+    tspans.forEach(function(t) {
+        var rotate = parseFloat(/rotate="([^"]*)"/.exec(t)[1]);
+        assert.ok(Math.abs(rotate) <= 5, t);
+        dy += parseFloat(/dy="([^"]*)"/.exec(t)[1]);
+    });
+    assert.ok(Math.abs(dy) < 0.05, "dy " + dy);
+});
+
+test("glyphs are not jittered without rotation, shift & scale", function() {
+    var out = COMIC.magicString('<svg><text x="5" y="20">Hi</text></svg>',
+                                { seed: 1, textRotate: 0, textShift: 0, textScale: 0 });
+    assert.strictEqual(out, '<svg><text x="5" y="20"><tspan rotate="0" dy="0" font-size="100%">H</tspan>' +
+                            '<tspan rotate="0" dy="0" font-size="100%">i</tspan></text></svg>');
+});
+
+test("magic letters texts by hand in their fill color", function() {
+    var out = COMIC.magicString('<svg><text x="5" y="20" fill="red">Hi</text></svg>', { seed: 1, lettering: true });
+    assert.match(out, /^<svg><path fill="none" stroke="red" d="M [^"]*"\/><\/svg>$/);
+});
@@ -0,0 +1,50 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var light = require("./lightDom.js");
+var COMIC = light.COMIC;
+
+var src = '<svg><g fill="blue"><rect id="r" x="1" y="2" width="50" height="30" onclick="f()"/>' +
+          '<circle cx="5" cy="5" r="4" stroke="red"/></g><path id="p" d="M0 0L10 10" stroke="black"/>' +
+          '<text x="5" y="20">Hi</text></svg>';
+
+test("unmagic restores the original elements & attributes", function() {
+    var doc = light.parse(src);
+    var rect = doc.getElementById("r");
+    COMIC.magic(doc.documentElement, { seed: 1, fill: "hachure", brush: true });
+    assert.notStrictEqual(light.serialize(doc), src);
+    assert.notStrictEqual(doc.getElementById("r"), rect);
+    COMIC.unmagic(doc.documentElement);
+    assert.strictEqual(light.serialize(doc), src);
+    assert.strictEqual(doc.getElementById("r"), rect);
+});
+
+test("unmagic restores overlaid elements", function() {
+    var doc = light.parse(src);
+    COMIC.magic(doc.documentElement, { seed: 1, overlay: true });
+    COMIC.unmagic(doc.documentElement);
+    assert.strictEqual(light.serialize(doc), src);
+});
+
+test("magic again redraws new & changed elements only", function() {
+    var doc = light.parse(src);
+    COMIC.magic(doc.documentElement, { seed: 1 });
+    var d = function(id) {
+        return doc.getElementById(id).getAttribute("d");
+    };
+    var before = { r: d("r"), p: d("p") };
+    var added = doc.createElementNS("http://www.w3.org/2000/svg", "rect");
+    added.setAttribute("id", "added");
+    added.setAttribute("width", "9");
+    added.setAttribute("height", "9");
+    doc.documentElement.appendChild(added);
+    doc.getElementById("p").setAttribute("d", "M0 0L20 0");
+    COMIC.magic(doc.documentElement, { seed: 2 });
+    assert.strictEqual(d("r"), before.r);
+    assert.notStrictEqual(d("p"), before.p);
+    assert.match(d("p"), /^M 0 0 Q [^"]* 20 0$/);
+    assert.strictEqual(doc.getElementById("added").tagName, "path");
+    // the changed path is restored as changed, the new shape as added
+    COMIC.unmagic(doc.documentElement);
+    assert.strictEqual(light.serialize(doc), src.replace("M0 0L10 10", "M0 0L20 0")
+                       .replace("</svg>", '<rect id="added" width="9" height="9"/></svg>'));
+});